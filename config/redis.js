@@ -0,0 +1,27 @@
+let clientPromise = null;
+
+/**
+ * Get the shared Redis client (connected on first use, to REDIS_URL).
+ * Only needed when Socket.io runs with the Redis adapter.
+ */
+const getRedisClient = () => {
+  if (!clientPromise) {
+    const { createClient } = require('redis');
+    const client = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+
+    client.on('error', (err) => {
+      console.error('Redis connection error:', err);
+    });
+
+    clientPromise = client.connect().then(() => {
+      console.log('🧠 Redis Connected');
+      return client;
+    });
+  }
+
+  return clientPromise;
+};
+
+module.exports = {
+  getRedisClient
+};
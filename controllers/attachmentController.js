@@ -0,0 +1,152 @@
+const Attachment = require('../models/Attachment');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const { getStorage } = require('../utils/storage');
+const { storeAttachment, normalizeWaveform } = require('../utils/attachmentService');
+const { successResponse, errorResponse, asyncHandler } = require('../utils/helpers');
+const { canSeeProfileField } = require('../utils/privacy');
+
+/**
+ * Check whether a user may read an attachment: the uploader, users allowed to
+ * see the uploader's profile photo for avatars, or a member of a conversation
+ * containing a message that uses it
+ */
+const canAccessAttachment = async (attachment, userId) => {
+  if (attachment.uploader.toString() === userId.toString()) {
+    return true;
+  }
+
+  if (attachment.purpose === 'avatar') {
+    return canSeeProfileField(attachment.uploader, userId, 'avatar');
+  }
+
+  const conversationIds = await Message.find({
+    attachment: attachment._id,
+    isDeleted: false
+  }).distinct('conversation');
+
+  if (conversationIds.length === 0) {
+    return false;
+  }
+
+  const membership = await Conversation.exists({
+    _id: { $in: conversationIds },
+    'members.user': userId
+  });
+
+  return Boolean(membership);
+};
+
+/**
+ * @desc    Upload a file to attach to a message
+ * @route   POST /api/attachments
+ * @access  Private
+ */
+const uploadAttachment = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json(errorResponse('A file is required'));
+  }
+
+  const attachment = await storeAttachment({
+    buffer: req.file.buffer,
+    originalName: req.file.originalname,
+    mimeType: req.file.mimetype,
+    uploader: req.user._id
+  });
+
+  res.status(201).json(successResponse('File uploaded successfully', { attachment }));
+});
+
+/**
+ * @desc    Upload a voice note recording with its duration and waveform
+ * @route   POST /api/attachments/voice
+ * @access  Private
+ */
+const uploadVoiceNote = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json(errorResponse('A recording is required'));
+  }
+
+  const waveform = normalizeWaveform(req.body.waveform);
+  if (!waveform) {
+    return res.status(400).json(errorResponse('Waveform must be a list of non-negative numbers'));
+  }
+
+  const attachment = await storeAttachment({
+    buffer: req.file.buffer,
+    originalName: req.file.originalname,
+    mimeType: req.file.mimetype,
+    uploader: req.user._id,
+    kind: 'voice',
+    metadata: {
+      duration: req.body.duration,
+      waveform
+    }
+  });
+
+  res.status(201).json(successResponse('Voice note uploaded successfully', { attachment }));
+});
+
+/**
+ * @desc    Get attachment metadata
+ * @route   GET /api/attachments/:attachmentId
+ * @access  Private
+ */
+const getAttachment = asyncHandler(async (req, res) => {
+  const attachment = await Attachment.findById(req.params.attachmentId);
+
+  if (!attachment || !(await canAccessAttachment(attachment, req.user._id))) {
+    return res.status(404).json(errorResponse('Attachment not found'));
+  }
+
+  res.status(200).json(successResponse('Attachment retrieved successfully', { attachment }));
+});
+
+/**
+ * @desc    Download an attachment
+ * @route   GET /api/attachments/:attachmentId/download
+ * @access  Private
+ */
+const downloadAttachment = asyncHandler(async (req, res) => {
+  const attachment = await Attachment.findById(req.params.attachmentId).select('+storageKey');
+
+  if (!attachment || !(await canAccessAttachment(attachment, req.user._id))) {
+    return res.status(404).json(errorResponse('Attachment not found'));
+  }
+
+  let stream;
+  try {
+    // Files stay with the driver they were saved to, even if STORAGE_DRIVER changed since
+    stream = await getStorage(attachment.driver).getStream(attachment.storageKey);
+  } catch (error) {
+    console.error('Error reading attachment from storage:', error);
+    return res.status(404).json(errorResponse('Attachment file not found'));
+  }
+
+  // Media can be displayed inline, everything else is downloaded
+  const disposition = attachment.kind === 'document' ? 'attachment' : 'inline';
+  const fileName = encodeURIComponent(attachment.originalName || 'file');
+
+  res.set({
+    'Content-Type': attachment.mimeType,
+    'Content-Length': attachment.size,
+    'Content-Disposition': `${disposition}; filename*=UTF-8''${fileName}`,
+    'Cache-Control': 'private, max-age=86400',
+    ETag: `"${attachment.checksum}"`
+  });
+
+  stream.on('error', (error) => {
+    console.error('Error streaming attachment:', error);
+    res.destroy(error);
+  });
+
+  stream.pipe(res);
+});
+
+module.exports = {
+  uploadAttachment,
+  uploadVoiceNote,
+  getAttachment,
+  downloadAttachment,
+  canAccessAttachment
+};
@@ -1,5 +1,6 @@
 const crypto = require('crypto');
 const User = require('../models/User');
+const SyncEvent = require('../models/SyncEvent');
 const { sendTokenResponse } = require('../middleware/auth');
 const { successResponse, errorResponse, asyncHandler } = require('../utils/helpers');
 const emailService = require('../utils/emailService');
@@ -122,6 +123,13 @@ const updateProfile = asyncHandler(async (req, res) => {
     runValidators: true
   });
 
+  await SyncEvent.recordForProfileWatchers(user._id, 'profileUpdated', {
+    userId: user._id,
+    name: user.name,
+    status: user.status,
+    avatar: user.avatar
+  });
+
   res.status(200).json(successResponse('Profile updated successfully', { user }));
 });
 
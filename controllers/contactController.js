@@ -1,5 +1,12 @@
 const User = require('../models/User');
+const SyncEvent = require('../models/SyncEvent');
 const { successResponse, errorResponse, asyncHandler, paginate, getPaginationMeta } = require('../utils/helpers');
+const { hidePrivateFields, getBlockError } = require('../utils/privacy');
+
+/**
+ * Hide what each contact keeps private from the user
+ */
+const hideContactPrivateFields = (contacts, viewerId) => hidePrivateFields(contacts.map(contact => contact.user), viewerId);
 
 /**
  * @desc    Get user's contacts
@@ -25,6 +32,8 @@ const getContacts = asyncHandler(async (req, res) => {
     .sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt)) // Sort by most recently added
     .slice(skip, skip + limitNum);
 
+  await hideContactPrivateFields(paginatedContacts, req.user._id);
+
   const pagination = getPaginationMeta(page, limitNum, totalContacts);
 
   res.status(200).json(successResponse('Contacts retrieved successfully', {
@@ -52,6 +61,13 @@ const addContact = asyncHandler(async (req, res) => {
     return res.status(404).json(errorResponse('User not found'));
   }
 
+  const blockError = await getBlockError(req.user._id, userId);
+  if (blockError) {
+    return res.status(403).json(errorResponse(blockError.message, null, blockError.code));
+  }
+
+  await hidePrivateFields(contactUser, req.user._id);
+
   // Get current user
   const user = await User.findById(req.user._id);
 
@@ -78,6 +94,9 @@ const addContact = asyncHandler(async (req, res) => {
     addedAt: new Date()
   };
 
+  // Keep the user's other devices in step
+  await SyncEvent.record(req.user._id, 'contactAdded', { contact: addedContact });
+
   res.status(201).json(successResponse('Contact added successfully', {
     contact: addedContact
   }));
@@ -106,6 +125,8 @@ const removeContact = asyncHandler(async (req, res) => {
   user.contacts.splice(contactIndex, 1);
   await user.save();
 
+  await SyncEvent.record(req.user._id, 'contactRemoved', { userId });
+
   res.status(200).json(successResponse('Contact removed successfully'));
 });
 
@@ -136,6 +157,8 @@ const getContactDetails = asyncHandler(async (req, res) => {
     return res.status(404).json(errorResponse('Contact user not found'));
   }
 
+  await hidePrivateFields(contactUser, req.user._id);
+
   const contactDetails = {
     user: contactUser,
     addedAt: contact.addedAt,
@@ -181,8 +204,9 @@ const getOnlineContacts = asyncHandler(async (req, res) => {
     }));
   }
 
-  // Filter online contacts
-  const onlineContacts = user.contacts.filter(contact => contact.user.isOnline);
+  // Filter online contacts (only those who show when they are online)
+  await hideContactPrivateFields(user.contacts, req.user._id);
+  const onlineContacts = user.contacts.filter(contact => contact.user && contact.user.isOnline);
 
   res.status(200).json(successResponse('Online contacts retrieved successfully', {
     contacts: onlineContacts
@@ -222,6 +246,8 @@ const searchContacts = asyncHandler(async (req, res) => {
   const paginatedContacts = filteredContacts.slice(skip, skip + limitNum);
   const pagination = getPaginationMeta(page, limitNum, total);
 
+  await hideContactPrivateFields(paginatedContacts, req.user._id);
+
   res.status(200).json(successResponse('Contact search completed', {
     contacts: paginatedContacts,
     pagination,
@@ -259,6 +285,8 @@ const getMutualContacts = asyncHandler(async (req, res) => {
     currentUserContactIds.includes(contact.user._id.toString())
   );
 
+  await hideContactPrivateFields(mutualContacts, req.user._id);
+
   res.status(200).json(successResponse('Mutual contacts retrieved successfully', {
     mutualContacts,
     count: mutualContacts.length
@@ -283,8 +311,10 @@ const getContactStats = asyncHandler(async (req, res) => {
     }));
   }
 
+  await hideContactPrivateFields(user.contacts, req.user._id);
+
   const totalContacts = user.contacts.length;
-  const onlineContacts = user.contacts.filter(contact => contact.user.isOnline).length;
+  const onlineContacts = user.contacts.filter(contact => contact.user && contact.user.isOnline).length;
   
   // Contacts added in the last 7 days
   const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
@@ -0,0 +1,594 @@
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const SyncEvent = require('../models/SyncEvent');
+const { successResponse, errorResponse, asyncHandler } = require('../utils/helpers');
+const { hidePrivateFields } = require('../utils/privacy');
+const { getViewerRoom } = require('../utils/messageDelivery');
+const messageService = require('../utils/messageService');
+
+const MEMBER_FIELDS = 'name avatar status isOnline lastSeen';
+
+/**
+ * Populate a group's members with the profile fields each of them lets the viewer see
+ */
+const populateMembers = async (group, viewerId) => {
+  await group.populate('members.user', MEMBER_FIELDS);
+  await hidePrivateFields(group.members.map(member => member.user), viewerId);
+  return group;
+};
+
+/**
+ * Find a group the user is a member of
+ */
+const findGroupForMember = async (groupId, userId) => {
+  const group = await Conversation.findOne({ _id: groupId, type: 'group' });
+  if (!group || !group.isMember(userId)) {
+    return null;
+  }
+  return group;
+};
+
+/**
+ * Take a former member's sockets (on every instance) out of the group's rooms,
+ * so they stop getting its events
+ */
+const evictFromGroup = (io, group, userId) => {
+  const room = group._id.toString();
+  io.in(userId.toString()).socketsLeave([room, getViewerRoom(room, userId.toString())]);
+};
+
+/**
+ * Format a group's invite link for responses
+ */
+const formatInvite = (group) => ({
+  token: group.invite.token,
+  url: `${process.env.CLIENT_URL}/join/${group.invite.token}`,
+  createdAt: group.invite.createdAt,
+  expiresAt: group.invite.expiresAt,
+  maxUses: group.invite.maxUses,
+  uses: group.invite.uses,
+  isValid: group.hasValidInvite()
+});
+
+/**
+ * @desc    Create a group
+ * @route   POST /api/groups
+ * @access  Private
+ */
+const createGroup = asyncHandler(async (req, res) => {
+  const { name, description, avatar, memberIds = [] } = req.body;
+  const creatorId = req.user._id.toString();
+
+  // Deduplicate and exclude the creator
+  const uniqueIds = [...new Set(memberIds.map(id => id.toString()))].filter(id => id !== creatorId);
+
+  const users = await User.find({ _id: { $in: uniqueIds } }).select('_id');
+  if (users.length !== uniqueIds.length) {
+    return res.status(404).json(errorResponse('One or more users not found'));
+  }
+
+  const group = await Conversation.create({
+    type: 'group',
+    name,
+    description,
+    avatar: avatar || null,
+    createdBy: req.user._id,
+    members: [
+      { user: req.user._id, role: 'owner' },
+      ...uniqueIds.map(id => ({ user: id, addedBy: req.user._id }))
+    ]
+  });
+
+  await messageService.sendSystemMessage(req.app.get('io'), group, req.user._id, `${req.user.name} created group "${group.name}"`);
+
+  await populateMembers(group, req.user._id);
+
+  res.status(201).json(successResponse('Group created successfully', { group }));
+});
+
+/**
+ * @desc    Get groups the user belongs to
+ * @route   GET /api/groups
+ * @access  Private
+ */
+const getGroups = asyncHandler(async (req, res) => {
+  const groups = await Conversation.find({
+    type: 'group',
+    'members.user': req.user._id
+  })
+    .select('name avatar description members createdBy createdAt updatedAt')
+    .sort({ updatedAt: -1 });
+
+  res.status(200).json(successResponse('Groups retrieved successfully', { groups }));
+});
+
+/**
+ * @desc    Get group details
+ * @route   GET /api/groups/:groupId
+ * @access  Private
+ */
+const getGroup = asyncHandler(async (req, res) => {
+  const group = await findGroupForMember(req.params.groupId, req.user._id);
+  if (!group) {
+    return res.status(404).json(errorResponse('Group not found'));
+  }
+
+  await populateMembers(group, req.user._id);
+
+  res.status(200).json(successResponse('Group retrieved successfully', { group }));
+});
+
+/**
+ * @desc    Update group info (name, description, avatar)
+ * @route   PUT /api/groups/:groupId
+ * @access  Private
+ */
+const updateGroup = asyncHandler(async (req, res) => {
+  const { name, description, avatar } = req.body;
+
+  const group = await findGroupForMember(req.params.groupId, req.user._id);
+  if (!group) {
+    return res.status(404).json(errorResponse('Group not found'));
+  }
+
+  if (!group.canEditInfo(req.user._id)) {
+    return res.status(403).json(errorResponse('Only admins can change group info'));
+  }
+
+  const changes = [];
+
+  if (name !== undefined && name !== group.name) {
+    group.name = name;
+    changes.push(`${req.user.name} changed the group name to "${name}"`);
+  }
+
+  if (description !== undefined && description !== group.description) {
+    group.description = description;
+    changes.push(`${req.user.name} changed the group description`);
+  }
+
+  if (avatar !== undefined && avatar !== group.avatar) {
+    group.avatar = avatar || null;
+    changes.push(`${req.user.name} changed the group icon`);
+  }
+
+  if (changes.length > 0) {
+    await group.save();
+
+    for (const change of changes) {
+      await messageService.sendSystemMessage(req.app.get('io'), group, req.user._id, change);
+    }
+  }
+
+  await populateMembers(group, req.user._id);
+
+  res.status(200).json(successResponse('Group updated successfully', { group }));
+});
+
+/**
+ * @desc    Add members to a group
+ * @route   POST /api/groups/:groupId/members
+ * @access  Private (group admins)
+ */
+const addMembers = asyncHandler(async (req, res) => {
+  const { userIds } = req.body;
+
+  const group = await findGroupForMember(req.params.groupId, req.user._id);
+  if (!group) {
+    return res.status(404).json(errorResponse('Group not found'));
+  }
+
+  if (!group.isAdmin(req.user._id)) {
+    return res.status(403).json(errorResponse('Only admins can add members'));
+  }
+
+  const existingIds = group.getMemberIds();
+  const newIds = [...new Set(userIds.map(id => id.toString()))].filter(id => !existingIds.includes(id));
+
+  if (newIds.length === 0) {
+    return res.status(400).json(errorResponse('Users are already members of this group'));
+  }
+
+  const users = await User.find({ _id: { $in: newIds } }).select('name');
+  if (users.length !== newIds.length) {
+    return res.status(404).json(errorResponse('One or more users not found'));
+  }
+
+  users.forEach(user => {
+    group.members.push({ user: user._id, addedBy: req.user._id });
+  });
+  await group.save();
+
+  const names = users.map(user => user.name).join(', ');
+  await messageService.sendSystemMessage(req.app.get('io'), group, req.user._id, `${req.user.name} added ${names}`);
+
+  await populateMembers(group, req.user._id);
+
+  res.status(200).json(successResponse('Members added successfully', { group }));
+});
+
+/**
+ * @desc    Remove a member from a group
+ * @route   DELETE /api/groups/:groupId/members/:userId
+ * @access  Private (group admins)
+ */
+const removeMember = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  const group = await findGroupForMember(req.params.groupId, req.user._id);
+  if (!group) {
+    return res.status(404).json(errorResponse('Group not found'));
+  }
+
+  if (userId === req.user._id.toString()) {
+    return res.status(400).json(errorResponse('Use the leave endpoint to leave a group'));
+  }
+
+  if (!group.isAdmin(req.user._id)) {
+    return res.status(403).json(errorResponse('Only admins can remove members'));
+  }
+
+  if (!group.isMember(userId)) {
+    return res.status(404).json(errorResponse('User is not a member of this group'));
+  }
+
+  if (group.getMemberRole(userId) === 'owner') {
+    return res.status(403).json(errorResponse('The group owner cannot be removed'));
+  }
+
+  const removedUser = await User.findById(userId).select('name');
+
+  group.members = group.members.filter(member => member.user.toString() !== userId);
+  await group.save();
+
+  // Tell the removed user's devices (including ones offline now) before they stop getting the group's events
+  const io = req.app.get('io');
+  const removal = { groupId: group._id, removedBy: req.user._id };
+  io.to(userId).emit('removedFromGroup', removal);
+  await SyncEvent.record(userId, 'removedFromGroup', removal);
+
+  evictFromGroup(io, group, userId);
+
+  const removedName = removedUser ? removedUser.name : 'a member';
+  await messageService.sendSystemMessage(io, group, req.user._id, `${req.user.name} removed ${removedName}`);
+
+  res.status(200).json(successResponse('Member removed successfully'));
+});
+
+/**
+ * @desc    Leave a group
+ * @route   POST /api/groups/:groupId/leave
+ * @access  Private
+ */
+const leaveGroup = asyncHandler(async (req, res) => {
+  const group = await findGroupForMember(req.params.groupId, req.user._id);
+  if (!group) {
+    return res.status(404).json(errorResponse('Group not found'));
+  }
+
+  const wasOwner = group.getMemberRole(req.user._id) === 'owner';
+
+  group.members = group.members.filter(member => member.user.toString() !== req.user._id.toString());
+
+  // Hand ownership to the longest-standing admin, or else the longest-standing member
+  let newOwner = null;
+  if (wasOwner && group.members.length > 0) {
+    const bySeniority = [...group.members].sort((a, b) => a.joinedAt - b.joinedAt);
+    newOwner = bySeniority.find(member => member.role === 'admin') || bySeniority[0];
+    newOwner.role = 'owner';
+  }
+
+  await group.save();
+
+  evictFromGroup(req.app.get('io'), group, req.user._id);
+
+  await messageService.sendSystemMessage(req.app.get('io'), group, req.user._id, `${req.user.name} left`);
+
+  if (newOwner) {
+    const ownerUser = await User.findById(newOwner.user).select('name');
+    if (ownerUser) {
+      await messageService.sendSystemMessage(req.app.get('io'), group, req.user._id, `${ownerUser.name} is now the group owner`);
+    }
+  }
+
+  res.status(200).json(successResponse('You left the group'));
+});
+
+/**
+ * @desc    Change a member's role (admin or member)
+ * @route   PUT /api/groups/:groupId/members/:userId/role
+ * @access  Private (group admins)
+ */
+const updateMemberRole = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  const group = await findGroupForMember(req.params.groupId, req.user._id);
+  if (!group) {
+    return res.status(404).json(errorResponse('Group not found'));
+  }
+
+  if (!group.isAdmin(req.user._id)) {
+    return res.status(403).json(errorResponse('Only admins can change member roles'));
+  }
+
+  const member = group.members.find(m => m.user.toString() === userId);
+  if (!member) {
+    return res.status(404).json(errorResponse('User is not a member of this group'));
+  }
+
+  if (member.role === 'owner') {
+    return res.status(403).json(errorResponse('The group owner\'s role cannot be changed'));
+  }
+
+  if (member.role === role) {
+    return res.status(400).json(errorResponse(`User is already ${role === 'admin' ? 'an admin' : 'a member'}`));
+  }
+
+  member.role = role;
+  await group.save();
+
+  const targetUser = await User.findById(userId).select('name');
+  const targetName = targetUser ? targetUser.name : 'a member';
+  const content = role === 'admin'
+    ? `${req.user.name} made ${targetName} an admin`
+    : `${req.user.name} dismissed ${targetName} as admin`;
+  await messageService.sendSystemMessage(req.app.get('io'), group, req.user._id, content);
+
+  await populateMembers(group, req.user._id);
+
+  res.status(200).json(successResponse('Member role updated successfully', { group }));
+});
+
+/**
+ * @desc    Update group permission settings
+ * @route   PUT /api/groups/:groupId/settings
+ * @access  Private (group admins)
+ */
+const updateSettings = asyncHandler(async (req, res) => {
+  const { sendMessages, editInfo, approveNewMembers } = req.body;
+
+  const group = await findGroupForMember(req.params.groupId, req.user._id);
+  if (!group) {
+    return res.status(404).json(errorResponse('Group not found'));
+  }
+
+  if (!group.isAdmin(req.user._id)) {
+    return res.status(403).json(errorResponse('Only admins can change group settings'));
+  }
+
+  const changes = [];
+
+  if (sendMessages !== undefined && sendMessages !== group.settings.sendMessages) {
+    group.settings.sendMessages = sendMessages;
+    changes.push(sendMessages === 'admins'
+      ? `${req.user.name} changed this group's settings to allow only admins to send messages`
+      : `${req.user.name} changed this group's settings to allow all participants to send messages`);
+  }
+
+  if (editInfo !== undefined && editInfo !== group.settings.editInfo) {
+    group.settings.editInfo = editInfo;
+    changes.push(editInfo === 'admins'
+      ? `${req.user.name} changed this group's settings to allow only admins to edit this group's info`
+      : `${req.user.name} changed this group's settings to allow all participants to edit this group's info`);
+  }
+
+  if (approveNewMembers !== undefined && approveNewMembers !== group.settings.approveNewMembers) {
+    group.settings.approveNewMembers = approveNewMembers;
+    changes.push(approveNewMembers
+      ? `${req.user.name} turned on admin approval to join this group`
+      : `${req.user.name} turned off admin approval to join this group`);
+  }
+
+  if (changes.length > 0) {
+    await group.save();
+
+    for (const change of changes) {
+      await messageService.sendSystemMessage(req.app.get('io'), group, req.user._id, change);
+    }
+  }
+
+  res.status(200).json(successResponse('Group settings updated successfully', {
+    settings: group.settings
+  }));
+});
+
+/**
+ * @desc    Create or reset the group's invite link
+ * @route   POST /api/groups/:groupId/invite
+ * @access  Private (group admins)
+ */
+const createInviteLink = asyncHandler(async (req, res) => {
+  const { expiresAt, maxUses } = req.body;
+
+  const group = await findGroupForMember(req.params.groupId, req.user._id);
+  if (!group) {
+    return res.status(404).json(errorResponse('Group not found'));
+  }
+
+  if (!group.isAdmin(req.user._id)) {
+    return res.status(403).json(errorResponse('Only admins can manage invite links'));
+  }
+
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    return res.status(400).json(errorResponse('Expiry date must be in the future'));
+  }
+
+  const hadInvite = Boolean(group.invite && group.invite.token);
+
+  group.createInvite(req.user._id, {
+    expiresAt: expiresAt ? new Date(expiresAt) : null,
+    maxUses: maxUses ? parseInt(maxUses) : null
+  });
+  await group.save();
+
+  if (hadInvite) {
+    await messageService.sendSystemMessage(req.app.get('io'), group, req.user._id, `${req.user.name} reset this group's invite link`);
+  }
+
+  res.status(201).json(successResponse('Invite link created successfully', {
+    invite: formatInvite(group)
+  }));
+});
+
+/**
+ * @desc    Get the group's current invite link
+ * @route   GET /api/groups/:groupId/invite
+ * @access  Private (group admins)
+ */
+const getInviteLink = asyncHandler(async (req, res) => {
+  const group = await findGroupForMember(req.params.groupId, req.user._id);
+  if (!group) {
+    return res.status(404).json(errorResponse('Group not found'));
+  }
+
+  if (!group.isAdmin(req.user._id)) {
+    return res.status(403).json(errorResponse('Only admins can manage invite links'));
+  }
+
+  if (!group.invite || !group.invite.token) {
+    return res.status(404).json(errorResponse('This group has no invite link'));
+  }
+
+  res.status(200).json(successResponse('Invite link retrieved successfully', {
+    invite: formatInvite(group)
+  }));
+});
+
+/**
+ * @desc    Revoke the group's invite link
+ * @route   DELETE /api/groups/:groupId/invite
+ * @access  Private (group admins)
+ */
+const revokeInviteLink = asyncHandler(async (req, res) => {
+  const group = await findGroupForMember(req.params.groupId, req.user._id);
+  if (!group) {
+    return res.status(404).json(errorResponse('Group not found'));
+  }
+
+  if (!group.isAdmin(req.user._id)) {
+    return res.status(403).json(errorResponse('Only admins can manage invite links'));
+  }
+
+  if (!group.invite || !group.invite.token) {
+    return res.status(404).json(errorResponse('This group has no invite link'));
+  }
+
+  group.invite = undefined;
+  await group.save();
+
+  await messageService.sendSystemMessage(req.app.get('io'), group, req.user._id, `${req.user.name} revoked this group's invite link`);
+
+  res.status(200).json(successResponse('Invite link revoked successfully'));
+});
+
+/**
+ * @desc    Get pending join requests
+ * @route   GET /api/groups/:groupId/join-requests
+ * @access  Private (group admins)
+ */
+const getJoinRequests = asyncHandler(async (req, res) => {
+  const group = await findGroupForMember(req.params.groupId, req.user._id);
+  if (!group) {
+    return res.status(404).json(errorResponse('Group not found'));
+  }
+
+  if (!group.isAdmin(req.user._id)) {
+    return res.status(403).json(errorResponse('Only admins can manage join requests'));
+  }
+
+  await group.populate('joinRequests.user', 'name avatar status');
+  await hidePrivateFields(group.joinRequests.map(request => request.user), req.user._id);
+
+  res.status(200).json(successResponse('Join requests retrieved successfully', {
+    joinRequests: group.joinRequests
+  }));
+});
+
+/**
+ * @desc    Approve a pending join request
+ * @route   POST /api/groups/:groupId/join-requests/:userId
+ * @access  Private (group admins)
+ */
+const approveJoinRequest = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  const group = await findGroupForMember(req.params.groupId, req.user._id);
+  if (!group) {
+    return res.status(404).json(errorResponse('Group not found'));
+  }
+
+  if (!group.isAdmin(req.user._id)) {
+    return res.status(403).json(errorResponse('Only admins can manage join requests'));
+  }
+
+  if (!group.hasJoinRequest(userId)) {
+    return res.status(404).json(errorResponse('Join request not found'));
+  }
+
+  const requester = await User.findById(userId).select('name');
+  const joinRequest = group.joinRequests.find(request => request.user.toString() === userId);
+  const joining = Boolean(requester) && !group.isMember(userId);
+
+  group.joinRequests = group.joinRequests.filter(request => request.user.toString() !== userId);
+  if (joining) {
+    group.members.push({ user: userId, addedBy: req.user._id });
+  }
+  await group.save();
+
+  // Admins may approve past the link's limit; the join still counts as a use
+  if (joining && joinRequest.inviteToken) {
+    await Conversation.countInviteUse(group._id, joinRequest.inviteToken);
+  }
+
+  if (requester) {
+    await messageService.sendSystemMessage(req.app.get('io'), group, req.user._id, `${req.user.name} approved ${requester.name} to join`);
+  }
+
+  res.status(200).json(successResponse('Join request approved'));
+});
+
+/**
+ * @desc    Reject a pending join request
+ * @route   DELETE /api/groups/:groupId/join-requests/:userId
+ * @access  Private (group admins)
+ */
+const rejectJoinRequest = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  const group = await findGroupForMember(req.params.groupId, req.user._id);
+  if (!group) {
+    return res.status(404).json(errorResponse('Group not found'));
+  }
+
+  if (!group.isAdmin(req.user._id)) {
+    return res.status(403).json(errorResponse('Only admins can manage join requests'));
+  }
+
+  if (!group.hasJoinRequest(userId)) {
+    return res.status(404).json(errorResponse('Join request not found'));
+  }
+
+  group.joinRequests = group.joinRequests.filter(request => request.user.toString() !== userId);
+  await group.save();
+
+  res.status(200).json(successResponse('Join request rejected'));
+});
+
+module.exports = {
+  createGroup,
+  getGroups,
+  getGroup,
+  updateGroup,
+  addMembers,
+  removeMember,
+  leaveGroup,
+  updateMemberRole,
+  updateSettings,
+  createInviteLink,
+  getInviteLink,
+  revokeInviteLink,
+  getJoinRequests,
+  approveJoinRequest,
+  rejectJoinRequest
+};
@@ -0,0 +1,89 @@
+const Conversation = require('../models/Conversation');
+const messageService = require('../utils/messageService');
+const { successResponse, errorResponse, asyncHandler } = require('../utils/helpers');
+
+/**
+ * @desc    Preview a group from its invite link
+ * @route   GET /api/invites/:token
+ * @access  Public
+ */
+const previewInvite = asyncHandler(async (req, res) => {
+  const group = await Conversation.findOne({ type: 'group', 'invite.token': req.params.token });
+
+  if (!group || !group.hasValidInvite()) {
+    return res.status(404).json(errorResponse('Invite link is invalid or has expired'));
+  }
+
+  res.status(200).json(successResponse('Invite preview retrieved successfully', {
+    group: {
+      id: group._id,
+      name: group.name,
+      avatar: group.avatar,
+      memberCount: group.memberCount,
+      requiresApproval: group.settings.approveNewMembers
+    }
+  }));
+});
+
+/**
+ * @desc    Join a group via its invite link
+ * @route   POST /api/invites/:token/join
+ * @access  Private
+ */
+const joinViaInvite = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+  const userId = req.user._id;
+
+  const group = await Conversation.findOne({ type: 'group', 'invite.token': token });
+
+  if (!group || !group.hasValidInvite()) {
+    return res.status(404).json(errorResponse('Invite link is invalid or has expired'));
+  }
+
+  if (group.isMember(userId)) {
+    return res.status(400).json(errorResponse('You are already a member of this group'));
+  }
+
+  // Queue a join request for admins to review
+  if (group.settings.approveNewMembers) {
+    if (group.hasJoinRequest(userId)) {
+      return res.status(400).json(errorResponse('Your request to join is already pending'));
+    }
+
+    const updated = await Conversation.redeemInvite(
+      token,
+      { 'joinRequests.user': { $ne: userId } },
+      { $push: { joinRequests: { user: userId, requestedAt: new Date(), inviteToken: token } } },
+      { countUse: false }
+    );
+
+    if (!updated) {
+      return res.status(404).json(errorResponse('Invite link is invalid or has expired'));
+    }
+
+    return res.status(202).json(successResponse('Join request sent to group admins', {
+      groupId: group._id
+    }));
+  }
+
+  const updated = await Conversation.redeemInvite(
+    token,
+    { 'members.user': { $ne: userId } },
+    { $push: { members: { user: userId, role: 'member', joinedAt: new Date() } } }
+  );
+
+  if (!updated) {
+    return res.status(404).json(errorResponse('Invite link is invalid or has expired'));
+  }
+
+  await messageService.sendSystemMessage(req.app.get('io'), updated, userId, `${req.user.name} joined using this group's invite link`);
+
+  res.status(200).json(successResponse('Joined group successfully', {
+    group: updated
+  }));
+});
+
+module.exports = {
+  previewInvite,
+  joinViaInvite
+};
@@ -1,87 +1,249 @@
 const Message = require('../models/Message');
-const User = require('../models/User');
-const { successResponse, errorResponse, asyncHandler, paginate, getPaginationMeta, containsEmoji } = require('../utils/helpers');
+const Conversation = require('../models/Conversation');
+const StarredMessage = require('../models/StarredMessage');
+const SyncEvent = require('../models/SyncEvent');
+const {
+  successResponse,
+  errorResponse,
+  asyncHandler,
+  paginate,
+  getPaginationMeta,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  escapeRegex,
+  getSearchTerms,
+  buildSearchSnippet
+} = require('../utils/helpers');
+const { markDelivered, markRead } = require('../utils/messageDelivery');
+const { hidePrivateFields } = require('../utils/privacy');
+const messageService = require('../utils/messageService');
 
 /**
- * @desc    Send a message
- * @route   POST /api/messages
- * @access  Private
+ * Format conversation info returned alongside messages
  */
-const sendMessage = asyncHandler(async (req, res) => {
-  const { receiverId, content, messageType, replyTo } = req.body;
+const formatConversation = (conversation) => ({
+  id: conversation._id,
+  type: conversation.type,
+  name: conversation.name,
+  avatar: conversation.avatar,
+  description: conversation.description,
+  memberCount: conversation.memberCount,
+  disappearingMessages: (conversation.settings && conversation.settings.disappearingMessages) || 'off'
+});
+
+/**
+ * Format the other participant of a direct conversation (null for groups)
+ */
+const formatParticipant = (user) => (user ? {
+  id: user._id,
+  name: user.name,
+  avatar: user.avatar,
+  isOnline: user.isOnline,
+  lastSeen: user.lastSeen
+} : null);
 
-  // Check if receiver exists
-  const receiver = await User.findById(receiverId);
-  if (!receiver) {
-    return res.status(404).json(errorResponse('Receiver not found'));
+/**
+ * Get the other user of a direct conversation with populated members (null for groups)
+ */
+const findOtherMember = (conversation, userId) => {
+  if (conversation.type !== 'direct') {
+    return null;
   }
+  const otherMember = conversation.members.find(member => member.user && member.user._id.toString() !== userId.toString());
+  return otherMember ? otherMember.user : null;
+};
+
+/**
+ * Broadcast an event to a conversation room over Socket.io, and record it
+ * for every member so offline devices get it when they sync
+ */
+const emitToConversation = async (req, conversation, event, payload) => {
+  await SyncEvent.recordForConversation(conversation, event, payload);
 
-  // Determine message type if not provided
-  let finalMessageType = messageType;
-  if (!finalMessageType) {
-    finalMessageType = containsEmoji(content) && content.trim().length <= 10 ? 'emoji' : 'text';
+  const io = req.app.get('io');
+  if (io) {
+    io.to((conversation._id || conversation).toString()).emit(event, payload);
   }
+};
 
-  // Create message
-  const message = await Message.create({
-    sender: req.user._id,
-    receiver: receiverId,
-    content: content.trim(),
-    messageType: finalMessageType,
-    replyTo: replyTo || null
+/**
+ * @desc    Send a message
+ * @route   POST /api/messages
+ * @access  Private
+ */
+const sendMessage = asyncHandler(async (req, res) => {
+  const { clientMessageId, content, messageType, replyTo, attachmentId } = req.body;
+
+  // Resolved and permission-checked by requireSendPermission
+  const { message, created } = await messageService.sendMessage(req.app.get('io'), {
+    sender: req.user,
+    conversation: req.conversation,
+    clientMessageId,
+    content,
+    messageType,
+    replyTo,
+    attachmentId
   });
 
-  // Populate sender and receiver info
-  await message.populate([
-    { path: 'sender', select: 'name avatar' },
-    { path: 'receiver', select: 'name avatar' },
-    { path: 'replyTo', select: 'content sender' }
-  ]);
+  // A retried send gets the message saved the first time
+  if (!created) {
+    return res.status(200).json(successResponse('Message already sent', { message }));
+  }
 
   res.status(201).json(successResponse('Message sent successfully', { message }));
 });
 
 /**
- * @desc    Get conversation between two users
- * @route   GET /api/messages/conversation/:userId
+ * Turn a before/after value into a cursor: a timestamp (ISO date or epoch
+ * milliseconds) or the ID of a message the user can see in the conversation.
+ * Returns null if the message doesn't exist and undefined if the value is invalid.
+ */
+const parseMessageCursor = async (conversationId, userId, value) => {
+  const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+  if (!Number.isNaN(date.getTime())) {
+    return { date, id: null };
+  }
+
+  // Only 24-character hex IDs; ObjectId.isValid also accepts any 12-character string
+  if (!/^[a-f\d]{24}$/i.test(value)) {
+    return undefined;
+  }
+
+  const message = await Message.findVisibleInConversation(conversationId, userId, value);
+  return message ? { date: message.createdAt, id: message._id.toString() } : null;
+};
+
+/**
+ * @desc    Get messages of a conversation (by conversation ID or other user's ID)
+ * @route   GET /api/messages/conversation/:id
  * @access  Private
  */
 const getConversation = asyncHandler(async (req, res) => {
-  const { userId } = req.params;
-  const { page = 1, limit = 50 } = req.query;
-
-  // Check if other user exists
-  const otherUser = await User.findById(userId);
-  if (!otherUser) {
-    return res.status(404).json(errorResponse('User not found'));
-  }
-
-  const messages = await Message.getConversation(req.user._id, userId, page, limit);
-  
-  // Get total count for pagination
-  const totalMessages = await Message.countDocuments({
-    $or: [
-      { sender: req.user._id, receiver: userId },
-      { sender: userId, receiver: req.user._id }
-    ],
-    isDeleted: false
-  });
+  const { id } = req.params;
+  const { page = 1, limit = 50, before, after, around } = req.query;
+
+  const resolved = await Conversation.resolveForUser(req.user._id, id);
+  if (!resolved) {
+    return res.status(404).json(errorResponse('Conversation not found'));
+  }
+
+  const { conversation, otherUser } = resolved;
+
+  let messages;
+  let pagination;
+
+  // Cursor mode: before/after a message ID or timestamp, or a window around a message
+  if (before || after || around) {
+    const cursorLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+    let result;
+
+    if (around) {
+      const target = await Message.findVisibleInConversation(conversation._id, req.user._id, around);
+      if (!target) {
+        return res.status(404).json(errorResponse('Message not found'));
+      }
+
+      result = await Message.getConversationAround(conversation._id, req.user._id, target, cursorLimit);
+    } else {
+      const cursor = await parseMessageCursor(conversation._id, req.user._id, before || after);
+      if (cursor === undefined) {
+        return res.status(400).json(errorResponse('Cursor must be a message ID or a timestamp'));
+      }
+      if (cursor === null) {
+        return res.status(404).json(errorResponse('Message not found'));
+      }
 
-  const pagination = getPaginationMeta(page, limit, totalMessages);
+      result = await Message.getConversationPage(conversation._id, req.user._id, {
+        [before ? 'before' : 'after']: cursor,
+        limit: cursorLimit
+      });
+    }
+
+    messages = result.messages;
+    pagination = {
+      limit: cursorLimit,
+      hasMoreBefore: result.hasMoreBefore,
+      hasMoreAfter: result.hasMoreAfter,
+      // Pass as before/after to load the neighbouring pages
+      before: messages.length > 0 ? messages[0]._id : null,
+      after: messages.length > 0 ? messages[messages.length - 1]._id : null
+    };
+  } else {
+    // Page number mode
+    messages = (await Message.getConversation(conversation._id, req.user._id, page, limit)).reverse(); // Reverse to show oldest first
+
+    // Get total count for pagination, counting the same messages as the page
+    const totalMessages = await Message.countInConversation(conversation._id, req.user._id);
+
+    pagination = getPaginationMeta(page, limit, totalMessages);
+  }
+
+  const pinnedMessages = await Message.getPinnedMessages(conversation, req.user._id);
 
-  // Mark messages as read
-  await Message.markAsRead(userId, req.user._id);
+  await hidePrivateFields(otherUser, req.user._id);
+
+  // Fetching the conversation delivers any messages that weren't acknowledged yet, and reads
+  // them up to the newest one returned (older history pages leave newer messages unread)
+  await markDelivered(req.app.get('io'), conversation._id, req.user._id);
+  if (messages.length > 0) {
+    await markRead(req.app.get('io'), conversation._id, req.user._id, messages[messages.length - 1]);
+  }
 
   res.status(200).json(successResponse('Conversation retrieved successfully', {
-    messages: messages.reverse(), // Reverse to show oldest first
+    messages: await StarredMessage.withStarredState(req.user._id, messages),
     pagination,
-    participant: {
-      id: otherUser._id,
-      name: otherUser.name,
-      avatar: otherUser.avatar,
-      isOnline: otherUser.isOnline,
-      lastSeen: otherUser.lastSeen
-    }
+    conversation: formatConversation(conversation),
+    participant: formatParticipant(otherUser),
+    pinnedMessages
+  }));
+});
+
+// Disappearing message timers as written in system messages
+const DISAPPEARING_LABELS = {
+  '24h': '24 hours',
+  '7d': '7 days',
+  '90d': '90 days'
+};
+
+/**
+ * @desc    Set the disappearing messages timer of a conversation
+ * @route   PUT /api/messages/conversation/:id/disappearing
+ * @access  Private
+ */
+const setDisappearingMessages = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { duration } = req.body;
+
+  // A timer can be set before the first message is sent
+  const resolved = await Conversation.resolveForUser(req.user._id, id, { create: true });
+  if (!resolved) {
+    return res.status(404).json(errorResponse('Conversation not found'));
+  }
+
+  const { conversation } = resolved;
+
+  if (!conversation.canManageChat(req.user._id)) {
+    return res.status(403).json(errorResponse('Only admins can change disappearing messages in this group'));
+  }
+
+  if (conversation.settings.disappearingMessages !== duration) {
+    conversation.settings.disappearingMessages = duration;
+    await conversation.save();
+
+    await messageService.sendSystemMessage(req.app.get('io'), conversation, req.user._id, duration === 'off'
+      ? `${req.user.name} turned off disappearing messages`
+      : `${req.user.name} turned on disappearing messages. New messages will disappear from this chat ${DISAPPEARING_LABELS[duration]} after they're sent`);
+
+    await emitToConversation(req, conversation, 'disappearingMessagesChanged', {
+      conversationId: conversation._id,
+      duration,
+      changedBy: req.user._id
+    });
+  }
+
+  res.status(200).json(successResponse('Disappearing messages updated successfully', {
+    conversation: formatConversation(conversation)
   }));
 });
 
@@ -101,95 +263,340 @@ const getConversations = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Mark messages as read
- * @route   PUT /api/messages/read/:senderId
+ * @desc    Mark messages of a conversation as read (by conversation ID or sender's ID)
+ * @route   PUT /api/messages/read/:id
  * @access  Private
  */
 const markAsRead = asyncHandler(async (req, res) => {
-  const { senderId } = req.params;
+  const { id } = req.params;
+
+  const resolved = await Conversation.resolveForUser(req.user._id, id);
+  if (!resolved) {
+    return res.status(404).json(errorResponse('Conversation not found'));
+  }
+
+  const { conversation } = resolved;
 
-  // Check if sender exists
-  const sender = await User.findById(senderId);
-  if (!sender) {
-    return res.status(404).json(errorResponse('Sender not found'));
+  // Read up to and including a specific message, or the whole conversation
+  let upTo;
+  if (req.body.messageId) {
+    upTo = await Message.findVisibleInConversation(conversation._id, req.user._id, req.body.messageId);
+    if (!upTo) {
+      return res.status(404).json(errorResponse('Message not found'));
+    }
   }
 
-  const result = await Message.markAsRead(senderId, req.user._id);
+  const receipt = await markRead(req.app.get('io'), conversation._id, req.user._id, upTo);
 
   res.status(200).json(successResponse('Messages marked as read', {
-    modifiedCount: result.modifiedCount
+    modifiedCount: receipt ? receipt.event.messageIds.length : 0,
+    messageIds: receipt ? receipt.event.messageIds : []
   }));
 });
 
 /**
- * @desc    Delete a message
- * @route   DELETE /api/messages/:messageId
+ * @desc    Delete a message for everyone (sender only) or just for the current user
+ * @route   DELETE /api/messages/:messageId?scope=everyone|me
  * @access  Private
  */
 const deleteMessage = asyncHandler(async (req, res) => {
-  const { messageId } = req.params;
+  const { scope = 'everyone' } = req.query;
 
-  const message = await Message.findById(messageId);
+  await messageService.deleteMessage(req.app.get('io'), {
+    userId: req.user._id,
+    messageId: req.params.messageId,
+    scope
+  });
 
-  if (!message) {
+  res.status(200).json(successResponse(scope === 'me' ? 'Message deleted for you' : 'Message deleted successfully'));
+});
+
+/**
+ * @desc    Edit a message
+ * @route   PUT /api/messages/:messageId
+ * @access  Private
+ */
+const editMessage = asyncHandler(async (req, res) => {
+  const message = await messageService.editMessage(req.app.get('io'), {
+    userId: req.user._id,
+    messageId: req.params.messageId,
+    content: req.body.content
+  });
+
+  // Populate for response
+  await message.populate([
+    { path: 'sender', select: 'name avatar' },
+    { path: 'receiver', select: 'name avatar' },
+    { path: 'attachment', select: Message.ATTACHMENT_FIELDS }
+  ]);
+
+  const [messageWithState] = await StarredMessage.withStarredState(req.user._id, [message]);
+
+  res.status(200).json(successResponse('Message edited successfully', { message: messageWithState }));
+});
+
+/**
+ * @desc    Star a message
+ * @route   POST /api/messages/:messageId/star
+ * @access  Private
+ */
+const starMessage = asyncHandler(async (req, res) => {
+  const message = await Message.findForMember(req.params.messageId, req.user._id);
+
+  if (!message || message.messageType === 'system') {
     return res.status(404).json(errorResponse('Message not found'));
   }
 
-  // Check if user is the sender
-  if (message.sender.toString() !== req.user._id.toString()) {
-    return res.status(403).json(errorResponse('You can only delete your own messages'));
+  const star = await StarredMessage.star(req.user._id, message);
+
+  res.status(200).json(successResponse('Message starred successfully', {
+    messageId: message._id,
+    isStarred: true,
+    starredAt: star.starredAt
+  }));
+});
+
+/**
+ * @desc    Unstar a message
+ * @route   DELETE /api/messages/:messageId/star
+ * @access  Private
+ */
+const unstarMessage = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+
+  await StarredMessage.deleteOne({ user: req.user._id, message: messageId });
+
+  res.status(200).json(successResponse('Message unstarred successfully', {
+    messageId,
+    isStarred: false
+  }));
+});
+
+/**
+ * @desc    Get starred messages, across all conversations or within one
+ * @route   GET /api/messages/starred?conversationId=&cursor=&limit=
+ * @access  Private
+ */
+const getStarredMessages = asyncHandler(async (req, res) => {
+  const { conversationId, cursor } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const filter = { user: req.user._id };
+
+  if (conversationId) {
+    const resolved = await Conversation.resolveForUser(req.user._id, conversationId);
+    if (!resolved) {
+      return res.status(404).json(errorResponse('Conversation not found'));
+    }
+    filter.conversation = resolved.conversation._id;
   }
 
-  // Soft delete - mark as deleted instead of removing from database
-  message.isDeleted = true;
-  message.deletedAt = new Date();
-  await message.save();
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded) {
+      return res.status(400).json(errorResponse('Invalid cursor'));
+    }
+    Object.assign(filter, buildCursorFilter('starredAt', decoded));
+  }
 
-  res.status(200).json(successResponse('Message deleted successfully'));
+  // Fetch one extra star to know whether there is another page
+  const stars = await StarredMessage.find(filter)
+    .sort({ starredAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate({
+      path: 'message',
+      populate: [
+        { path: 'sender', select: 'name avatar' },
+        { path: 'receiver', select: 'name avatar' },
+        { path: 'replyTo', select: 'content sender' },
+        { path: 'attachment', select: Message.ATTACHMENT_FIELDS }
+      ]
+    });
+
+  const hasMore = stars.length > limit;
+  const page = stars.slice(0, limit);
+
+  // Load each conversation once, with members for the direct chat participant
+  const conversations = await Conversation.find({
+    _id: { $in: page.map(star => star.conversation) },
+    'members.user': req.user._id
+  }).populate('members.user', 'name avatar isOnline lastSeen');
+  await hidePrivateFields(conversations.map(conversation => findOtherMember(conversation, req.user._id)), req.user._id);
+
+  const conversationsById = new Map(conversations.map(conversation => [conversation._id.toString(), conversation]));
+
+  const starredMessages = page
+    .filter(star => star.message && conversationsById.has(star.conversation.toString()))
+    .map(star => {
+      const conversation = conversationsById.get(star.conversation.toString());
+
+      return {
+        message: { ...star.message.toJSON(), isStarred: true },
+        starredAt: star.starredAt,
+        conversation: formatConversation(conversation),
+        participant: formatParticipant(findOtherMember(conversation, req.user._id))
+      };
+    });
+
+  const last = page[page.length - 1];
+
+  res.status(200).json(successResponse('Starred messages retrieved successfully', {
+    starredMessages,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(last.starredAt, last._id) : null
+    }
+  }));
 });
 
 /**
- * @desc    Edit a message
- * @route   PUT /api/messages/:messageId
+ * Describe a message for the "pinned a message" system message
+ */
+const describePinnedMessage = (message) => {
+  const labels = {
+    image: 'a photo',
+    video: 'a video',
+    audio: 'an audio file',
+    voice: 'a voice message',
+    document: 'a document'
+  };
+
+  if (labels[message.messageType]) {
+    return labels[message.messageType];
+  }
+
+  const snippet = message.content.length > 30 ? `${message.content.slice(0, 30)}…` : message.content;
+  return `"${snippet}"`;
+};
+
+/**
+ * @desc    Pin a message to the top of its conversation
+ * @route   POST /api/messages/:messageId/pin
  * @access  Private
  */
-const editMessage = asyncHandler(async (req, res) => {
-  const { messageId } = req.params;
-  const { content } = req.body;
+const pinMessage = asyncHandler(async (req, res) => {
+  const { duration } = req.body;
 
-  const message = await Message.findById(messageId);
+  const message = await Message.findForMember(req.params.messageId, req.user._id);
+  if (!message || message.messageType === 'system') {
+    return res.status(404).json(errorResponse('Message not found'));
+  }
 
+  const conversation = await Conversation.findById(message.conversation);
+  if (!conversation.canManageChat(req.user._id)) {
+    return res.status(403).json(errorResponse('Only admins can pin messages in this group'));
+  }
+
+  const pin = conversation.pinMessage(message._id, req.user._id, duration);
+  await conversation.save();
+
+  await messageService.sendSystemMessage(req.app.get('io'), conversation,
+    req.user._id,
+    `${req.user.name} pinned ${describePinnedMessage(message)}`,
+    { replyTo: message._id }
+  );
+
+  await emitToConversation(req, conversation, 'messagePinned', {
+    conversationId: conversation._id,
+    messageId: message._id,
+    pinned: true,
+    pinnedBy: req.user._id,
+    pinnedAt: pin.pinnedAt,
+    expiresAt: pin.expiresAt
+  });
+
+  res.status(200).json(successResponse('Message pinned successfully', {
+    pin,
+    pinnedMessages: await Message.getPinnedMessages(conversation, req.user._id)
+  }));
+});
+
+/**
+ * @desc    Unpin a message
+ * @route   DELETE /api/messages/:messageId/pin
+ * @access  Private
+ */
+const unpinMessage = asyncHandler(async (req, res) => {
+  const message = await Message.findForMember(req.params.messageId, req.user._id, { includeDeleted: true });
   if (!message) {
     return res.status(404).json(errorResponse('Message not found'));
   }
 
-  // Check if user is the sender
-  if (message.sender.toString() !== req.user._id.toString()) {
-    return res.status(403).json(errorResponse('You can only edit your own messages'));
+  const conversation = await Conversation.findById(message.conversation);
+  if (!conversation.canManageChat(req.user._id)) {
+    return res.status(403).json(errorResponse('Only admins can unpin messages in this group'));
   }
 
-  // Check if message is not too old (24 hours)
-  const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-  if (message.createdAt < twentyFourHoursAgo) {
-    return res.status(400).json(errorResponse('Messages older than 24 hours cannot be edited'));
+  if (!conversation.unpinMessage(message._id)) {
+    return res.status(400).json(errorResponse('Message is not pinned'));
   }
+  await conversation.save();
 
-  // Update message
-  message.content = content.trim();
-  message.editedAt = new Date();
-  
-  // Update message type if needed
-  message.messageType = containsEmoji(content) && content.trim().length <= 10 ? 'emoji' : 'text';
-  
-  await message.save();
+  await emitToConversation(req, conversation, 'messagePinned', {
+    conversationId: conversation._id,
+    messageId: message._id,
+    pinned: false,
+    pinnedBy: req.user._id
+  });
 
-  // Populate for response
-  await message.populate([
-    { path: 'sender', select: 'name avatar' },
-    { path: 'receiver', select: 'name avatar' }
-  ]);
+  res.status(200).json(successResponse('Message unpinned successfully', {
+    pinnedMessages: await Message.getPinnedMessages(conversation, req.user._id)
+  }));
+});
+
+/**
+ * @desc    Get the edit history of a message
+ * @route   GET /api/messages/:messageId/history
+ * @access  Private
+ */
+const getEditHistory = asyncHandler(async (req, res) => {
+  const message = await Message.findForMember(req.params.messageId, req.user._id);
+
+  if (!message) {
+    return res.status(404).json(errorResponse('Message not found'));
+  }
+
+  const { editHistory } = await Message.findById(message._id).select('editHistory');
+
+  // Oldest first, ending with the current version
+  const revisions = [
+    ...editHistory.map(revision => ({ content: revision.content, editedAt: revision.editedAt })),
+    { content: message.content, editedAt: message.editedAt || message.createdAt }
+  ];
+
+  res.status(200).json(successResponse('Edit history retrieved successfully', {
+    messageId: message._id,
+    revisions
+  }));
+});
+
+/**
+ * @desc    Get when a message was delivered to, read and played by each recipient
+ * @route   GET /api/messages/:messageId/info
+ * @access  Private (sender only)
+ */
+const getMessageInfo = asyncHandler(async (req, res) => {
+  const message = await Message.findForMember(req.params.messageId, req.user._id);
+
+  if (!message) {
+    return res.status(404).json(errorResponse('Message not found'));
+  }
+
+  if (!message.sender.equals(req.user._id)) {
+    return res.status(403).json(errorResponse('You can only view info for your own messages'));
+  }
 
-  res.status(200).json(successResponse('Message edited successfully', { message }));
+  const recipients = await Message.getReceipts(message);
+  await hidePrivateFields(recipients.map(recipient => recipient.user), req.user._id);
+
+  res.status(200).json(successResponse('Message info retrieved successfully', {
+    messageId: message._id,
+    conversationId: message.conversation,
+    sentAt: message.createdAt,
+    status: message.status,
+    recipients
+  }));
 });
 
 /**
@@ -203,30 +610,32 @@ const getMessage = asyncHandler(async (req, res) => {
   const message = await Message.findById(messageId)
     .populate('sender', 'name avatar')
     .populate('receiver', 'name avatar')
-    .populate('replyTo', 'content sender');
+    .populate('replyTo', 'content sender')
+    .populate('attachment', Message.ATTACHMENT_FIELDS);
 
-  if (!message) {
+  if (!message || message.hiddenFor.some(userId => userId.equals(req.user._id))) {
     return res.status(404).json(errorResponse('Message not found'));
   }
 
   // Check if user is part of this conversation
-  const isParticipant = message.sender._id.toString() === req.user._id.toString() ||
-                       message.receiver._id.toString() === req.user._id.toString();
+  const conversation = await Conversation.findById(message.conversation);
 
-  if (!isParticipant) {
+  if (!conversation || !conversation.isMember(req.user._id)) {
     return res.status(403).json(errorResponse('Access denied'));
   }
 
-  res.status(200).json(successResponse('Message retrieved successfully', { message }));
+  const [messageWithState] = await StarredMessage.withStarredState(req.user._id, [message]);
+
+  res.status(200).json(successResponse('Message retrieved successfully', { message: messageWithState }));
 });
 
 /**
  * @desc    Search messages in a conversation
- * @route   POST /api/messages/search/:userId
+ * @route   POST /api/messages/search/:id
  * @access  Private
  */
 const searchMessages = asyncHandler(async (req, res) => {
-  const { userId } = req.params;
+  const { id } = req.params;
   const { query, page = 1, limit = 20 } = req.body;
   const { skip, limit: limitNum } = paginate(page, limit);
 
@@ -234,26 +643,24 @@ const searchMessages = asyncHandler(async (req, res) => {
     return res.status(400).json(errorResponse('Search query must be at least 2 characters long'));
   }
 
-  // Check if other user exists
-  const otherUser = await User.findById(userId);
-  if (!otherUser) {
-    return res.status(404).json(errorResponse('User not found'));
+  const resolved = await Conversation.resolveForUser(req.user._id, id);
+  if (!resolved) {
+    return res.status(404).json(errorResponse('Conversation not found'));
   }
 
-  const searchRegex = new RegExp(query.trim(), 'i');
+  const searchRegex = new RegExp(escapeRegex(query.trim()), 'i');
 
   const searchQuery = {
-    $or: [
-      { sender: req.user._id, receiver: userId },
-      { sender: userId, receiver: req.user._id }
-    ],
+    conversation: resolved.conversation._id,
     content: searchRegex,
+    hiddenFor: { $ne: req.user._id },
     isDeleted: false
   };
 
   const messages = await Message.find(searchQuery)
     .populate('sender', 'name avatar')
     .populate('receiver', 'name avatar')
+    .populate('attachment', Message.ATTACHMENT_FIELDS)
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limitNum);
@@ -262,12 +669,100 @@ const searchMessages = asyncHandler(async (req, res) => {
   const pagination = getPaginationMeta(page, limitNum, total);
 
   res.status(200).json(successResponse('Message search completed', {
-    messages,
+    messages: await StarredMessage.withStarredState(req.user._id, messages),
     pagination,
     searchQuery: query
   }));
 });
 
+/**
+ * @desc    Search messages across all of the user's conversations
+ * @route   GET /api/messages/search
+ * @access  Private
+ */
+const searchAllMessages = asyncHandler(async (req, res) => {
+  const { q, sender, conversationId, from, to, type, hasAttachment, starred } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+  const perConversation = Math.min(Math.max(parseInt(req.query.perConversation) || 5, 1), 20);
+
+  let conversationIds;
+  if (conversationId) {
+    const resolved = await Conversation.resolveForUser(req.user._id, conversationId);
+    if (!resolved) {
+      return res.status(404).json(errorResponse('Conversation not found'));
+    }
+    conversationIds = [resolved.conversation._id];
+  } else {
+    conversationIds = await Conversation.getIdsForUser(req.user._id);
+  }
+
+  const filters = {
+    conversationIds,
+    senderId: sender,
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined,
+    types: type ? type.split(',') : undefined,
+    hasAttachment: hasAttachment === undefined ? undefined : hasAttachment === 'true'
+  };
+
+  if (starred !== undefined) {
+    const starredIds = await StarredMessage.find({ user: req.user._id }).distinct('message');
+    filters[starred === 'true' ? 'messageIds' : 'excludeMessageIds'] = starredIds;
+  }
+
+  const { skip } = paginate(page, limit);
+  const results = await Message.searchGrouped(req.user._id, q, filters, { skip, limit, perConversation });
+
+  // Load the matched messages and their conversations in one query each
+  const matches = results.conversations.flatMap(group => group.matches);
+  const messages = await Message.find({ _id: { $in: matches.map(match => match._id) } })
+    .populate('sender', 'name avatar')
+    .populate('receiver', 'name avatar')
+    .populate('replyTo', 'content sender')
+    .populate('attachment', Message.ATTACHMENT_FIELDS);
+  const messagesById = new Map(
+    (await StarredMessage.withStarredState(req.user._id, messages)).map(message => [message._id.toString(), message])
+  );
+
+  const conversations = await Conversation.find({ _id: { $in: results.conversations.map(group => group._id) } })
+    .populate('members.user', 'name avatar isOnline lastSeen');
+  await hidePrivateFields(conversations.map(conversation => findOtherMember(conversation, req.user._id)), req.user._id);
+  const conversationsById = new Map(conversations.map(conversation => [conversation._id.toString(), conversation]));
+
+  const terms = getSearchTerms(q);
+
+  const groups = results.conversations
+    .filter(group => conversationsById.has(group._id.toString()))
+    .map(group => {
+      const conversation = conversationsById.get(group._id.toString());
+
+      return {
+        conversation: formatConversation(conversation),
+        participant: formatParticipant(findOtherMember(conversation, req.user._id)),
+        matchCount: group.matchCount,
+        score: group.topScore,
+        messages: group.matches
+          .filter(match => messagesById.has(match._id.toString()))
+          .map(match => {
+            const message = messagesById.get(match._id.toString());
+            return {
+              message,
+              score: match.score,
+              snippet: buildSearchSnippet(message.content, terms)
+            };
+          })
+      };
+    });
+
+  res.status(200).json(successResponse('Message search completed', {
+    results: groups,
+    totalMessages: results.totalMessages,
+    pagination: getPaginationMeta(page, limit, results.totalConversations),
+    searchQuery: q
+  }));
+});
+
 /**
  * @desc    Get unread message count
  * @route   GET /api/messages/unread/count
@@ -292,21 +787,22 @@ const getMessageStats = asyncHandler(async (req, res) => {
   // Total messages sent
   const totalSent = await Message.countDocuments({
     sender: userId,
+    messageType: { $ne: 'system' },
     isDeleted: false
   });
 
-  // Total messages received
+  const conversationIds = await Conversation.getIdsForUser(userId);
+
+  // Total messages received (from other members of the user's conversations)
   const totalReceived = await Message.countDocuments({
-    receiver: userId,
+    conversation: { $in: conversationIds },
+    sender: { $ne: userId },
+    messageType: { $ne: 'system' },
     isDeleted: false
   });
 
   // Unread messages
-  const unreadCount = await Message.countDocuments({
-    receiver: userId,
-    status: { $ne: 'read' },
-    isDeleted: false
-  });
+  const unreadCount = await Message.getUnreadCount(userId);
 
   // Messages sent today
   const today = new Date();
@@ -317,34 +813,13 @@ const getMessageStats = asyncHandler(async (req, res) => {
     isDeleted: false
   });
 
-  // Get conversation count
-  const conversations = await Message.aggregate([
-    {
-      $match: {
-        $or: [
-          { sender: userId },
-          { receiver: userId }
-        ],
-        isDeleted: false
-      }
-    },
-    {
-      $group: {
-        _id: {
-          $cond: [
-            { $eq: ['$sender', userId] },
-            '$receiver',
-            '$sender'
-          ]
-        }
-      }
-    },
-    {
-      $count: 'totalConversations'
-    }
-  ]);
+  // Get count of conversations with at least one message
+  const activeConversations = await Message.distinct('conversation', {
+    conversation: { $in: conversationIds },
+    isDeleted: false
+  });
 
-  const totalConversations = conversations.length > 0 ? conversations[0].totalConversations : 0;
+  const totalConversations = activeConversations.length;
 
   const stats = {
     totalSent,
@@ -366,45 +841,95 @@ const getMessageStats = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const forwardMessage = asyncHandler(async (req, res) => {
-  const { messageId } = req.params;
-  const { receiverId } = req.body;
-
-  // Get original message
-  const originalMessage = await Message.findById(messageId);
-  if (!originalMessage) {
-    return res.status(404).json(errorResponse('Original message not found'));
-  }
+  // Target conversation is resolved and permission-checked by requireSendPermission
+  const forwardedMessage = await messageService.forwardMessage(req.app.get('io'), {
+    sender: req.user,
+    conversation: req.conversation,
+    messageId: req.params.messageId
+  });
 
-  // Check if user has access to the original message
-  const hasAccess = originalMessage.sender.toString() === req.user._id.toString() ||
-                   originalMessage.receiver.toString() === req.user._id.toString();
+  res.status(201).json(successResponse('Message forwarded successfully', {
+    message: forwardedMessage
+  }));
+});
 
-  if (!hasAccess) {
-    return res.status(403).json(errorResponse('Access denied to original message'));
-  }
+/**
+ * @desc    React to a message (replaces any previous reaction)
+ * @route   POST /api/messages/:messageId/reactions
+ * @access  Private
+ */
+const addReaction = asyncHandler(async (req, res) => {
+  const reaction = await messageService.reactToMessage(req.app.get('io'), {
+    userId: req.user._id,
+    messageId: req.params.messageId,
+    emoji: req.body.emoji
+  });
 
-  // Check if receiver exists
-  const receiver = await User.findById(receiverId);
-  if (!receiver) {
-    return res.status(404).json(errorResponse('Receiver not found'));
-  }
+  res.status(200).json(successResponse('Reaction added successfully', {
+    messageId: reaction.messageId,
+    emoji: reaction.emoji,
+    reactionCounts: reaction.reactionCounts
+  }));
+});
 
-  // Create forwarded message
-  const forwardedMessage = await Message.create({
-    sender: req.user._id,
-    receiver: receiverId,
-    content: originalMessage.content,
-    messageType: originalMessage.messageType
+/**
+ * @desc    Remove your reaction from a message
+ * @route   DELETE /api/messages/:messageId/reactions
+ * @access  Private
+ */
+const removeReaction = asyncHandler(async (req, res) => {
+  const reaction = await messageService.reactToMessage(req.app.get('io'), {
+    userId: req.user._id,
+    messageId: req.params.messageId
   });
 
-  // Populate for response
-  await forwardedMessage.populate([
-    { path: 'sender', select: 'name avatar' },
-    { path: 'receiver', select: 'name avatar' }
-  ]);
+  res.status(200).json(successResponse('Reaction removed successfully', {
+    messageId: reaction.messageId,
+    reactionCounts: reaction.reactionCounts
+  }));
+});
 
-  res.status(201).json(successResponse('Message forwarded successfully', {
-    message: forwardedMessage
+/**
+ * @desc    Get who reacted to a message, grouped by emoji
+ * @route   GET /api/messages/:messageId/reactions
+ * @access  Private
+ */
+const getReactions = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const { emoji } = req.query;
+
+  const message = await Message.findForMember(messageId, req.user._id);
+  if (!message) {
+    return res.status(404).json(errorResponse('Message not found'));
+  }
+
+  await message.populate('reactions.user', 'name avatar');
+  await hidePrivateFields(message.reactions.map(reaction => reaction.user), req.user._id);
+
+  const groups = new Map();
+  message.reactions
+    .filter(reaction => reaction.user && (!emoji || reaction.emoji === emoji))
+    .sort((a, b) => b.reactedAt - a.reactedAt)
+    .forEach(reaction => {
+      if (!groups.has(reaction.emoji)) {
+        groups.set(reaction.emoji, []);
+      }
+      groups.get(reaction.emoji).push({
+        user: reaction.user,
+        reactedAt: reaction.reactedAt
+      });
+    });
+
+  const reactions = Array.from(groups, ([groupEmoji, users]) => ({
+    emoji: groupEmoji,
+    count: users.length,
+    users
+  })).sort((a, b) => b.count - a.count);
+
+  res.status(200).json(successResponse('Reactions retrieved successfully', {
+    messageId: message._id,
+    total: message.reactions.length,
+    reactions
   }));
 });
 
@@ -412,12 +937,24 @@ module.exports = {
   sendMessage,
   getConversation,
   getConversations,
+  setDisappearingMessages,
   markAsRead,
   deleteMessage,
   editMessage,
   getMessage,
   searchMessages,
+  searchAllMessages,
   getUnreadCount,
   getMessageStats,
-  forwardMessage
+  forwardMessage,
+  getEditHistory,
+  getMessageInfo,
+  starMessage,
+  unstarMessage,
+  getStarredMessages,
+  pinMessage,
+  unpinMessage,
+  addReaction,
+  removeReaction,
+  getReactions
 };
@@ -0,0 +1,226 @@
+const ScheduledMessage = require('../models/ScheduledMessage');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const Attachment = require('../models/Attachment');
+const {
+  successResponse,
+  errorResponse,
+  asyncHandler,
+  paginate,
+  getPaginationMeta,
+  containsEmoji,
+  formatInTimeZone,
+  zonedTimeToUtc
+} = require('../utils/helpers');
+
+// Why a scheduled message can no longer be changed, by status
+const STATUS_CONFLICTS = {
+  sending: 'Scheduled message is already being sent',
+  sent: 'Scheduled message has already been sent',
+  cancelled: 'Scheduled message has been cancelled',
+  failed: 'Scheduled message could not be sent'
+};
+
+/**
+ * Format a scheduled message for API responses
+ */
+const formatScheduledMessage = (scheduled) => ({
+  id: scheduled._id,
+  conversation: scheduled.conversation,
+  content: scheduled.content,
+  messageType: scheduled.messageType,
+  attachment: scheduled.attachment,
+  replyTo: scheduled.replyTo,
+  scheduledFor: scheduled.scheduledFor,
+  timeZone: scheduled.timeZone,
+  // Send time as wall clock time in the time zone it was scheduled in
+  localTime: formatInTimeZone(scheduled.scheduledFor, scheduled.timeZone),
+  status: scheduled.status,
+  messageId: scheduled.status === 'sent' ? scheduled.messageId : null,
+  sentAt: scheduled.sentAt,
+  failureReason: scheduled.failureReason,
+  createdAt: scheduled.createdAt,
+  updatedAt: scheduled.updatedAt
+});
+
+/**
+ * Work out the message type the same way sendMessage does
+ */
+const getMessageType = (content, messageType, attachment) => {
+  if (attachment) {
+    return attachment.kind;
+  }
+  if (messageType) {
+    return messageType;
+  }
+  return containsEmoji(content) && content.trim().length <= 10 ? 'emoji' : 'text';
+};
+
+/**
+ * @desc    Schedule a message to be sent later
+ * @route   POST /api/messages/scheduled
+ * @access  Private
+ */
+const createScheduledMessage = asyncHandler(async (req, res) => {
+  const { content = '', messageType, replyTo, attachmentId, scheduledFor, timeZone = 'UTC' } = req.body;
+
+  // Resolved and permission-checked by requireSendPermission
+  const conversation = req.conversation;
+
+  const sendAt = zonedTimeToUtc(scheduledFor, timeZone);
+  if (sendAt <= new Date()) {
+    return res.status(400).json(errorResponse('Scheduled time must be in the future'));
+  }
+
+  let attachment = null;
+  if (attachmentId) {
+    attachment = await Attachment.findForMessage(attachmentId, req.user._id);
+    if (!attachment) {
+      return res.status(404).json(errorResponse('Attachment not found'));
+    }
+  } else if (messageType && !['text', 'emoji'].includes(messageType)) {
+    return res.status(400).json(errorResponse('An attachment is required for media messages'));
+  }
+
+  const scheduled = await ScheduledMessage.create({
+    sender: req.user._id,
+    conversation: conversation._id,
+    content: content.trim(),
+    messageType: getMessageType(content, messageType, attachment),
+    attachment: attachment ? attachment._id : null,
+    replyTo: replyTo || null,
+    scheduledFor: sendAt,
+    timeZone
+  });
+
+  await scheduled.populate('attachment', Message.ATTACHMENT_FIELDS);
+
+  res.status(201).json(successResponse('Message scheduled successfully', {
+    scheduledMessage: formatScheduledMessage(scheduled)
+  }));
+});
+
+/**
+ * @desc    Get the user's scheduled messages, soonest first
+ * @route   GET /api/messages/scheduled
+ * @access  Private
+ */
+const getScheduledMessages = asyncHandler(async (req, res) => {
+  const { conversationId, status = 'scheduled' } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const { skip } = paginate(page, limit);
+
+  const filter = { sender: req.user._id, status };
+
+  if (conversationId) {
+    const resolved = await Conversation.resolveForUser(req.user._id, conversationId);
+    if (!resolved) {
+      return res.status(404).json(errorResponse('Conversation not found'));
+    }
+    filter.conversation = resolved.conversation._id;
+  }
+
+  const [scheduledMessages, total] = await Promise.all([
+    ScheduledMessage.find(filter)
+      .sort({ scheduledFor: 1, _id: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('attachment', Message.ATTACHMENT_FIELDS),
+    ScheduledMessage.countDocuments(filter)
+  ]);
+
+  res.status(200).json(successResponse('Scheduled messages retrieved successfully', {
+    scheduledMessages: scheduledMessages.map(formatScheduledMessage),
+    pagination: getPaginationMeta(page, limit, total)
+  }));
+});
+
+/**
+ * @desc    Edit the content or send time of a scheduled message
+ * @route   PUT /api/messages/scheduled/:scheduledId
+ * @access  Private
+ */
+const updateScheduledMessage = asyncHandler(async (req, res) => {
+  const { content, scheduledFor, timeZone } = req.body;
+
+  const scheduled = await ScheduledMessage.findForSender(req.params.scheduledId, req.user._id);
+
+  if (!scheduled) {
+    return res.status(404).json(errorResponse('Scheduled message not found'));
+  }
+
+  if (scheduled.status !== 'scheduled') {
+    return res.status(409).json(errorResponse(STATUS_CONFLICTS[scheduled.status]));
+  }
+
+  const update = {};
+
+  if (content !== undefined) {
+    if (!content.trim() && !scheduled.attachment) {
+      return res.status(400).json(errorResponse('Message content is required'));
+    }
+    update.content = content.trim();
+    if (!scheduled.attachment) {
+      update.messageType = getMessageType(content);
+    }
+  }
+
+  if (timeZone !== undefined) {
+    update.timeZone = timeZone;
+  }
+
+  // A new time is read in the new time zone if one was given, otherwise in the original one
+  if (scheduledFor !== undefined) {
+    const sendAt = zonedTimeToUtc(scheduledFor, timeZone || scheduled.timeZone);
+    if (sendAt <= new Date()) {
+      return res.status(400).json(errorResponse('Scheduled time must be in the future'));
+    }
+    update.scheduledFor = sendAt;
+  }
+
+  // Only applies if the dispatcher hasn't claimed the message in the meantime
+  const updated = await ScheduledMessage.updatePending(scheduled._id, req.user._id, update);
+  if (!updated) {
+    return res.status(409).json(errorResponse(STATUS_CONFLICTS.sending));
+  }
+
+  await updated.populate('attachment', Message.ATTACHMENT_FIELDS);
+
+  res.status(200).json(successResponse('Scheduled message updated successfully', {
+    scheduledMessage: formatScheduledMessage(updated)
+  }));
+});
+
+/**
+ * @desc    Cancel a scheduled message
+ * @route   DELETE /api/messages/scheduled/:scheduledId
+ * @access  Private
+ */
+const cancelScheduledMessage = asyncHandler(async (req, res) => {
+  const scheduled = await ScheduledMessage.findForSender(req.params.scheduledId, req.user._id);
+
+  if (!scheduled) {
+    return res.status(404).json(errorResponse('Scheduled message not found'));
+  }
+
+  if (scheduled.status !== 'scheduled') {
+    return res.status(409).json(errorResponse(STATUS_CONFLICTS[scheduled.status]));
+  }
+
+  const cancelled = await ScheduledMessage.updatePending(scheduled._id, req.user._id, { status: 'cancelled' });
+  if (!cancelled) {
+    return res.status(409).json(errorResponse(STATUS_CONFLICTS.sending));
+  }
+
+  res.status(200).json(successResponse('Scheduled message cancelled successfully', {
+    scheduledMessage: formatScheduledMessage(cancelled)
+  }));
+});
+
+module.exports = {
+  createScheduledMessage,
+  getScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage
+};
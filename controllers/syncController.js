@@ -0,0 +1,54 @@
+const SyncEvent = require('../models/SyncEvent');
+const { successResponse, asyncHandler } = require('../utils/helpers');
+const { markSyncedMessagesDelivered } = require('../utils/messageDelivery');
+
+/**
+ * Format a sync event for API responses
+ */
+const formatSyncEvent = (event) => ({
+  seq: event.seq,
+  type: event.type,
+  payload: event.payload,
+  createdAt: event.createdAt
+});
+
+/**
+ * @desc    Get everything that changed for the user since a sync cursor, oldest first.
+ *          New messages returned here count as delivered.
+ * @route   GET /api/sync
+ * @access  Private
+ */
+const getChanges = asyncHandler(async (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+
+  // Without a cursor the client is starting fresh and only needs to know where to sync from
+  if (req.query.cursor === undefined) {
+    const cursor = await SyncEvent.getLatestCursor(req.user._id);
+
+    return res.status(200).json(successResponse('Sync cursor retrieved successfully', {
+      events: [],
+      cursor,
+      hasMore: false,
+      resetRequired: false
+    }));
+  }
+
+  const { events, cursor, hasMore, resetRequired } = await SyncEvent.getSince(
+    req.user._id,
+    parseInt(req.query.cursor),
+    limit
+  );
+
+  await markSyncedMessagesDelivered(req.app.get('io'), req.user._id, events);
+
+  res.status(200).json(successResponse('Changes retrieved successfully', {
+    events: events.map(formatSyncEvent),
+    cursor,
+    hasMore,
+    resetRequired
+  }));
+});
+
+module.exports = {
+  getChanges
+};
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const UploadSession = require('../models/UploadSession');
+const { getStorage } = require('../utils/storage');
+const { assembleUpload, removeUploadChunks } = require('../utils/attachmentService');
+const { getAttachmentKind, getChunkSize, getMaxResumableFileSize } = require('../middleware/upload');
+const { successResponse, errorResponse, asyncHandler } = require('../utils/helpers');
+
+/**
+ * Format an upload session for API responses
+ */
+const formatSession = (session) => ({
+  id: session._id,
+  fileName: session.originalName,
+  mimeType: session.mimeType,
+  size: session.size,
+  chunkSize: session.chunkSize,
+  totalChunks: session.totalChunks,
+  receivedChunks: [...session.receivedChunks].sort((a, b) => a - b),
+  missingChunks: session.missingChunks,
+  status: session.status,
+  attachment: session.attachment,
+  expiresAt: session.expiresAt
+});
+
+/**
+ * @desc    Start a resumable upload
+ * @route   POST /api/attachments/uploads
+ * @access  Private
+ */
+const createUploadSession = asyncHandler(async (req, res) => {
+  const { fileName, mimeType, size, checksum } = req.body;
+
+  if (!getAttachmentKind(mimeType)) {
+    return res.status(400).json(errorResponse('File type not allowed'));
+  }
+
+  if (size > getMaxResumableFileSize()) {
+    return res.status(413).json(errorResponse('File is too large'));
+  }
+
+  const chunkSize = getChunkSize();
+
+  const session = await UploadSession.create({
+    uploader: req.user._id,
+    originalName: fileName,
+    mimeType,
+    size,
+    chunkSize,
+    totalChunks: Math.ceil(size / chunkSize),
+    checksum: checksum ? checksum.toLowerCase() : null
+  });
+
+  res.status(201).json(successResponse('Upload started successfully', {
+    upload: formatSession(session)
+  }));
+});
+
+/**
+ * @desc    Get the progress of a resumable upload
+ * @route   GET /api/attachments/uploads/:uploadId
+ * @access  Private
+ */
+const getUploadSession = asyncHandler(async (req, res) => {
+  const session = await UploadSession.findForUploader(req.params.uploadId, req.user._id);
+
+  if (!session) {
+    return res.status(404).json(errorResponse('Upload not found'));
+  }
+
+  res.status(200).json(successResponse('Upload retrieved successfully', {
+    upload: formatSession(session)
+  }));
+});
+
+/**
+ * @desc    Upload one chunk of a resumable upload
+ * @route   PUT /api/attachments/uploads/:uploadId/chunks/:index
+ * @access  Private
+ */
+const uploadChunk = asyncHandler(async (req, res) => {
+  const index = parseInt(req.params.index);
+  const expectedChecksum = (req.get('X-Chunk-Checksum') || '').toLowerCase();
+
+  const session = await UploadSession.findForUploader(req.params.uploadId, req.user._id);
+
+  if (!session) {
+    return res.status(404).json(errorResponse('Upload not found'));
+  }
+
+  if (session.status !== 'pending') {
+    return res.status(400).json(errorResponse('Upload is already completed'));
+  }
+
+  if (index >= session.totalChunks) {
+    return res.status(400).json(errorResponse(`Chunk index must be less than ${session.totalChunks}`));
+  }
+
+  const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+  if (chunk.length !== session.getExpectedChunkSize(index)) {
+    return res.status(400).json(errorResponse(`Chunk ${index} must be ${session.getExpectedChunkSize(index)} bytes`));
+  }
+
+  const checksum = crypto.createHash('sha256').update(chunk).digest('hex');
+  if (checksum !== expectedChecksum) {
+    return res.status(400).json(errorResponse('Chunk checksum does not match'));
+  }
+
+  await getStorage().save(session.getChunkKey(index), chunk, { contentType: 'application/octet-stream' });
+
+  const updated = await UploadSession.recordChunk(session._id, index);
+  if (!updated) {
+    return res.status(400).json(errorResponse('Upload is already completed'));
+  }
+
+  res.status(200).json(successResponse('Chunk uploaded successfully', {
+    upload: formatSession(updated)
+  }));
+});
+
+/**
+ * @desc    Finish a resumable upload and create the attachment
+ * @route   POST /api/attachments/uploads/:uploadId/complete
+ * @access  Private
+ */
+const completeUpload = asyncHandler(async (req, res) => {
+  const session = await UploadSession.findForUploader(req.params.uploadId, req.user._id);
+
+  if (!session) {
+    return res.status(404).json(errorResponse('Upload not found'));
+  }
+
+  if (session.status === 'completed') {
+    await session.populate('attachment');
+    return res.status(200).json(successResponse('Upload already completed', {
+      attachment: session.attachment
+    }));
+  }
+
+  if (session.missingChunks.length > 0) {
+    return res.status(400).json(errorResponse('Upload is missing chunks', {
+      missingChunks: session.missingChunks
+    }));
+  }
+
+  // Claim the session so concurrent requests don't create two attachments
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'pending' },
+    { $set: { status: 'completing' } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return res.status(409).json(errorResponse('Upload is already being completed'));
+  }
+
+  let attachment;
+  try {
+    attachment = await assembleUpload(claimed);
+  } catch (error) {
+    claimed.status = 'pending';
+    await claimed.save();
+    throw error;
+  }
+
+  claimed.status = 'completed';
+  claimed.attachment = attachment._id;
+  await claimed.save();
+
+  res.status(201).json(successResponse('Upload completed successfully', { attachment }));
+});
+
+/**
+ * @desc    Cancel a resumable upload
+ * @route   DELETE /api/attachments/uploads/:uploadId
+ * @access  Private
+ */
+const cancelUpload = asyncHandler(async (req, res) => {
+  const session = await UploadSession.findForUploader(req.params.uploadId, req.user._id);
+
+  if (!session) {
+    return res.status(404).json(errorResponse('Upload not found'));
+  }
+
+  if (session.status === 'completing') {
+    return res.status(409).json(errorResponse('Upload is already being completed'));
+  }
+
+  await removeUploadChunks(session);
+  await session.deleteOne();
+
+  res.status(200).json(successResponse('Upload cancelled successfully'));
+});
+
+module.exports = {
+  createUploadSession,
+  getUploadSession,
+  uploadChunk,
+  completeUpload,
+  cancelUpload
+};
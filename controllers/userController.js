@@ -1,4 +1,8 @@
 const User = require('../models/User');
+const SyncEvent = require('../models/SyncEvent');
+const { storeAttachment } = require('../utils/attachmentService');
+const { hidePrivateFields } = require('../utils/privacy');
+const { getPresenceStore } = require('../utils/presence');
 const { successResponse, errorResponse, asyncHandler, paginate, getPaginationMeta, escapeRegex } = require('../utils/helpers');
 
 /**
@@ -10,7 +14,9 @@ const getUsers = asyncHandler(async (req, res) => {
   const { search, page = 1, limit = 20 } = req.query;
   const { skip, limit: limitNum } = paginate(page, limit);
 
-  let query = { _id: { $ne: req.user._id } }; // Exclude current user
+  // Exclude the current user and users they blocked or were blocked by
+  const blockedIds = await User.getBlockedIds(req.user._id);
+  let query = { _id: { $nin: [req.user._id, ...blockedIds] } };
 
   // Add search functionality
   if (search) {
@@ -27,6 +33,8 @@ const getUsers = asyncHandler(async (req, res) => {
     .skip(skip)
     .limit(limitNum);
 
+  await hidePrivateFields(users, req.user._id);
+
   const total = await User.countDocuments(query);
   const pagination = getPaginationMeta(page, limitNum, total);
 
@@ -49,6 +57,8 @@ const getUserById = asyncHandler(async (req, res) => {
     return res.status(404).json(errorResponse('User not found'));
   }
 
+  await hidePrivateFields(user, req.user._id);
+
   res.status(200).json(successResponse('User retrieved successfully', { user }));
 });
 
@@ -66,9 +76,10 @@ const searchUsers = asyncHandler(async (req, res) => {
   }
 
   const searchRegex = new RegExp(escapeRegex(query.trim()), 'i');
+  const blockedIds = await User.getBlockedIds(req.user._id);
   
   const searchQuery = {
-    _id: { $ne: req.user._id }, // Exclude current user
+    _id: { $nin: [req.user._id, ...blockedIds] }, // Exclude current user and blocked users
     $or: [
       { name: searchRegex },
       { email: searchRegex }
@@ -81,6 +92,8 @@ const searchUsers = asyncHandler(async (req, res) => {
     .skip(skip)
     .limit(limitNum);
 
+  await hidePrivateFields(users, req.user._id);
+
   const total = await User.countDocuments(searchQuery);
   const pagination = getPaginationMeta(page, limitNum, total);
 
@@ -104,34 +117,30 @@ const getUserStatus = asyncHandler(async (req, res) => {
     return res.status(404).json(errorResponse('User not found'));
   }
 
+  await hidePrivateFields(user, req.user._id);
+
+  // Online, idle, away or offline, hidden along with the online status
+  const presence = user.isOnline === null ? null : await getPresenceStore().getState(user._id.toString());
+
   res.status(200).json(successResponse('User status retrieved successfully', {
     userId: user._id,
     isOnline: user.isOnline,
+    presence,
     lastSeen: user.lastSeen,
     status: user.status
   }));
 });
 
 /**
- * @desc    Update user's online status
+ * @desc    Update user's online status (deprecated: presence follows Socket.io heartbeats,
+ *          so this changes nothing and returns the current status)
  * @route   PUT /api/users/status
  * @access  Private
  */
 const updateOnlineStatus = asyncHandler(async (req, res) => {
-  const { isOnline } = req.body;
-
-  const updateData = {
-    isOnline: Boolean(isOnline),
-    lastSeen: new Date()
-  };
-
-  const user = await User.findByIdAndUpdate(
-    req.user._id,
-    updateData,
-    { new: true, select: 'isOnline lastSeen' }
-  );
+  const user = await User.findById(req.user._id).select('isOnline lastSeen');
 
-  res.status(200).json(successResponse('Online status updated successfully', {
+  res.status(200).json(successResponse('Online status is set by Socket.io heartbeats and was not changed', {
     userId: user._id,
     isOnline: user.isOnline,
     lastSeen: user.lastSeen
@@ -201,6 +210,8 @@ const getBlockedUsers = asyncHandler(async (req, res) => {
     .populate('blockedUsers', 'name email avatar')
     .select('blockedUsers');
 
+  await hidePrivateFields(user.blockedUsers, req.user._id);
+
   res.status(200).json(successResponse('Blocked users retrieved successfully', {
     blockedUsers: user.blockedUsers || []
   }));
@@ -220,9 +231,12 @@ const getUserStats = asyncHandler(async (req, res) => {
   // Count total contacts
   const totalContacts = user.contacts ? user.contacts.length : 0;
 
-  // Count online contacts
+  // Count online contacts (only those who show when they are online)
+  if (user.contacts) {
+    await hidePrivateFields(user.contacts.map(contact => contact.user), userId);
+  }
   const onlineContacts = user.contacts 
-    ? user.contacts.filter(contact => contact.user.isOnline).length 
+    ? user.contacts.filter(contact => contact.user && contact.user.isOnline).length 
     : 0;
 
   // You can add more statistics here like:
@@ -247,21 +261,104 @@ const getUserStats = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const updateAvatar = asyncHandler(async (req, res) => {
-  const { avatar } = req.body;
+  let { avatar } = req.body;
+
+  // An uploaded image takes precedence over an avatar URL
+  if (req.file) {
+    const attachment = await storeAttachment({
+      buffer: req.file.buffer,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      uploader: req.user._id,
+      purpose: 'avatar'
+    });
+    avatar = attachment.url;
+  }
 
   if (!avatar) {
-    return res.status(400).json(errorResponse('Avatar URL is required'));
+    return res.status(400).json(errorResponse('Avatar image or URL is required'));
   }
 
   const user = await User.findByIdAndUpdate(
     req.user._id,
     { avatar },
     { new: true, runValidators: true }
-  ).select('name email avatar');
+  ).select('name email avatar status');
+
+  await SyncEvent.recordForProfileWatchers(user._id, 'profileUpdated', {
+    userId: user._id,
+    name: user.name,
+    status: user.status,
+    avatar: user.avatar
+  });
 
   res.status(200).json(successResponse('Avatar updated successfully', { user }));
 });
 
+/**
+ * Format privacy settings for API responses
+ */
+const formatPrivacy = (privacy) => {
+  const settings = {};
+  Object.keys(User.PRIVACY_FIELDS).forEach(setting => {
+    settings[setting] = {
+      visibility: privacy[setting].visibility,
+      except: privacy[setting].except
+    };
+  });
+  settings.readReceipts = privacy.readReceipts;
+  return settings;
+};
+
+/**
+ * @desc    Get the user's privacy settings
+ * @route   GET /api/users/privacy
+ * @access  Private
+ */
+const getPrivacySettings = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+privacy');
+
+  res.status(200).json(successResponse('Privacy settings retrieved successfully', {
+    privacy: formatPrivacy(user.privacy)
+  }));
+});
+
+/**
+ * @desc    Update the user's privacy settings (last seen, online, avatar, status, read receipts)
+ * @route   PUT /api/users/privacy
+ * @access  Private
+ */
+const updatePrivacySettings = asyncHandler(async (req, res) => {
+  const update = {};
+
+  Object.keys(User.PRIVACY_FIELDS).forEach(setting => {
+    const value = req.body[setting];
+    if (value === undefined) {
+      return;
+    }
+
+    update[`privacy.${setting}.visibility`] = value.visibility;
+    // Exceptions only apply to contactsExcept; other levels clear them
+    update[`privacy.${setting}.except`] = value.visibility === 'contactsExcept'
+      ? [...new Set(value.except || [])]
+      : [];
+  });
+
+  if (req.body.readReceipts !== undefined) {
+    update['privacy.readReceipts'] = req.body.readReceipts;
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $set: update },
+    { new: true, runValidators: true }
+  ).select('+privacy');
+
+  res.status(200).json(successResponse('Privacy settings updated successfully', {
+    privacy: formatPrivacy(user.privacy)
+  }));
+});
+
 /**
  * @desc    Delete user account
  * @route   DELETE /api/users/account
@@ -299,5 +396,7 @@ module.exports = {
   getBlockedUsers,
   getUserStats,
   updateAvatar,
+  getPrivacySettings,
+  updatePrivacySettings,
   deleteAccount
 };
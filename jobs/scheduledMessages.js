@@ -0,0 +1,155 @@
+const ScheduledMessage = require('../models/ScheduledMessage');
+const User = require('../models/User');
+const SyncEvent = require('../models/SyncEvent');
+const { broadcastNewMessage } = require('../utils/messageDelivery');
+const messageService = require('../utils/messageService');
+
+/**
+ * Mark a scheduled message as failed and tell the sender why
+ */
+const failScheduledMessage = async (io, scheduled, reason) => {
+  scheduled.status = 'failed';
+  scheduled.failureReason = reason;
+  await scheduled.save();
+
+  io.to(scheduled.sender.toString()).emit('scheduledMessageFailed', {
+    scheduledMessageId: scheduled._id,
+    conversationId: scheduled.conversation,
+    reason
+  });
+};
+
+/**
+ * Send a claimed scheduled message through the same pipeline as a live message
+ */
+const dispatchScheduledMessage = async (io, scheduled) => {
+  const senderId = scheduled.sender.toString();
+
+  const sender = await User.findById(senderId).select('name avatar');
+  if (!sender) {
+    return failScheduledMessage(io, scheduled, 'Sender not found');
+  }
+
+  // Permissions may have changed since the message was scheduled
+  let conversation;
+  try {
+    conversation = await messageService.resolveSendConversation(senderId, {
+      conversationId: scheduled.conversation.toString()
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      throw error;
+    }
+    // Not found means the conversation is gone or the sender left it
+    return failScheduledMessage(io, scheduled, error.statusCode === 404
+      ? 'You are no longer a member of this conversation'
+      : error.message);
+  }
+
+  let result;
+  try {
+    // The preset ID makes a retried send return the message an earlier attempt saved
+    result = await messageService.sendMessage(io, {
+      sender,
+      conversation,
+      messageId: scheduled.messageId,
+      content: scheduled.content,
+      messageType: scheduled.messageType,
+      replyTo: scheduled.replyTo ? scheduled.replyTo.toString() : null,
+      attachmentId: scheduled.attachment ? scheduled.attachment.toString() : null
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      throw error;
+    }
+    return failScheduledMessage(io, scheduled, error.message);
+  }
+
+  // An earlier attempt saved the message but may not have delivered it. It is only
+  // recorded for sync again if that attempt stopped before doing so.
+  if (!result.created) {
+    const recorded = await SyncEvent.exists({
+      messages: result.message._id,
+      type: 'newMessage',
+      'payload._id': result.message._id.toString()
+    });
+    await broadcastNewMessage(io, conversation, result.message, { record: !recorded });
+  }
+
+  scheduled.status = 'sent';
+  scheduled.sentAt = new Date();
+  await scheduled.save();
+
+  io.to(senderId).emit('scheduledMessageSent', {
+    scheduledMessageId: scheduled._id,
+    message: result.message
+  });
+
+  return result.message;
+};
+
+/**
+ * Send every scheduled message that is due, one claim at a time
+ */
+const dispatchDueMessages = async (io, now = new Date()) => {
+  let sent = 0;
+  let scheduled;
+
+  while ((scheduled = await ScheduledMessage.claimNextDue(now))) {
+    try {
+      if (await dispatchScheduledMessage(io, scheduled)) {
+        sent++;
+      }
+    } catch (error) {
+      console.error(`Error sending scheduled message ${scheduled._id}:`, error);
+
+      // Leave the claim in place so the message is retried once it goes stale, unless it keeps failing
+      if (scheduled.attempts >= ScheduledMessage.MAX_SEND_ATTEMPTS) {
+        await failScheduledMessage(io, scheduled, 'Message could not be sent');
+      }
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Send due scheduled messages periodically (SCHEDULED_MESSAGE_INTERVAL_MS, every 15 seconds by default).
+ * Messages that fell due while the server was down are sent on the first run after a restart.
+ */
+const startScheduledMessageJob = (io) => {
+  const interval = parseInt(process.env.SCHEDULED_MESSAGE_INTERVAL_MS) || 15 * 1000;
+  let running = false;
+
+  const run = async () => {
+    // Skip a tick if the previous run is still going
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      const sent = await dispatchDueMessages(io);
+      if (sent > 0) {
+        console.log(`⏰ Sent ${sent} scheduled message(s)`);
+      }
+    } catch (error) {
+      console.error('Error sending scheduled messages:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, interval);
+
+  // Don't keep the process alive just for this job
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  dispatchScheduledMessage,
+  dispatchDueMessages,
+  startScheduledMessageJob
+};
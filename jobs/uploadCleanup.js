@@ -0,0 +1,48 @@
+const UploadSession = require('../models/UploadSession');
+const { removeUploadChunks } = require('../utils/attachmentService');
+
+/**
+ * Delete expired upload sessions along with any chunks they left behind
+ */
+const cleanupStaleUploads = async (now = new Date()) => {
+  const sessions = await UploadSession.find({ expiresAt: { $lte: now } });
+
+  for (const session of sessions) {
+    try {
+      await removeUploadChunks(session);
+      await session.deleteOne();
+    } catch (error) {
+      console.error(`Error cleaning up upload session ${session._id}:`, error);
+    }
+  }
+
+  return sessions.length;
+};
+
+/**
+ * Run the upload cleanup periodically (UPLOAD_CLEANUP_INTERVAL_MS, hourly by default)
+ */
+const startUploadCleanupJob = () => {
+  const interval = parseInt(process.env.UPLOAD_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000;
+
+  const timer = setInterval(async () => {
+    try {
+      const removed = await cleanupStaleUploads();
+      if (removed > 0) {
+        console.log(`🧹 Removed ${removed} stale upload session(s)`);
+      }
+    } catch (error) {
+      console.error('Error running upload cleanup:', error);
+    }
+  }, interval);
+
+  // Don't keep the process alive just for this job
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  cleanupStaleUploads,
+  startUploadCleanupJob
+};
@@ -0,0 +1,22 @@
+const { resolveSendConversation } = require('../utils/messageService');
+
+/**
+ * Middleware to resolve the conversation a message is sent to
+ * (body.conversationId, or body.receiverId for 1:1 chats) and check
+ * that the current user is allowed to post in it (and, in direct chats,
+ * that neither user blocked the other)
+ */
+const requireSendPermission = async (req, res, next) => {
+  try {
+    const { conversationId, receiverId } = req.body;
+
+    req.conversation = await resolveSendConversation(req.user._id, { conversationId, receiverId });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requireSendPermission
+};
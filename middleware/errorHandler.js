@@ -44,6 +44,12 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 401 };
   }
 
+  // File upload errors
+  if (err.name === 'MulterError') {
+    const message = err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message;
+    error = { message, statusCode: err.code === 'LIMIT_FILE_SIZE' ? 413 : 400 };
+  }
+
   // Rate limit error
   if (err.status === 429) {
     const message = 'Too many requests, please try again later';
@@ -53,6 +59,8 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     status: 'error',
     message: error.message || 'Internal Server Error',
+    // Machine-readable reason set by services, e.g. a block
+    ...(error.statusCode && typeof error.code === 'string' && { code: error.code }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
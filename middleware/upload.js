@@ -0,0 +1,125 @@
+const express = require('express');
+const multer = require('multer');
+
+const DOCUMENT_MIME_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/zip',
+  'text/plain',
+  'text/csv'
+];
+
+// Voice notes are recorded as Opus, in an OGG or WebM container
+const VOICE_MIME_TYPES = ['audio/ogg', 'audio/opus', 'audio/webm'];
+
+/**
+ * Determine the attachment kind from a MIME type (null if not allowed)
+ */
+const getAttachmentKind = (mimeType = '') => {
+  // SVG can carry scripts, so it is not treated as an image
+  if (mimeType.startsWith('image/') && mimeType !== 'image/svg+xml') {
+    return 'image';
+  }
+  if (mimeType.startsWith('video/')) {
+    return 'video';
+  }
+  if (mimeType.startsWith('audio/')) {
+    return 'audio';
+  }
+  if (DOCUMENT_MIME_TYPES.includes(mimeType)) {
+    return 'document';
+  }
+  return null;
+};
+
+/**
+ * Maximum attachment size in bytes (read lazily so .env values are picked up)
+ */
+const getMaxFileSize = () => parseInt(process.env.MAX_UPLOAD_SIZE) || 16 * 1024 * 1024; // 16 MB
+
+/**
+ * Chunk size for resumable uploads in bytes
+ */
+const getChunkSize = () => parseInt(process.env.UPLOAD_CHUNK_SIZE) || 5 * 1024 * 1024; // 5 MB
+
+/**
+ * Maximum size of a file sent through a resumable upload in bytes
+ */
+const getMaxResumableFileSize = () => parseInt(process.env.MAX_RESUMABLE_UPLOAD_SIZE) || 200 * 1024 * 1024; // 200 MB
+
+/**
+ * Build a file filter that only accepts the given attachment kinds
+ */
+const fileFilterFor = (kinds, message) => (req, file, cb) => {
+  if (!kinds.includes(getAttachmentKind(file.mimetype))) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return cb(error);
+  }
+  cb(null, true);
+};
+
+/**
+ * Middleware to parse a single message attachment from the "file" field
+ * (kept in memory, then handed to storage)
+ */
+const uploadAttachment = (req, res, next) => {
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxFileSize(), files: 1 },
+    fileFilter: fileFilterFor(['image', 'video', 'audio', 'document'], 'File type not allowed')
+  }).single('file')(req, res, next);
+};
+
+/**
+ * Middleware to parse a voice note recording from the "file" field
+ */
+const uploadVoice = (req, res, next) => {
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxFileSize(), files: 1 },
+    fileFilter: (req, file, cb) => {
+      // Ignore codec parameters, e.g. "audio/ogg; codecs=opus"
+      if (!VOICE_MIME_TYPES.includes(file.mimetype.split(';')[0].trim())) {
+        const error = new Error('Voice notes must be Opus audio (OGG or WebM)');
+        error.statusCode = 400;
+        return cb(error);
+      }
+      cb(null, true);
+    }
+  }).single('file')(req, res, next);
+};
+
+/**
+ * Middleware to parse an optional avatar image from the "avatar" field
+ */
+const uploadAvatar = (req, res, next) => {
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024, files: 1 }, // 5 MB
+    fileFilter: fileFilterFor(['image'], 'Avatar must be an image')
+  }).single('avatar')(req, res, next);
+};
+
+/**
+ * Middleware to read the raw body of a resumable upload chunk
+ */
+const parseChunk = (req, res, next) => {
+  express.raw({ type: () => true, limit: getChunkSize() })(req, res, next);
+};
+
+module.exports = {
+  uploadAttachment,
+  uploadAvatar,
+  uploadVoice,
+  parseChunk,
+  getAttachmentKind,
+  getMaxFileSize,
+  getChunkSize,
+  getMaxResumableFileSize
+};
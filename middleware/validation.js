@@ -1,4 +1,5 @@
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { isEmoji, isValidTimeZone, zonedTimeToUtc } = require('../utils/helpers');
 
 /**
  * Middleware to handle validation errors
@@ -111,29 +112,349 @@ const validateProfileUpdate = [
   handleValidationErrors
 ];
 
+/**
+ * Privacy settings validation rules
+ */
+const PRIVACY_SETTINGS = ['lastSeen', 'online', 'avatar', 'status'];
+
+const validatePrivacySettings = [
+  body(PRIVACY_SETTINGS.map(setting => `${setting}.visibility`))
+    .if((value, { req, path }) => req.body[path.split('.')[0]] !== undefined)
+    .isIn(['everyone', 'contacts', 'contactsExcept', 'nobody'])
+    .withMessage('Visibility must be one of everyone, contacts, contactsExcept or nobody'),
+  
+  body(PRIVACY_SETTINGS.map(setting => `${setting}.except`))
+    .optional()
+    .isArray()
+    .withMessage('Exceptions must be a list of user IDs'),
+  
+  body(PRIVACY_SETTINGS.map(setting => `${setting}.except.*`))
+    .isMongoId()
+    .withMessage('Exceptions must be valid user IDs'),
+  
+  body('readReceipts')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Read receipts must be true or false'),
+  
+  handleValidationErrors
+];
+
 /**
  * Message validation rules
  */
 const validateMessage = [
   body('receiverId')
+    .if(body('conversationId').not().exists())
     .isMongoId()
     .withMessage('Please provide a valid receiver ID'),
   
+  body('conversationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid conversation ID'),
+  
   body('content')
+    .if(body('attachmentId').not().exists())
     .trim()
     .isLength({ min: 1, max: 1000 })
     .withMessage('Message content must be between 1 and 1000 characters'),
   
+  body('content')
+    .if(body('attachmentId').exists())
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Caption cannot be more than 1000 characters'),
+  
+  body('attachmentId')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid attachment ID'),
+  
   body('messageType')
     .optional()
-    .isIn(['text', 'emoji'])
-    .withMessage('Message type must be either text or emoji'),
+    .isIn(['text', 'emoji', 'image', 'video', 'audio', 'voice', 'document'])
+    .withMessage('Message type must be one of text, emoji, image, video, audio, voice or document'),
   
   body('replyTo')
     .optional()
     .isMongoId()
     .withMessage('Reply to must be a valid message ID'),
   
+  body('clientMessageId')
+    .optional()
+    .isString()
+    .withMessage('Client message ID must be a string')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Client message ID must be between 1 and 100 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Message edit validation rules
+ */
+const validateMessageEdit = [
+  body('content')
+    .isString()
+    .withMessage('Message content is required')
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message cannot be more than 1000 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Reaction validation rules
+ */
+const validateReaction = [
+  body('emoji')
+    .custom(value => isEmoji(value))
+    .withMessage('Reaction must be an emoji'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Pin validation rules
+ */
+const validatePin = [
+  body('duration')
+    .optional({ nullable: true })
+    .isIn(['24h', '7d', '30d'])
+    .withMessage('Pin duration must be one of 24h, 7d or 30d'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Disappearing messages validation rules
+ */
+const validateDisappearingMessages = [
+  body('duration')
+    .isIn(['off', '24h', '7d', '90d'])
+    .withMessage('Duration must be one of off, 24h, 7d or 90d'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Scheduled message time validation rules (shared by create and update)
+ */
+const scheduleTimeRules = (optional) => [
+  body('timeZone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Time zone must be a valid IANA time zone, e.g. Europe/Berlin'),
+  
+  (optional ? body('scheduledFor').optional() : body('scheduledFor'))
+    .custom((value, { req }) => zonedTimeToUtc(value, isValidTimeZone(req.body.timeZone) ? req.body.timeZone : 'UTC') !== null)
+    .withMessage('Scheduled time must be a date-time like 2024-05-01T09:00, optionally with a UTC offset')
+];
+
+/**
+ * Scheduled message creation validation rules (message rules plus the send time)
+ */
+const validateScheduledMessage = [
+  ...validateMessage.slice(0, -1),
+  ...scheduleTimeRules(false),
+  handleValidationErrors
+];
+
+/**
+ * Scheduled message update validation rules
+ */
+const validateScheduledMessageUpdate = [
+  body('content')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message cannot be more than 1000 characters'),
+  
+  ...scheduleTimeRules(true),
+  handleValidationErrors
+];
+
+/**
+ * Group creation validation rules
+ */
+const validateGroup = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Group name must be between 1 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Group description cannot be more than 500 characters'),
+  
+  body('avatar')
+    .optional({ nullable: true })
+    .isURL()
+    .withMessage('Avatar must be a valid URL'),
+  
+  body('memberIds')
+    .optional()
+    .isArray({ max: 256 })
+    .withMessage('Member IDs must be an array of at most 256 users'),
+  
+  body('memberIds.*')
+    .isMongoId()
+    .withMessage('Each member ID must be a valid user ID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Group update validation rules
+ */
+const validateGroupUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Group name must be between 1 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Group description cannot be more than 500 characters'),
+  
+  body('avatar')
+    .optional({ nullable: true })
+    .isURL()
+    .withMessage('Avatar must be a valid URL'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Group members validation rules
+ */
+const validateGroupMembers = [
+  body('userIds')
+    .isArray({ min: 1, max: 256 })
+    .withMessage('User IDs must be a non-empty array'),
+  
+  body('userIds.*')
+    .isMongoId()
+    .withMessage('Each user ID must be a valid user ID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Group member role validation rules
+ */
+const validateGroupRole = [
+  body('role')
+    .isIn(['admin', 'member'])
+    .withMessage('Role must be either admin or member'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Group settings validation rules
+ */
+const validateGroupSettings = [
+  body('sendMessages')
+    .optional()
+    .isIn(['all', 'admins'])
+    .withMessage('Send messages setting must be either all or admins'),
+  
+  body('editInfo')
+    .optional()
+    .isIn(['all', 'admins'])
+    .withMessage('Edit info setting must be either all or admins'),
+  
+  body('approveNewMembers')
+    .optional()
+    .isBoolean()
+    .withMessage('Approve new members setting must be a boolean')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Group invite link validation rules
+ */
+const validateInviteLink = [
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date'),
+  
+  body('maxUses')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Max uses must be between 1 and 10000'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Voice note validation rules
+ */
+const validateVoiceNote = [
+  body('duration')
+    .isFloat({ min: 0.1, max: 3600 })
+    .withMessage('Duration must be between 0.1 and 3600 seconds')
+    .toFloat(),
+  
+  body('waveform')
+    .notEmpty()
+    .withMessage('Waveform is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Resumable upload validation rules
+ */
+const validateUploadSession = [
+  body('fileName')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('File name must be between 1 and 255 characters'),
+  
+  body('mimeType')
+    .trim()
+    .notEmpty()
+    .withMessage('MIME type is required'),
+  
+  body('size')
+    .isInt({ min: 1 })
+    .withMessage('Size must be a positive integer')
+    .toInt(),
+  
+  body('checksum')
+    .optional()
+    .isHash('sha256')
+    .withMessage('Checksum must be a SHA-256 hex digest'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Upload chunk validation rules
+ */
+const validateUploadChunk = [
+  param('uploadId')
+    .isMongoId()
+    .withMessage('Please provide a valid upload ID'),
+  
+  param('index')
+    .isInt({ min: 0 })
+    .withMessage('Chunk index must be a non-negative integer'),
+  
   handleValidationErrors
 ];
 
@@ -160,6 +481,111 @@ const validateSearch = [
   handleValidationErrors
 ];
 
+/**
+ * Global message search validation rules
+ */
+const validateGlobalSearch = [
+  query('q')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Search query must be between 2 and 100 characters'),
+  
+  query('sender')
+    .optional()
+    .isMongoId()
+    .withMessage('Sender must be a valid user ID'),
+  
+  query('conversationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid conversation ID'),
+  
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601 dates'),
+  
+  query('type')
+    .optional()
+    .custom(value => typeof value === 'string' && value.split(',').every(type =>
+      ['text', 'emoji', 'image', 'video', 'audio', 'voice', 'document'].includes(type)))
+    .withMessage('Type must be a comma-separated list of text, emoji, image, video, audio, voice or document'),
+  
+  query(['hasAttachment', 'starred'])
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Filter must be true or false'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  
+  query('perConversation')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Matches per conversation must be between 1 and 20'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Conversation history query validation rules
+ */
+const validateConversationQuery = [
+  query(['before', 'after'])
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Cursor must be a message ID or a timestamp'),
+  
+  query('around')
+    .optional()
+    .isMongoId()
+    .withMessage('Around must be a valid message ID'),
+  
+  query('around')
+    .custom((value, { req }) => ['before', 'after', 'around'].filter(key => req.query[key] !== undefined).length <= 1)
+    .withMessage('Use only one of before, after or around'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Read receipt validation rules
+ */
+const validateReadReceipt = [
+  body('messageId')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid message ID'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Sync query validation rules
+ */
+const validateSyncQuery = [
+  query('cursor')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Cursor must be a non-negative integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  
+  handleValidationErrors
+];
+
 /**
  * Pagination validation rules
  */
@@ -184,8 +610,28 @@ module.exports = {
   validatePasswordResetRequest,
   validatePasswordReset,
   validateProfileUpdate,
+  validatePrivacySettings,
   validateMessage,
+  validateMessageEdit,
+  validateReaction,
+  validatePin,
+  validateDisappearingMessages,
+  validateScheduledMessage,
+  validateScheduledMessageUpdate,
+  validateGroup,
+  validateGroupUpdate,
+  validateGroupMembers,
+  validateGroupRole,
+  validateGroupSettings,
+  validateInviteLink,
+  validateVoiceNote,
+  validateUploadSession,
+  validateUploadChunk,
   validateContact,
   validateSearch,
+  validateGlobalSearch,
+  validateConversationQuery,
+  validateReadReceipt,
+  validateSyncQuery,
   validatePagination
 };
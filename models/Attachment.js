@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Attachment must have an uploader']
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'video', 'audio', 'voice', 'document'],
+    required: true
+  },
+  // What the file is used for; avatars are readable by any authenticated user
+  purpose: {
+    type: String,
+    enum: ['message', 'avatar'],
+    default: 'message'
+  },
+  driver: {
+    type: String,
+    enum: ['local', 's3'],
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  originalName: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'File name cannot be more than 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // SHA-256 of the file contents, hex encoded
+  checksum: {
+    type: String,
+    required: true
+  },
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  // Voice notes: length in seconds and bar heights (0-100) for the waveform preview
+  duration: {
+    type: Number,
+    default: null
+  },
+  waveform: {
+    type: [Number],
+    default: undefined
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+attachmentSchema.index({ uploader: 1, createdAt: -1 });
+
+// Virtual for the authenticated download URL
+attachmentSchema.virtual('url').get(function() {
+  return `/api/attachments/${this._id}/download`;
+});
+
+// Static method to find an attachment the sender may attach to a message
+attachmentSchema.statics.findForMessage = function(attachmentId, senderId) {
+  return this.findOne({
+    _id: attachmentId,
+    uploader: senderId,
+    purpose: 'message'
+  });
+};
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,462 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { generateConversationId, isValidObjectId } = require('../utils/helpers');
+
+// A conversation keeps at most this many pinned messages
+const MAX_PINNED_MESSAGES = 3;
+
+// Disappearing message timers: how long new messages are kept
+const DISAPPEARING_DURATIONS = {
+  off: null,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '90d': 90 * 24 * 60 * 60 * 1000
+};
+
+// How long a pin may last before it expires (omit for no expiry)
+const PIN_DURATIONS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['owner', 'admin', 'member'],
+    default: 'member'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { _id: false });
+
+const conversationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['direct', 'group'],
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Group name cannot be more than 100 characters']
+  },
+  avatar: {
+    type: String,
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Group description cannot be more than 500 characters'],
+    default: ''
+  },
+  members: [memberSchema],
+  settings: {
+    // Who may send messages to the group
+    sendMessages: {
+      type: String,
+      enum: ['all', 'admins'],
+      default: 'all'
+    },
+    // Who may change the group name, description and avatar
+    editInfo: {
+      type: String,
+      enum: ['all', 'admins'],
+      default: 'admins'
+    },
+    // Whether users joining via invite link need admin approval
+    approveNewMembers: {
+      type: Boolean,
+      default: false
+    },
+    // Timer after which new messages are deleted
+    disappearingMessages: {
+      type: String,
+      enum: Object.keys(DISAPPEARING_DURATIONS),
+      default: 'off'
+    }
+  },
+  invite: {
+    token: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: Date,
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    maxUses: {
+      type: Number,
+      default: null
+    },
+    uses: {
+      type: Number,
+      default: 0
+    }
+  },
+  joinRequests: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Invite link the request came through, which is used once it is approved
+    inviteToken: {
+      type: String,
+      default: null
+    }
+  }],
+  pinnedMessages: [{
+    _id: false,
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      required: true
+    },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    pinnedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Sorted "userId-userId" pair, only set for direct conversations
+  directKey: {
+    type: String,
+    default: undefined
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    // Invite links and join requests are only exposed to admins via dedicated endpoints
+    transform: (doc, ret) => {
+      delete ret.invite;
+      delete ret.joinRequests;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+conversationSchema.index({ 'members.user': 1 });
+conversationSchema.index({ directKey: 1 }, { unique: true, sparse: true });
+conversationSchema.index({ 'invite.token': 1 }, { unique: true, sparse: true });
+
+// Group conversations must have a name
+conversationSchema.pre('validate', function(next) {
+  if (this.type === 'group' && (!this.name || this.name.trim().length === 0)) {
+    this.invalidate('name', 'Group name is required');
+  }
+  next();
+});
+
+// Virtual for member count
+conversationSchema.virtual('memberCount').get(function() {
+  return this.members ? this.members.length : 0;
+});
+
+// Instance method to check whether a user belongs to the conversation
+conversationSchema.methods.isMember = function(userId) {
+  return this.members.some(member => {
+    const memberId = member.user._id || member.user;
+    return memberId.toString() === userId.toString();
+  });
+};
+
+// Instance method to get member IDs as strings
+conversationSchema.methods.getMemberIds = function() {
+  return this.members.map(member => (member.user._id || member.user).toString());
+};
+
+// Instance method to get a member's role (null if not a member)
+conversationSchema.methods.getMemberRole = function(userId) {
+  const member = this.members.find(m => (m.user._id || m.user).toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// Instance method to check whether a user is an owner or admin of the group
+conversationSchema.methods.isAdmin = function(userId) {
+  return ['owner', 'admin'].includes(this.getMemberRole(userId));
+};
+
+// Instance method to check whether a user may send messages to the conversation
+conversationSchema.methods.canSendMessages = function(userId) {
+  if (!this.isMember(userId)) {
+    return false;
+  }
+  if (this.type === 'group' && this.settings && this.settings.sendMessages === 'admins') {
+    return this.isAdmin(userId);
+  }
+  return true;
+};
+
+// Instance method to check whether a user may change the group info
+conversationSchema.methods.canEditInfo = function(userId) {
+  if (this.settings && this.settings.editInfo === 'all') {
+    return this.isMember(userId);
+  }
+  return this.isAdmin(userId);
+};
+
+// Instance method to check if a user may pin messages and set the disappearing timer
+// (either participant of a direct chat, or whoever may edit group info)
+conversationSchema.methods.canManageChat = function(userId) {
+  if (this.type === 'direct') {
+    return this.isMember(userId);
+  }
+  return this.canEditInfo(userId);
+};
+
+// Instance method to get pins that have not expired, newest first
+conversationSchema.methods.getActivePins = function(now = new Date()) {
+  return this.pinnedMessages
+    .filter(pin => !pin.expiresAt || pin.expiresAt > now)
+    .sort((a, b) => b.pinnedAt - a.pinnedAt);
+};
+
+// Instance method to pin a message, replacing the oldest pin when the limit is reached
+conversationSchema.methods.pinMessage = function(messageId, userId, duration = null) {
+  const now = new Date();
+  const pins = this.getActivePins(now)
+    .filter(pin => pin.message.toString() !== messageId.toString())
+    .slice(0, MAX_PINNED_MESSAGES - 1);
+
+  const pin = {
+    message: messageId,
+    pinnedBy: userId,
+    pinnedAt: now,
+    expiresAt: duration ? new Date(now.getTime() + PIN_DURATIONS[duration]) : null
+  };
+
+  this.pinnedMessages = [pin, ...pins];
+  return pin;
+};
+
+// Instance method to unpin a message (returns false if it was not pinned)
+conversationSchema.methods.unpinMessage = function(messageId) {
+  const pins = this.getActivePins();
+  const remaining = pins.filter(pin => pin.message.toString() !== messageId.toString());
+
+  this.pinnedMessages = remaining;
+  return remaining.length !== pins.length;
+};
+
+// Instance method to get the expiry date for a message sent now (null if timer is off)
+conversationSchema.methods.getMessageExpiry = function(now = new Date()) {
+  const duration = DISAPPEARING_DURATIONS[(this.settings && this.settings.disappearingMessages) || 'off'];
+  return duration ? new Date(now.getTime() + duration) : null;
+};
+
+// Instance method to create (or reset) the group's invite link
+conversationSchema.methods.createInvite = function(createdBy, { expiresAt = null, maxUses = null } = {}) {
+  this.invite = {
+    token: crypto.randomBytes(16).toString('hex'),
+    createdBy,
+    createdAt: new Date(),
+    expiresAt,
+    maxUses,
+    uses: 0
+  };
+
+  return this.invite.token;
+};
+
+// Instance method to check whether the invite link can still be used
+conversationSchema.methods.hasValidInvite = function() {
+  const invite = this.invite;
+  if (!invite || !invite.token) {
+    return false;
+  }
+  if (invite.expiresAt && invite.expiresAt <= new Date()) {
+    return false;
+  }
+  if (invite.maxUses && invite.uses >= invite.maxUses) {
+    return false;
+  }
+  return true;
+};
+
+// Instance method to check for a pending join request
+conversationSchema.methods.hasJoinRequest = function(userId) {
+  return this.joinRequests.some(request => request.user.toString() === userId.toString());
+};
+
+// Instance method to get the other member of a direct conversation
+conversationSchema.methods.getOtherMemberId = function(userId) {
+  if (this.type !== 'direct') {
+    return null;
+  }
+  return this.getMemberIds().find(memberId => memberId !== userId.toString()) || userId.toString();
+};
+
+// Static method to find the direct conversation between two users, or null
+conversationSchema.statics.findDirect = function(userId1, userId2) {
+  return this.findOne({ directKey: generateConversationId(userId1.toString(), userId2.toString()) });
+};
+
+// Static method to find or create the direct conversation between two users
+conversationSchema.statics.findOrCreateDirect = async function(userId1, userId2) {
+  const directKey = generateConversationId(userId1.toString(), userId2.toString());
+
+  const existing = await this.findDirect(userId1, userId2);
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await this.create({
+      type: 'direct',
+      directKey,
+      members: [{ user: userId1 }, { user: userId2 }]
+    });
+  } catch (error) {
+    // Another request created it concurrently
+    if (error.code === 11000) {
+      return this.findOne({ directKey });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Resolve an ID that may be either a conversation ID the user belongs to
+ * or another user's ID (legacy 1:1 addressing).
+ * Another user's ID only resolves to the existing direct conversation with them,
+ * unless create is set for actions that start one; it never resolves for the
+ * user themselves or when either user blocked the other.
+ * Returns { conversation, otherUser } or null if nothing matches.
+ */
+conversationSchema.statics.resolveForUser = async function(userId, id, { create = false } = {}) {
+  if (!isValidObjectId(id)) {
+    return null;
+  }
+
+  const User = mongoose.model('User');
+
+  const conversation = await this.findById(id);
+  if (conversation) {
+    if (!conversation.isMember(userId)) {
+      return null;
+    }
+
+    const otherUser = conversation.type === 'direct'
+      ? await User.findById(conversation.getOtherMemberId(userId))
+      : null;
+
+    return { conversation, otherUser };
+  }
+
+  if (id.toString() === userId.toString()) {
+    return null;
+  }
+
+  const otherUser = await User.findById(id);
+  if (!otherUser || await User.getBlockStatus(userId, otherUser._id)) {
+    return null;
+  }
+
+  const direct = create
+    ? await this.findOrCreateDirect(userId, otherUser._id)
+    : await this.findDirect(userId, otherUser._id);
+
+  return direct && { conversation: direct, otherUser };
+};
+
+/**
+ * Find the conversation a message is addressed to, either by conversation ID
+ * (sender must be a member) or by receiver ID for 1:1 chats.
+ * Returns null if the target does not exist or is not accessible.
+ */
+conversationSchema.statics.findForSender = async function(senderId, { conversationId, receiverId }) {
+  if (conversationId) {
+    if (!isValidObjectId(conversationId)) {
+      return null;
+    }
+    const conversation = await this.findById(conversationId);
+    return conversation && conversation.isMember(senderId) ? conversation : null;
+  }
+
+  if (!isValidObjectId(receiverId)) {
+    return null;
+  }
+
+  const receiverExists = await mongoose.model('User').exists({ _id: receiverId });
+  if (!receiverExists) {
+    return null;
+  }
+
+  return this.findOrCreateDirect(senderId, receiverId);
+};
+
+/**
+ * Atomically use an invite link: applies the given update, provided the link
+ * is still valid, and consumes one use unless countUse is false (join requests
+ * only use the link once approved). Returns the updated group or null.
+ */
+conversationSchema.statics.redeemInvite = function(token, filter, update, { countUse = true } = {}) {
+  return this.findOneAndUpdate(
+    {
+      ...filter,
+      type: 'group',
+      'invite.token': token,
+      $and: [
+        { $or: [{ 'invite.expiresAt': null }, { 'invite.expiresAt': { $gt: new Date() } }] },
+        { $or: [{ 'invite.maxUses': null }, { $expr: { $lt: ['$invite.uses', '$invite.maxUses'] } }] }
+      ]
+    },
+    countUse ? { ...update, $inc: { 'invite.uses': 1 } } : update,
+    { new: true }
+  );
+};
+
+// Static method to count an approved join request as a use of the invite link it came through
+conversationSchema.statics.countInviteUse = function(groupId, token) {
+  return this.updateOne(
+    { _id: groupId, 'invite.token': token },
+    { $inc: { 'invite.uses': 1 } }
+  );
+};
+
+// Static method to get IDs of all conversations a user belongs to
+conversationSchema.statics.getIdsForUser = function(userId) {
+  return this.find({ 'members.user': userId }).distinct('_id');
+};
+
+conversationSchema.statics.MAX_PINNED_MESSAGES = MAX_PINNED_MESSAGES;
+conversationSchema.statics.PIN_DURATIONS = PIN_DURATIONS;
+conversationSchema.statics.DISAPPEARING_DURATIONS = DISAPPEARING_DURATIONS;
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -1,27 +1,51 @@
 const mongoose = require('mongoose');
+const Conversation = require('./Conversation');
+const StarredMessage = require('./StarredMessage');
+const SyncEvent = require('./SyncEvent');
+const { containsEmoji, buildCursorFilter } = require('../utils/helpers');
 
 const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: [true, 'Message must belong to a conversation']
+  },
   sender: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Message must have a sender']
   },
+  // ID the sender's client generated for the message, so retried sends aren't saved twice
+  clientMessageId: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Client message ID cannot be more than 100 characters'],
+    default: undefined
+  },
+  // Only set for direct (1:1) conversations
   receiver: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Message must have a receiver']
+    default: null
   },
+  // Message text, or the optional caption of a media message
   content: {
     type: String,
-    required: [true, 'Message content is required'],
+    required: [function() { return !this.attachment; }, 'Message content is required'],
     trim: true,
-    maxlength: [1000, 'Message cannot be more than 1000 characters']
+    maxlength: [1000, 'Message cannot be more than 1000 characters'],
+    default: ''
   },
   messageType: {
     type: String,
-    enum: ['text', 'emoji'],
+    enum: ['text', 'emoji', 'system', 'image', 'video', 'audio', 'voice', 'document'],
     default: 'text'
   },
+  attachment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment',
+    default: null
+  },
   status: {
     type: String,
     enum: ['sent', 'delivered', 'read'],
@@ -35,10 +59,72 @@ const messageSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Per-recipient receipts; status, deliveredAt and readAt summarize them for direct chats
+  deliveredTo: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    deliveredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  readBy: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Voice notes: recipients who played the recording (separate from readBy)
+  playedBy: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    playedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // One reaction per user; reacting again replaces it
+  reactions: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    emoji: {
+      type: String,
+      required: true
+    },
+    reactedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   editedAt: {
     type: Date,
     default: null
   },
+  // Previous versions of the content, oldest first (not returned by default)
+  editHistory: {
+    type: [{
+      _id: false,
+      content: String,
+      // When this version was written
+      editedAt: Date
+    }],
+    select: false
+  },
+  // Deleted for everyone: the message stays as a tombstone without its content
   isDeleted: {
     type: Boolean,
     default: false
@@ -51,52 +137,318 @@ const messageSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message',
     default: null
-  }
+  },
+  // Set from the conversation's disappearing messages timer; removed by a TTL index
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Users who deleted the message for themselves only
+  hiddenFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    // Per-recipient receipts are only exposed through getReceipts (which respects read receipt
+    // settings), and who deleted a message for themselves is private to them
+    transform: (doc, ret) => {
+      delete ret.deliveredTo;
+      delete ret.readBy;
+      delete ret.hiddenFor;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
 // Compound indexes for better query performance
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
 messageSchema.index({ sender: 1, receiver: 1, createdAt: -1 });
 messageSchema.index({ receiver: 1, status: 1 });
 messageSchema.index({ createdAt: -1 });
+messageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// Client message IDs are unique per sender
+messageSchema.index(
+  { sender: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+);
+// Chats mix languages, so match whole words without stemming or stop words
+messageSchema.index({ content: 'text' }, { default_language: 'none' });
 
-// Virtual for conversation participants
+// Virtual for conversation participants (direct messages only)
 messageSchema.virtual('participants').get(function() {
-  return [this.sender, this.receiver].sort();
+  return [this.sender, this.receiver].filter(Boolean).sort();
+});
+
+// Virtual for reaction counts per emoji, most used first
+messageSchema.virtual('reactionCounts').get(function() {
+  const counts = new Map();
+  (this.reactions || []).forEach(reaction => {
+    counts.set(reaction.emoji, (counts.get(reaction.emoji) || 0) + 1);
+  });
+  return Array.from(counts, ([emoji, count]) => ({ emoji, count }))
+    .sort((a, b) => b.count - a.count);
+});
+
+// Text shown in place of a message that was deleted for everyone
+const DELETED_MESSAGE_TEXT = 'This message was deleted';
+
+// How long after sending a message can be deleted for everyone
+const getDeleteForEveryoneWindow = () =>
+  (parseInt(process.env.DELETE_FOR_EVERYONE_WINDOW_MINUTES) || 48 * 60) * 60 * 1000;
+
+// How long after sending a message can be edited
+const getEditWindow = () =>
+  (parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 24 * 60) * 60 * 1000;
+
+// Attachment fields included when messages are returned to clients
+const ATTACHMENT_FIELDS = 'kind mimeType originalName size checksum width height duration waveform';
+
+/**
+ * Build a filter matching messages in the given conversations that the user
+ * has not read yet
+ */
+const buildUnreadFilter = (userId, conversationIds) => ({
+  conversation: { $in: conversationIds },
+  sender: { $ne: userId },
+  messageType: { $ne: 'system' },
+  status: { $ne: 'read' },
+  'readBy.user': { $ne: userId },
+  hiddenFor: { $ne: userId },
+  isDeleted: false
+});
+
+/**
+ * Build a filter matching the messages of a conversation that the user can see
+ */
+const visibleInConversation = (conversationId, userId) => ({
+  conversation: conversationId,
+  hiddenFor: { $ne: userId },
+  // The TTL monitor runs about once a minute, so skip messages it has not removed yet
+  expiresAt: { $not: { $lte: new Date() } }
+});
+
+// Populate what clients need to show a message
+const populateDetails = (query) => query
+  .populate('sender', 'name avatar')
+  .populate('receiver', 'name avatar')
+  .populate('replyTo', 'content sender')
+  .populate('attachment', ATTACHMENT_FIELDS);
+
+// Resolve the direct conversation for messages addressed by receiver only
+messageSchema.pre('validate', async function() {
+  if (!this.conversation && this.receiver) {
+    const conversation = await Conversation.findOrCreateDirect(this.sender, this.receiver);
+    this.conversation = conversation._id;
+  }
 });
 
-// Static method to get conversation between two users
-messageSchema.statics.getConversation = function(userId1, userId2, page = 1, limit = 50) {
+// Static method to get the messages of a conversation visible to a user
+// (messages deleted for everyone are included as tombstones)
+messageSchema.statics.getConversation = function(conversationId, userId, page = 1, limit = 50) {
   const skip = (page - 1) * limit;
   
-  return this.find({
-    $or: [
-      { sender: userId1, receiver: userId2 },
-      { sender: userId2, receiver: userId1 }
-    ],
+  return populateDetails(this.find(visibleInConversation(conversationId, userId)))
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+};
+
+// Static method to count the messages of a conversation visible to a user
+messageSchema.statics.countInConversation = function(conversationId, userId) {
+  return this.countDocuments(visibleInConversation(conversationId, userId));
+};
+
+// Static method to find a message a user can see in a conversation
+messageSchema.statics.findVisibleInConversation = function(conversationId, userId, messageId) {
+  return this.findOne({ _id: messageId, ...visibleInConversation(conversationId, userId) });
+};
+
+// Static method to get up to `limit` messages before or after a cursor, oldest first
+messageSchema.statics.getConversationPage = async function(conversationId, userId, { before, after, limit = 50 }) {
+  const cursor = after || before;
+  const order = after ? 1 : -1;
+  const filter = visibleInConversation(conversationId, userId);
+
+  const [messages, hasOpposite] = await Promise.all([
+    // Fetch one extra message to know whether there is another page
+    populateDetails(this.find({ ...filter, ...buildCursorFilter('createdAt', cursor, order) }))
+      .sort({ createdAt: order, _id: order })
+      .limit(limit + 1),
+    // A message cursor is itself on the other side; a timestamp may have nothing there
+    cursor.id
+      ? true
+      : this.exists({ ...filter, createdAt: after ? { $lte: cursor.date } : { $gte: cursor.date } }).then(Boolean)
+  ]);
+
+  const hasMore = messages.length > limit;
+  const page = messages.slice(0, limit);
+  if (order === -1) {
+    page.reverse();
+  }
+
+  return {
+    messages: page,
+    hasMoreBefore: after ? hasOpposite : hasMore,
+    hasMoreAfter: after ? hasMore : hasOpposite
+  };
+};
+
+// Static method to get a window of `limit` messages centred on one message, oldest first
+messageSchema.statics.getConversationAround = async function(conversationId, userId, message, limit = 50) {
+  const cursor = { date: message.createdAt, id: message._id.toString() };
+  const beforeLimit = Math.floor((limit - 1) / 2);
+
+  const [older, target, newer] = await Promise.all([
+    this.getConversationPage(conversationId, userId, { before: cursor, limit: beforeLimit }),
+    populateDetails(this.findById(message._id)),
+    this.getConversationPage(conversationId, userId, { after: cursor, limit: limit - 1 - beforeLimit })
+  ]);
+
+  return {
+    messages: [...older.messages, target, ...newer.messages],
+    hasMoreBefore: older.hasMoreBefore,
+    hasMoreAfter: newer.hasMoreAfter
+  };
+};
+
+// Static method to get a conversation's active pins with their messages, newest first
+messageSchema.statics.getPinnedMessages = async function(conversation, userId) {
+  const pins = conversation.getActivePins();
+  if (pins.length === 0) {
+    return [];
+  }
+
+  const messages = await this.find({
+    _id: { $in: pins.map(pin => pin.message) },
+    ...visibleInConversation(conversation._id, userId),
     isDeleted: false
   })
   .populate('sender', 'name avatar')
-  .populate('receiver', 'name avatar')
-  .populate('replyTo', 'content sender')
-  .sort({ createdAt: -1 })
-  .skip(skip)
-  .limit(limit);
+  .populate('attachment', ATTACHMENT_FIELDS);
+
+  const messagesById = new Map(messages.map(message => [message._id.toString(), message]));
+
+  return pins
+    .filter(pin => messagesById.has(pin.message.toString()))
+    .map(pin => ({
+      message: messagesById.get(pin.message.toString()),
+      pinnedBy: pin.pinnedBy,
+      pinnedAt: pin.pinnedAt,
+      expiresAt: pin.expiresAt
+    }));
 };
 
-// Static method to get latest conversations for a user
-messageSchema.statics.getLatestConversations = function(userId, limit = 20) {
+// Static method to full-text search a user's messages, grouped by conversation and
+// ranked by relevance. Returns a page of conversations with their best matches.
+messageSchema.statics.searchGrouped = async function(userId, search, filters = {}, options = {}) {
+  const { conversationIds, senderId, from, to, types, hasAttachment, messageIds, excludeMessageIds } = filters;
+  const { skip = 0, limit = 20, perConversation = 5 } = options;
+  const toObjectId = id => new mongoose.Types.ObjectId(id.toString());
+
+  const match = {
+    $text: { $search: search },
+    conversation: { $in: conversationIds.map(toObjectId) },
+    hiddenFor: { $ne: toObjectId(userId) },
+    isDeleted: false,
+    messageType: types ? { $in: types } : { $ne: 'system' },
+    expiresAt: { $not: { $lte: new Date() } }
+  };
+
+  if (senderId) {
+    match.sender = toObjectId(senderId);
+  }
+
+  if (from || to) {
+    match.createdAt = {};
+    if (from) {
+      match.createdAt.$gte = from;
+    }
+    if (to) {
+      match.createdAt.$lte = to;
+    }
+  }
+
+  if (hasAttachment !== undefined) {
+    match.attachment = hasAttachment ? { $ne: null } : null;
+  }
+
+  if (messageIds) {
+    match._id = { $in: messageIds.map(toObjectId) };
+  } else if (excludeMessageIds) {
+    match._id = { $nin: excludeMessageIds.map(toObjectId) };
+  }
+
+  const [result] = await this.aggregate([
+    // $text must be in the first stage
+    { $match: match },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    { $sort: { score: -1, createdAt: -1 } },
+    {
+      $group: {
+        _id: '$conversation',
+        topScore: { $max: '$score' },
+        latestMatchAt: { $max: '$createdAt' },
+        matchCount: { $sum: 1 },
+        matches: { $push: { _id: '$_id', score: '$score' } }
+      }
+    },
+    { $sort: { topScore: -1, latestMatchAt: -1 } },
+    {
+      $facet: {
+        totals: [
+          { $group: { _id: null, conversations: { $sum: 1 }, messages: { $sum: '$matchCount' } } }
+        ],
+        conversations: [
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $project: {
+              topScore: 1,
+              matchCount: 1,
+              matches: { $slice: ['$matches', perConversation] }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || { conversations: 0, messages: 0 };
+
+  return {
+    conversations: result.conversations,
+    totalConversations: totals.conversations,
+    totalMessages: totals.messages
+  };
+};
+
+// Static method to get latest conversations (direct and group) for a user
+messageSchema.statics.getLatestConversations = async function(userId, limit = 20) {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const User = mongoose.model('User');
+  const [conversationIds, blockedIds] = await Promise.all([
+    Conversation.getIdsForUser(userObjectId),
+    User.getBlockedIds(userId)
+  ]);
+  // Nothing private is shown between users where one blocked the other
+  const blockedObjectIds = blockedIds.map(id => new mongoose.Types.ObjectId(id));
+  const showParticipant = (setting) => ({
+    $and: [
+      { $not: [{ $in: ['$participant._id', blockedObjectIds] }] },
+      User.buildVisibilityExpression('participant', setting, userObjectId)
+    ]
+  });
+
   return this.aggregate([
     {
       $match: {
-        $or: [
-          { sender: mongoose.Types.ObjectId(userId) },
-          { receiver: mongoose.Types.ObjectId(userId) }
-        ],
-        isDeleted: false
+        conversation: { $in: conversationIds },
+        hiddenFor: { $ne: userObjectId },
+        expiresAt: { $not: { $lte: new Date() } }
       }
     },
     {
@@ -104,21 +456,18 @@ messageSchema.statics.getLatestConversations = function(userId, limit = 20) {
     },
     {
       $group: {
-        _id: {
-          $cond: [
-            { $eq: ['$sender', mongoose.Types.ObjectId(userId)] },
-            '$receiver',
-            '$sender'
-          ]
-        },
+        _id: '$conversation',
         lastMessage: { $first: '$$ROOT' },
         unreadCount: {
           $sum: {
             $cond: [
               {
                 $and: [
-                  { $eq: ['$receiver', mongoose.Types.ObjectId(userId)] },
-                  { $ne: ['$status', 'read'] }
+                  { $ne: ['$sender', userObjectId] },
+                  { $ne: ['$messageType', 'system'] },
+                  { $ne: ['$status', 'read'] },
+                  { $eq: ['$isDeleted', false] },
+                  { $not: [{ $in: [userObjectId, { $ifNull: ['$readBy.user', []] }] }] }
                 ]
               },
               1,
@@ -128,95 +477,389 @@ messageSchema.statics.getLatestConversations = function(userId, limit = 20) {
         }
       }
     },
+    {
+      $sort: { 'lastMessage.createdAt': -1 }
+    },
+    {
+      $limit: limit
+    },
     {
       $lookup: {
-        from: 'users',
+        from: 'conversations',
         localField: '_id',
         foreignField: '_id',
+        as: 'conversation'
+      }
+    },
+    {
+      $unwind: '$conversation'
+    },
+    {
+      // The other user of a direct conversation
+      $lookup: {
+        from: 'users',
+        let: { type: '$conversation.type', memberIds: '$conversation.members.user' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$$type', 'direct'] },
+                  { $in: ['$_id', '$$memberIds'] },
+                  { $ne: ['$_id', userObjectId] }
+                ]
+              }
+            }
+          }
+        ],
         as: 'participant'
       }
     },
     {
-      $unwind: '$participant'
+      $unwind: { path: '$participant', preserveNullAndEmptyArrays: true }
     },
     {
       $project: {
+        conversation: {
+          _id: '$conversation._id',
+          type: '$conversation.type',
+          name: '$conversation.name',
+          avatar: '$conversation.avatar',
+          description: '$conversation.description',
+          memberCount: { $size: '$conversation.members' },
+          disappearingMessages: { $ifNull: ['$conversation.settings.disappearingMessages', 'off'] }
+        },
+        // Only the profile fields the participant lets this user see
         participant: {
-          _id: 1,
-          name: 1,
-          avatar: 1,
-          isOnline: 1,
-          lastSeen: 1
+          $cond: [
+            { $ifNull: ['$participant', false] },
+            {
+              _id: '$participant._id',
+              name: '$participant.name',
+              avatar: { $cond: [showParticipant('avatar'), '$participant.avatar', null] },
+              isOnline: { $cond: [showParticipant('online'), '$participant.isOnline', null] },
+              lastSeen: { $cond: [showParticipant('lastSeen'), '$participant.lastSeen', null] }
+            },
+            '$$REMOVE'
+          ]
         },
         lastMessage: 1,
         unreadCount: 1
       }
     },
     {
-      $sort: { 'lastMessage.createdAt': -1 }
-    },
-    {
-      $limit: limit
+      // Same as Message toJSON
+      $unset: ['lastMessage.deliveredTo', 'lastMessage.readBy', 'lastMessage.hiddenFor']
     }
   ]);
 };
 
-// Static method to mark messages as delivered
-messageSchema.statics.markAsDelivered = function(senderId, receiverId) {
-  return this.updateMany(
-    {
-      sender: senderId,
-      receiver: receiverId,
-      status: 'sent'
-    },
-    {
-      $set: {
-        status: 'delivered',
-        deliveredAt: new Date()
-      }
+/**
+ * Build a filter matching the messages from other members that a user still has
+ * to acknowledge with the given receipt (all of them, or only the given IDs)
+ */
+const buildReceiptFilter = (conversationId, userId, receiptField, messageIds) => {
+  const filter = {
+    conversation: conversationId,
+    sender: { $ne: userId },
+    messageType: { $ne: 'system' },
+    [`${receiptField}.user`]: { $ne: userId }
+  };
+
+  if (messageIds) {
+    filter._id = { $in: messageIds };
+  }
+
+  return filter;
+};
+
+/**
+ * Group updated messages by sender and build the receipt event sent to them
+ */
+const buildReceipt = (conversationId, messages, receipt) => ({
+  senderIds: [...new Set(messages.map(message => message.sender.toString()))],
+  event: {
+    conversationId,
+    messageIds: messages.map(message => message._id),
+    ...receipt
+  }
+});
+
+// Static method to mark messages from other members as delivered to a user (all of them,
+// or only the given IDs). Returns the receipt to send to their senders, or null if nothing changed.
+messageSchema.statics.markAsDelivered = async function(conversationId, userId, { messageIds } = {}) {
+  const pending = await this.find(buildReceiptFilter(conversationId, userId, 'deliveredTo', messageIds))
+    .select('_id sender');
+  if (pending.length === 0) {
+    return null;
+  }
+
+  const ids = pending.map(message => message._id);
+  const now = new Date();
+
+  await this.updateMany(
+    { _id: { $in: ids }, 'deliveredTo.user': { $ne: userId } },
+    { $push: { deliveredTo: { user: userId, deliveredAt: now } } }
+  );
+
+  // In direct conversations the user is the only recipient
+  const conversation = await Conversation.findById(conversationId).select('type');
+  if (conversation && conversation.type === 'direct') {
+    await this.updateMany(
+      { _id: { $in: ids }, status: 'sent' },
+      { $set: { status: 'delivered', deliveredAt: now } }
+    );
+  }
+
+  const receipt = buildReceipt(conversationId, pending, { deliveredTo: userId, timestamp: now });
+  await SyncEvent.record(receipt.senderIds, 'messageDelivered', receipt.event);
+
+  return receipt;
+};
+
+// Static method to mark messages from other members as read, up to and including the
+// `upTo` message if given. Returns the receipt to send to their senders, or null if nothing changed.
+messageSchema.statics.markAsRead = async function(conversationId, readerId, { upTo } = {}) {
+  const filter = buildReceiptFilter(conversationId, readerId, 'readBy');
+
+  if (upTo) {
+    filter.$or = [
+      { createdAt: { $lt: upTo.createdAt } },
+      { createdAt: upTo.createdAt, _id: { $lte: upTo._id } }
+    ];
+  }
+
+  const unread = await this.find(filter).select('_id sender');
+  if (unread.length === 0) {
+    return null;
+  }
+
+  const ids = unread.map(message => message._id);
+  const now = new Date();
+
+  // Readers who turned read receipts off still get their unread count cleared, but no
+  // read time is kept and the messages stay delivered for their senders
+  const reader = await mongoose.model('User').findById(readerId).select('+privacy');
+  const sendsReceipts = !reader || reader.sendsReadReceipts();
+
+  await this.updateMany(
+    { _id: { $in: ids }, 'readBy.user': { $ne: readerId } },
+    { $push: { readBy: { user: readerId, readAt: sendsReceipts ? now : null } } }
+  );
+
+  const receipt = buildReceipt(conversationId, unread, { readBy: readerId, timestamp: now });
+
+  // In direct conversations the reader is the only recipient
+  const conversation = await Conversation.findById(conversationId).select('type');
+  if (conversation && conversation.type === 'direct') {
+    await this.updateMany(
+      { _id: { $in: ids }, deliveredAt: null },
+      { $set: { deliveredAt: now } }
+    );
+
+    if (sendsReceipts) {
+      await this.updateMany({ _id: { $in: ids } }, { $set: { status: 'read', readAt: now } });
+    } else {
+      await this.updateMany({ _id: { $in: ids }, status: 'sent' }, { $set: { status: 'delivered' } });
     }
+  }
+
+  if (!sendsReceipts) {
+    return { ...receipt, senderIds: [] };
+  }
+
+  await SyncEvent.record(receipt.senderIds, 'messageRead', receipt.event);
+
+  return receipt;
+};
+
+// Static method to get the delivered, read and played times of a message for each recipient
+// (members who joined after it was sent never got it)
+messageSchema.statics.getReceipts = async function(message) {
+  const conversation = await Conversation.findById(message.conversation)
+    .populate('members.user', 'name avatar +privacy');
+
+  const findTime = (receipts, userId, field) => {
+    const receipt = receipts.find(entry => entry.user.toString() === userId);
+    return receipt ? receipt[field] : null;
+  };
+
+  // Read times are only shown for members who send read receipts (also for what they
+  // read before turning them off)
+  const isDirect = conversation && conversation.type === 'direct';
+
+  return (conversation ? conversation.members : [])
+    .filter(member => member.user && member.user._id.toString() !== message.sender.toString())
+    .filter(member => !member.joinedAt || member.joinedAt <= message.createdAt)
+    .map(member => {
+      const userId = member.user._id.toString();
+      let readAt = null;
+      if (member.user.sendsReadReceipts()) {
+        readAt = isDirect ? message.readAt : findTime(message.readBy, userId, 'readAt');
+      }
+
+      return {
+        user: {
+          _id: member.user._id,
+          name: member.user.name,
+          avatar: member.user.avatar
+        },
+        // Reading a message implies it was delivered
+        deliveredAt: findTime(message.deliveredTo, userId, 'deliveredAt') || (isDirect ? message.deliveredAt : readAt),
+        readAt,
+        playedAt: findTime(message.playedBy, userId, 'playedAt')
+      };
+    });
+};
+
+// Static method to find a message visible to a member of its conversation
+messageSchema.statics.findForMember = async function(messageId, userId, { includeDeleted = false } = {}) {
+  const filter = { _id: messageId, hiddenFor: { $ne: userId } };
+  if (!includeDeleted) {
+    filter.isDeleted = false;
+  }
+
+  const message = await this.findOne(filter);
+  if (!message) {
+    return null;
+  }
+
+  const isMember = await Conversation.exists({ _id: message.conversation, 'members.user': userId });
+  return isMember ? message : null;
+};
+
+// Static method to set (or replace) a user's reaction to a message
+messageSchema.statics.setReaction = async function(messageId, userId, emoji) {
+  const reactedAt = new Date();
+  const replaceExisting = () => this.findOneAndUpdate(
+    { _id: messageId, 'reactions.user': userId },
+    { $set: { 'reactions.$.emoji': emoji, 'reactions.$.reactedAt': reactedAt } },
+    { new: true }
+  );
+
+  const replaced = await replaceExisting();
+  if (replaced) {
+    return replaced;
+  }
+
+  const added = await this.findOneAndUpdate(
+    { _id: messageId, 'reactions.user': { $ne: userId } },
+    { $push: { reactions: { user: userId, emoji, reactedAt } } },
+    { new: true }
+  );
+
+  // A concurrent request may have added the reaction first
+  return added || replaceExisting();
+};
+
+// Static method to remove a user's reaction from a message
+messageSchema.statics.removeReaction = function(messageId, userId) {
+  return this.findOneAndUpdate(
+    { _id: messageId },
+    { $pull: { reactions: { user: userId } } },
+    { new: true }
   );
 };
 
-// Static method to mark messages as read
-messageSchema.statics.markAsRead = function(senderId, receiverId) {
-  return this.updateMany(
+// Static method to hide a message for one user ("delete for me")
+messageSchema.statics.hideForUser = async function(messageId, userId) {
+  await StarredMessage.deleteOne({ user: userId, message: messageId });
+
+  return this.updateOne(
+    { _id: messageId },
+    { $addToSet: { hiddenFor: userId } }
+  );
+};
+
+// Method to check whether the message is still recent enough to delete for everyone
+messageSchema.methods.isWithinDeleteWindow = function() {
+  return Date.now() - this.createdAt.getTime() <= getDeleteForEveryoneWindow();
+};
+
+// Method to delete the message for everyone, leaving a tombstone
+messageSchema.methods.deleteForEveryone = async function() {
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  this.content = DELETED_MESSAGE_TEXT;
+  this.attachment = null;
+  this.reactions = [];
+  this.editHistory = [];
+  await StarredMessage.deleteMany({ message: this._id });
+  await Conversation.updateOne(
+    { _id: this.conversation },
+    { $pull: { pinnedMessages: { message: this._id } } }
+  );
+  return this.save();
+};
+
+// Method to check whether the message is still recent enough to edit
+messageSchema.methods.isWithinEditWindow = function() {
+  return Date.now() - this.createdAt.getTime() <= getEditWindow();
+};
+
+// Method to replace the content, keeping the previous version in the history
+// (the message must be loaded with +editHistory)
+messageSchema.methods.applyEdit = function(content) {
+  const text = content.trim();
+
+  this.editHistory.push({
+    content: this.content,
+    editedAt: this.editedAt || this.createdAt
+  });
+  this.content = text;
+  this.editedAt = new Date();
+
+  // Media messages keep their type; only the caption changes
+  if (!this.attachment) {
+    this.messageType = containsEmoji(text) && text.length <= 10 ? 'emoji' : 'text';
+  }
+
+  return this.save();
+};
+
+// Static method to record that a recipient played a voice note
+messageSchema.statics.markAsPlayed = function(messageId, userId) {
+  return this.findOneAndUpdate(
     {
-      sender: senderId,
-      receiver: receiverId,
-      status: { $in: ['sent', 'delivered'] }
+      _id: messageId,
+      messageType: 'voice',
+      sender: { $ne: userId },
+      'playedBy.user': { $ne: userId },
+      isDeleted: false
     },
-    {
-      $set: {
-        status: 'read',
-        readAt: new Date()
-      }
-    }
+    { $push: { playedBy: { user: userId, playedAt: new Date() } } },
+    { new: true }
   );
 };
 
-// Static method to get unread message count
-messageSchema.statics.getUnreadCount = function(userId) {
-  return this.countDocuments({
-    receiver: userId,
-    status: { $ne: 'read' },
-    isDeleted: false
+// Static method to save a system message (member joined, group renamed, etc.); deliver it
+// with messageService.sendSystemMessage (replyTo links the message it is about, e.g. a pinned message)
+messageSchema.statics.createSystemMessage = async function(conversationId, actorId, content, { replyTo = null } = {}) {
+  const message = await this.create({
+    conversation: conversationId,
+    sender: actorId,
+    content,
+    messageType: 'system',
+    status: 'delivered',
+    replyTo
   });
+
+  return message.populate([
+    { path: 'sender', select: 'name avatar' },
+    { path: 'replyTo', select: 'content sender' }
+  ]);
 };
 
-// Pre-save middleware to set delivered status
-messageSchema.pre('save', function(next) {
-  if (this.isNew && this.status === 'sent') {
-    // Auto-mark as delivered after a short delay (simulating real WhatsApp behavior)
-    setTimeout(() => {
-      if (this.status === 'sent') {
-        this.status = 'delivered';
-        this.deliveredAt = new Date();
-        this.save();
-      }
-    }, 1000);
-  }
-  next();
-});
+// Static method to get unread message count
+messageSchema.statics.getUnreadCount = async function(userId) {
+  const conversationIds = await Conversation.getIdsForUser(userId);
+
+  return this.countDocuments(buildUnreadFilter(userId, conversationIds));
+};
+
+messageSchema.statics.ATTACHMENT_FIELDS = ATTACHMENT_FIELDS;
+messageSchema.statics.DELETED_MESSAGE_TEXT = DELETED_MESSAGE_TEXT;
+messageSchema.statics.getDeleteForEveryoneWindow = getDeleteForEveryoneWindow;
+messageSchema.statics.getEditWindow = getEditWindow;
 
 module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// A claim older than this is treated as abandoned (e.g. the server restarted mid-send)
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+// Give up on a scheduled message after this many failed send attempts
+const MAX_SEND_ATTEMPTS = 5;
+
+const scheduledMessageSchema = new mongoose.Schema({
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Scheduled message must have a sender']
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: [true, 'Scheduled message must belong to a conversation']
+  },
+  content: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Message cannot be more than 1000 characters'],
+    default: ''
+  },
+  messageType: {
+    type: String,
+    enum: ['text', 'emoji', 'image', 'video', 'audio', 'voice', 'document'],
+    default: 'text'
+  },
+  attachment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment',
+    default: null
+  },
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  scheduledFor: {
+    type: Date,
+    required: [true, 'Scheduled time is required']
+  },
+  // IANA time zone the message was scheduled in, used to show the local send time
+  timeZone: {
+    type: String,
+    default: 'UTC'
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'sending', 'sent', 'cancelled', 'failed'],
+    default: 'scheduled'
+  },
+  // ID the sent message will get, so a retried send can never create a second copy
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: () => new mongoose.Types.ObjectId()
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+scheduledMessageSchema.index({ status: 1, scheduledFor: 1 });
+scheduledMessageSchema.index({ status: 1, claimedAt: 1 });
+scheduledMessageSchema.index({ sender: 1, status: 1, scheduledFor: 1 });
+
+scheduledMessageSchema.statics.STALE_CLAIM_MS = STALE_CLAIM_MS;
+scheduledMessageSchema.statics.MAX_SEND_ATTEMPTS = MAX_SEND_ATTEMPTS;
+
+// Static method to find a user's scheduled message
+scheduledMessageSchema.statics.findForSender = function(scheduledId, senderId) {
+  return this.findOne({ _id: scheduledId, sender: senderId });
+};
+
+// Static method to update a scheduled message that hasn't started sending yet
+scheduledMessageSchema.statics.updatePending = function(scheduledId, senderId, update) {
+  return this.findOneAndUpdate(
+    { _id: scheduledId, sender: senderId, status: 'scheduled' },
+    { $set: update },
+    { new: true, runValidators: true }
+  );
+};
+
+// Static method to claim the next due message for sending (or one whose earlier claim went stale)
+scheduledMessageSchema.statics.claimNextDue = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'scheduled', scheduledFor: { $lte: now } },
+        { status: 'sending', claimedAt: { $lte: new Date(now.getTime() - STALE_CLAIM_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'sending', claimedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { scheduledFor: 1 } }
+  );
+};
+
+module.exports = mongoose.model('ScheduledMessage', scheduledMessageSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const starredMessageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  // Copied from the message so stars can be listed per conversation
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  starredAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+starredMessageSchema.index({ user: 1, message: 1 }, { unique: true });
+starredMessageSchema.index({ user: 1, starredAt: -1, _id: -1 });
+starredMessageSchema.index({ user: 1, conversation: 1, starredAt: -1, _id: -1 });
+
+// Static method to star a message for a user (starring twice keeps the first star)
+starredMessageSchema.statics.star = function(userId, message) {
+  return this.findOneAndUpdate(
+    { user: userId, message: message._id },
+    { $setOnInsert: { conversation: message.conversation, starredAt: new Date() } },
+    { upsert: true, new: true }
+  );
+};
+
+// Static method to get which of the given messages a user has starred
+starredMessageSchema.statics.getStarredIds = async function(userId, messageIds) {
+  const stars = await this.find({ user: userId, message: { $in: messageIds } }).select('message');
+  return new Set(stars.map(star => star.message.toString()));
+};
+
+// Static method to add the user's isStarred flag to messages returned to them
+starredMessageSchema.statics.withStarredState = async function(userId, messages) {
+  const starredIds = await this.getStarredIds(userId, messages.map(message => message._id));
+
+  return messages.map(message => ({
+    ...(message.toJSON ? message.toJSON() : message),
+    isStarred: starredIds.has(message._id.toString())
+  }));
+};
+
+module.exports = mongoose.model('StarredMessage', starredMessageSchema);
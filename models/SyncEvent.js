@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+
+// How long events are kept; clients offline for longer have to reload everything
+const getRetention = () => (parseInt(process.env.SYNC_EVENT_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// A missing sequence number younger than this is an event that is still being written
+const GAP_TIMEOUT_MS = 10 * 1000;
+
+const syncEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Per-user sequence number, used as the sync cursor
+  seq: {
+    type: Number,
+    required: true
+  },
+  // Socket.io event name, e.g. newMessage or messageRead
+  type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Messages whose content the payload holds, so it can be scrubbed when they are deleted
+  messages: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + getRetention())
+  }
+}, {
+  minimize: false
+});
+
+syncEventSchema.index({ user: 1, seq: 1 }, { unique: true });
+syncEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+syncEventSchema.index({ messages: 1 });
+
+// Static method to record an event for each of the given users. Events holding message content
+// pass the messageIds, and expiresAt for disappearing messages so the event goes with them.
+syncEventSchema.statics.record = async function(userIds, type, payload, { messageIds = [], expiresAt = null } = {}) {
+  const User = mongoose.model('User');
+  const recipients = [...new Set([].concat(userIds).map(userId => userId.toString()))];
+
+  // Store plain JSON so replayed payloads match what Socket.io sent
+  const data = JSON.parse(JSON.stringify(payload));
+  const createdAt = new Date();
+  const retainUntil = new Date(createdAt.getTime() + getRetention());
+  const eventExpiresAt = expiresAt && expiresAt < retainUntil ? expiresAt : retainUntil;
+  const messages = messageIds.filter(Boolean);
+
+  const toEvent = (user) => ({ user: user._id, seq: user.syncSeq, type, payload: data, messages, createdAt, expiresAt: eventExpiresAt });
+
+  try {
+    // Bump every recipient's sequence number in one round trip and read the new numbers back
+    await User.bulkWrite(recipients.map(userId => ({
+      updateOne: { filter: { _id: userId }, update: { $inc: { syncSeq: 1 } } }
+    })), { ordered: false });
+    const users = await User.find({ _id: { $in: recipients } }).select('+syncSeq');
+
+    try {
+      await this.insertMany(users.map(toEvent), { ordered: false });
+    } catch (error) {
+      // A concurrent event for the same user read back the same number. Those users get
+      // a number of their own; the one skipped is a gap that getSince waits out.
+      const duplicates = (error.writeErrors || []).filter(writeError => writeError.code === 11000);
+      if (duplicates.length === 0 || duplicates.length < error.writeErrors.length) {
+        throw error;
+      }
+
+      const retried = await Promise.all(duplicates.map(async ({ index }) => {
+        const user = await User.findByIdAndUpdate(
+          users[index]._id,
+          { $inc: { syncSeq: 1 } },
+          { new: true, projection: { syncSeq: 1 } }
+        );
+        return user && toEvent(user);
+      }));
+
+      await this.insertMany(retried.filter(Boolean), { ordered: false });
+    }
+  } catch (error) {
+    // The change itself is already saved; clients that miss this event still see it on a full reload
+    console.error(`Error recording ${type} sync event:`, error);
+  }
+};
+
+// Static method to record an event for every member of a conversation (document or ID)
+syncEventSchema.statics.recordForConversation = async function(conversation, type, payload, options) {
+  if (!conversation.getMemberIds) {
+    conversation = await mongoose.model('Conversation').findById(conversation).select('members');
+    if (!conversation) {
+      return;
+    }
+  }
+
+  return this.record(conversation.getMemberIds(), type, payload, options);
+};
+
+// Static method to record a message for every member of its conversation, linked to the message
+// and the one it replies to (whose content it quotes), and expiring with a disappearing message
+syncEventSchema.statics.recordNewMessage = async function(conversation, message) {
+  const replyTo = message.replyTo && (message.replyTo._id || message.replyTo);
+
+  return this.recordForConversation(conversation, 'newMessage', message, {
+    messageIds: [message._id, replyTo],
+    expiresAt: message.expiresAt
+  });
+};
+
+// Static method to remove the content of a message deleted for everyone from the events that
+// hold it (the message itself, its edits and replies quoting it), leaving the tombstone
+syncEventSchema.statics.scrubMessage = async function(message) {
+  const messageId = message._id.toString();
+
+  await Promise.all([
+    this.updateMany(
+      { messages: message._id, type: 'newMessage', 'payload._id': messageId },
+      {
+        $set: {
+          'payload.content': message.content,
+          'payload.attachment': null,
+          'payload.reactions': [],
+          'payload.isDeleted': true,
+          'payload.deletedAt': message.deletedAt
+        }
+      }
+    ),
+    this.updateMany(
+      { messages: message._id, type: 'messageEdited', 'payload.messageId': messageId },
+      { $set: { 'payload.content': message.content } }
+    ),
+    this.updateMany(
+      { messages: message._id, 'payload.replyTo._id': messageId },
+      { $set: { 'payload.replyTo.content': message.content } }
+    )
+  ]);
+};
+
+// Static method to record a profile change for the user and everyone who can see their profile
+// (users who have them as a contact and members of their conversations). Fields the user keeps
+// private from a watcher (see User.PRIVACY_FIELDS), or all of them if one blocked the other,
+// are recorded as null for them.
+syncEventSchema.statics.recordForProfileWatchers = async function(userId, type, payload) {
+  const User = mongoose.model('User');
+  const [owner, blockedIds, contactOf, members] = await Promise.all([
+    User.findById(userId).select('+privacy contacts.user'),
+    User.getBlockedIds(userId),
+    User.find({ 'contacts.user': userId }).distinct('_id'),
+    mongoose.model('Conversation').find({ 'members.user': userId }).distinct('members.user')
+  ]);
+
+  // Group watchers by the payload they are allowed to see
+  const payloads = new Map();
+  [userId, ...contactOf, ...members].forEach(watcherId => {
+    const isBlocked = blockedIds.includes(watcherId.toString());
+    const visible = { ...payload };
+    Object.entries(User.PRIVACY_FIELDS).forEach(([setting, field]) => {
+      if (field in visible && owner && (isBlocked || !owner.isVisibleTo(setting, watcherId))) {
+        visible[field] = null;
+      }
+    });
+
+    const key = JSON.stringify(visible);
+    const group = payloads.get(key) || { payload: visible, watcherIds: [] };
+    group.watcherIds.push(watcherId);
+    payloads.set(key, group);
+  });
+
+  for (const group of payloads.values()) {
+    await this.record(group.watcherIds, type, group.payload);
+  }
+};
+
+// Static method to get a user's events after a cursor, oldest first. Stops at gaps left by
+// events that are still being written, and flags cursors whose events have already expired.
+syncEventSchema.statics.getSince = async function(userId, cursor, limit = 100) {
+  const [user, oldest] = await Promise.all([
+    mongoose.model('User').findById(userId).select('+syncSeq'),
+    this.findOne({ user: userId }).sort({ seq: 1 }).select('seq')
+  ]);
+
+  const latest = (user && user.syncSeq) || 0;
+  const expired = cursor > latest || (cursor < latest && (!oldest || oldest.seq > cursor + 1));
+
+  if (expired) {
+    return { events: [], cursor: latest, hasMore: false, resetRequired: true };
+  }
+
+  const events = await this.find({ user: userId, seq: { $gt: cursor } })
+    .sort({ seq: 1 })
+    .limit(limit)
+    .select('seq type payload createdAt');
+
+  const settled = [];
+  let expected = cursor + 1;
+  for (const event of events) {
+    if (event.seq !== expected && Date.now() - event.createdAt.getTime() < GAP_TIMEOUT_MS) {
+      break;
+    }
+    settled.push(event);
+    expected = event.seq + 1;
+  }
+
+  return {
+    events: settled,
+    cursor: settled.length > 0 ? settled[settled.length - 1].seq : cursor,
+    hasMore: settled.length === limit && settled[settled.length - 1].seq < latest,
+    resetRequired: false
+  };
+};
+
+// Static method to get the latest sequence number of a user, where a new client starts syncing
+syncEventSchema.statics.getLatestCursor = async function(userId) {
+  const user = await mongoose.model('User').findById(userId).select('+syncSeq');
+  return (user && user.syncSeq) || 0;
+};
+
+module.exports = mongoose.model('SyncEvent', syncEventSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// How long an idle upload session is kept before it is garbage-collected
+const getSessionTtl = () => (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+const uploadSessionSchema = new mongoose.Schema({
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Upload session must have an uploader']
+  },
+  originalName: {
+    type: String,
+    required: [true, 'File name is required'],
+    trim: true,
+    maxlength: [255, 'File name cannot be more than 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // Total file size in bytes
+  size: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  totalChunks: {
+    type: Number,
+    required: true
+  },
+  // Optional SHA-256 of the whole file, verified when the upload is completed
+  checksum: {
+    type: String,
+    default: null
+  },
+  // Zero-based indexes of the chunks received so far
+  receivedChunks: [{
+    type: Number
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'completing', 'completed'],
+    default: 'pending'
+  },
+  attachment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + getSessionTtl())
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+uploadSessionSchema.index({ uploader: 1, createdAt: -1 });
+uploadSessionSchema.index({ expiresAt: 1 });
+
+// Virtual for the chunk indexes still to be uploaded
+uploadSessionSchema.virtual('missingChunks').get(function() {
+  const received = new Set(this.receivedChunks || []);
+  const missing = [];
+  for (let index = 0; index < this.totalChunks; index++) {
+    if (!received.has(index)) {
+      missing.push(index);
+    }
+  }
+  return missing;
+});
+
+// Method to get the storage key of a chunk
+uploadSessionSchema.methods.getChunkKey = function(index) {
+  return `uploads/${this._id}/${index}`;
+};
+
+// Method to get the expected size of a chunk (the last one may be shorter)
+uploadSessionSchema.methods.getExpectedChunkSize = function(index) {
+  if (index === this.totalChunks - 1) {
+    return this.size - this.chunkSize * (this.totalChunks - 1);
+  }
+  return this.chunkSize;
+};
+
+// Static method to find a user's upload session
+uploadSessionSchema.statics.findForUploader = function(uploadId, uploaderId) {
+  return this.findOne({ _id: uploadId, uploader: uploaderId });
+};
+
+// Static method to record a received chunk and push back the session expiry
+uploadSessionSchema.statics.recordChunk = function(uploadId, index) {
+  return this.findOneAndUpdate(
+    { _id: uploadId, status: 'pending' },
+    {
+      $addToSet: { receivedChunks: index },
+      $set: { expiresAt: new Date(Date.now() + getSessionTtl()) }
+    },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
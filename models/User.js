@@ -2,6 +2,49 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 
+// Who can see a profile field
+const PRIVACY_LEVELS = ['everyone', 'contacts', 'contactsExcept', 'nobody'];
+
+// Privacy setting name -> the profile field it controls
+const PRIVACY_FIELDS = {
+  lastSeen: 'lastSeen',
+  online: 'isOnline',
+  avatar: 'avatar',
+  status: 'status'
+};
+
+// Errors returned when an action is refused because one user blocked the other,
+// keyed by getBlockStatus result; clients use the code to explain why
+const BLOCK_ERRORS = {
+  blocked: { code: 'CONTACT_BLOCKED', message: 'You blocked this contact' },
+  blockedBy: { code: 'BLOCKED_BY_CONTACT', message: 'You can no longer contact this user' }
+};
+
+const privacySettingSchema = new mongoose.Schema({
+  visibility: {
+    type: String,
+    enum: PRIVACY_LEVELS,
+    default: 'everyone'
+  },
+  // Contacts who can't see the field when visibility is contactsExcept
+  except: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, { _id: false });
+
+const privacySchema = new mongoose.Schema({
+  lastSeen: { type: privacySettingSchema, default: () => ({}) },
+  online: { type: privacySettingSchema, default: () => ({}) },
+  avatar: { type: privacySettingSchema, default: () => ({}) },
+  status: { type: privacySettingSchema, default: () => ({}) },
+  // Whether others see when this user has read their messages in direct chats
+  readReceipts: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -56,12 +99,24 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Not selected by default so other users' settings never leak into responses
+  privacy: {
+    type: privacySchema,
+    default: () => ({}),
+    select: false
+  },
   passwordResetToken: String,
   passwordResetExpires: Date,
   emailVerificationToken: String,
   isEmailVerified: {
     type: Boolean,
     default: false
+  },
+  // Sequence number of the user's latest sync event
+  syncSeq: {
+    type: Number,
+    default: 0,
+    select: false
   }
 }, {
   timestamps: true,
@@ -72,6 +127,7 @@ const userSchema = new mongoose.Schema({
 // Index for better performance
 userSchema.index({ email: 1 });
 userSchema.index({ name: 'text' }); // For text search
+userSchema.index({ blockedUsers: 1 }); // For finding who blocked a user
 
 // Virtual for user's full profile
 userSchema.virtual('profile').get(function() {
@@ -139,6 +195,89 @@ userSchema.methods.createEmailVerificationToken = function() {
   return verificationToken;
 };
 
+// Instance method to check whether a viewer may see a privacy-controlled field
+// (needs privacy and contacts loaded)
+userSchema.methods.isVisibleTo = function(setting, viewerId) {
+  const viewer = viewerId.toString();
+  if (this._id.toString() === viewer) {
+    return true;
+  }
+
+  const { visibility = 'everyone', except = [] } = (this.privacy && this.privacy[setting]) || {};
+  const isContact = () => this.contacts.some(contact => contact.user && (contact.user._id || contact.user).toString() === viewer);
+
+  switch (visibility) {
+    case 'everyone':
+      return true;
+    case 'contacts':
+      return isContact();
+    case 'contactsExcept':
+      return isContact() && !except.some(userId => userId.toString() === viewer);
+    default:
+      return false;
+  }
+};
+
+// Instance method to check whether the user sends read receipts in direct chats (needs privacy loaded)
+userSchema.methods.sendsReadReceipts = function() {
+  return !this.privacy || this.privacy.readReceipts !== false;
+};
+
+// Static method to build an aggregation expression with the same result as isVisibleTo,
+// for the user document at `path` (its privacy and contacts must be in the pipeline)
+userSchema.statics.buildVisibilityExpression = function(path, setting, viewerId) {
+  const settingPath = `$${path}.privacy.${setting}`;
+  const visibility = { $ifNull: [`${settingPath}.visibility`, 'everyone'] };
+  const isContact = { $in: [viewerId, { $ifNull: [`$${path}.contacts.user`, []] }] };
+  const isExcepted = { $in: [viewerId, { $ifNull: [`${settingPath}.except`, []] }] };
+
+  return {
+    $switch: {
+      branches: [
+        { case: { $eq: [`$${path}._id`, viewerId] }, then: true },
+        { case: { $eq: [visibility, 'everyone'] }, then: true },
+        { case: { $eq: [visibility, 'contacts'] }, then: isContact },
+        { case: { $eq: [visibility, 'contactsExcept'] }, then: { $and: [isContact, { $not: [isExcepted] }] } }
+      ],
+      default: false
+    }
+  };
+};
+
+// Instance method to check whether the user blocked another user
+userSchema.methods.hasBlocked = function(userId) {
+  return (this.blockedUsers || []).some(blockedId => blockedId.toString() === userId.toString());
+};
+
+// Static method to tell whether a user blocked another user ('blocked'), was blocked
+// by them ('blockedBy') or neither (null). Blocking in both directions counts as 'blocked'.
+userSchema.statics.getBlockStatus = async function(userId, otherUserId) {
+  const users = await this.find({ _id: { $in: [userId, otherUserId] } }).select('blockedUsers');
+  const user = users.find(found => found._id.toString() === userId.toString());
+  const otherUser = users.find(found => found._id.toString() === otherUserId.toString());
+
+  if (user && user.hasBlocked(otherUserId)) {
+    return 'blocked';
+  }
+
+  if (otherUser && otherUser.hasBlocked(userId)) {
+    return 'blockedBy';
+  }
+
+  return null;
+};
+
+// Static method to get the IDs of users a user blocked or was blocked by
+userSchema.statics.getBlockedIds = async function(userId) {
+  const [user, blockedBy] = await Promise.all([
+    this.findById(userId).select('blockedUsers'),
+    this.find({ blockedUsers: userId }).distinct('_id')
+  ]);
+
+  const blockedIds = [...(user ? user.blockedUsers : []), ...blockedBy].map(id => id.toString());
+  return [...new Set(blockedIds)];
+};
+
 // Static method to find user with contacts populated
 userSchema.statics.findByIdWithContacts = function(userId) {
   return this.findById(userId).populate({
@@ -147,4 +286,8 @@ userSchema.statics.findByIdWithContacts = function(userId) {
   });
 };
 
+userSchema.statics.PRIVACY_LEVELS = PRIVACY_LEVELS;
+userSchema.statics.PRIVACY_FIELDS = PRIVACY_FIELDS;
+userSchema.statics.BLOCK_ERRORS = BLOCK_ERRORS;
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,310 @@
+const express = require('express');
+const {
+  uploadAttachment,
+  uploadVoiceNote,
+  getAttachment,
+  downloadAttachment
+} = require('../controllers/attachmentController');
+const {
+  createUploadSession,
+  getUploadSession,
+  uploadChunk,
+  completeUpload,
+  cancelUpload
+} = require('../controllers/uploadController');
+
+const upload = require('../middleware/upload');
+const {
+  validateVoiceNote,
+  validateUploadSession,
+  validateUploadChunk
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/attachments:
+ *   post:
+ *     summary: Upload an image, video, audio file or document
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: File uploaded successfully
+ *       400:
+ *         description: Missing file or file type not allowed
+ *       413:
+ *         description: File is too large
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', upload.uploadAttachment, uploadAttachment);
+
+/**
+ * @swagger
+ * /api/attachments/voice:
+ *   post:
+ *     summary: Upload a voice note (Opus in OGG or WebM)
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - duration
+ *               - waveform
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               duration:
+ *                 type: number
+ *                 description: Length of the recording in seconds
+ *               waveform:
+ *                 type: string
+ *                 description: Amplitude samples as a JSON array or comma separated list; stored downsampled to 64 bars (0-100)
+ *     responses:
+ *       201:
+ *         description: Voice note uploaded successfully
+ *       400:
+ *         description: Missing recording, not Opus audio, or invalid duration/waveform
+ *       413:
+ *         description: File is too large
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/voice', upload.uploadVoice, validateVoiceNote, uploadVoiceNote);
+
+/**
+ * @swagger
+ * /api/attachments/uploads:
+ *   post:
+ *     summary: Start a resumable (chunked) upload for large files
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileName
+ *               - mimeType
+ *               - size
+ *             properties:
+ *               fileName:
+ *                 type: string
+ *               mimeType:
+ *                 type: string
+ *               size:
+ *                 type: integer
+ *                 description: Total file size in bytes
+ *               checksum:
+ *                 type: string
+ *                 description: SHA-256 of the whole file, verified on completion
+ *     responses:
+ *       201:
+ *         description: Upload started, returns chunk size and chunk count
+ *       400:
+ *         description: Validation error or file type not allowed
+ *       413:
+ *         description: File is too large
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/uploads', validateUploadSession, createUploadSession);
+
+/**
+ * @swagger
+ * /api/attachments/uploads/{uploadId}:
+ *   get:
+ *     summary: Get upload progress, including the chunks still missing
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Upload ID
+ *     responses:
+ *       200:
+ *         description: Upload retrieved successfully
+ *       404:
+ *         description: Upload not found
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     summary: Cancel an upload and discard its chunks
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Upload ID
+ *     responses:
+ *       200:
+ *         description: Upload cancelled successfully
+ *       404:
+ *         description: Upload not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/uploads/:uploadId', getUploadSession);
+router.delete('/uploads/:uploadId', cancelUpload);
+
+/**
+ * @swagger
+ * /api/attachments/uploads/{uploadId}/chunks/{index}:
+ *   put:
+ *     summary: Upload one chunk (raw bytes); re-sending a chunk replaces it
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Upload ID
+ *       - in: path
+ *         name: index
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Zero-based chunk index
+ *       - in: header
+ *         name: X-Chunk-Checksum
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: SHA-256 of the chunk, hex encoded
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Chunk uploaded successfully
+ *       400:
+ *         description: Invalid index, size or checksum
+ *       404:
+ *         description: Upload not found
+ *       413:
+ *         description: Chunk is larger than the chunk size
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/uploads/:uploadId/chunks/:index', validateUploadChunk, upload.parseChunk, uploadChunk);
+
+/**
+ * @swagger
+ * /api/attachments/uploads/{uploadId}/complete:
+ *   post:
+ *     summary: Finish an upload; the returned attachment can be sent as a message
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Upload ID
+ *     responses:
+ *       201:
+ *         description: Upload completed successfully
+ *       400:
+ *         description: Missing chunks or checksum mismatch
+ *       404:
+ *         description: Upload not found
+ *       409:
+ *         description: Upload is already being completed
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/uploads/:uploadId/complete', completeUpload);
+
+/**
+ * @swagger
+ * /api/attachments/{attachmentId}:
+ *   get:
+ *     summary: Get attachment metadata
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attachment ID
+ *     responses:
+ *       200:
+ *         description: Attachment retrieved successfully
+ *       404:
+ *         description: Attachment not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:attachmentId', getAttachment);
+
+/**
+ * @swagger
+ * /api/attachments/{attachmentId}/download:
+ *   get:
+ *     summary: Download an attachment (conversation participants only)
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attachment ID
+ *     responses:
+ *       200:
+ *         description: File contents
+ *       404:
+ *         description: Attachment not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:attachmentId/download', downloadAttachment);
+
+module.exports = router;
@@ -73,6 +73,8 @@ router.get('/', getContacts);
  *         description: Contact added successfully
  *       400:
  *         description: Cannot add yourself or user already in contacts
+ *       403:
+ *         description: One user blocked the other (code CONTACT_BLOCKED or BLOCKED_BY_CONTACT)
  *       404:
  *         description: User not found
  *       401:
@@ -0,0 +1,542 @@
+const express = require('express');
+const {
+  createGroup,
+  getGroups,
+  getGroup,
+  updateGroup,
+  addMembers,
+  removeMember,
+  leaveGroup,
+  updateMemberRole,
+  updateSettings,
+  createInviteLink,
+  getInviteLink,
+  revokeInviteLink,
+  getJoinRequests,
+  approveJoinRequest,
+  rejectJoinRequest
+} = require('../controllers/groupController');
+
+const {
+  validateGroup,
+  validateGroupUpdate,
+  validateGroupMembers,
+  validateGroupRole,
+  validateGroupSettings,
+  validateInviteLink
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/groups:
+ *   post:
+ *     summary: Create a group
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               avatar:
+ *                 type: string
+ *                 description: URL of the group icon
+ *               memberIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: MongoDB ObjectIds of the initial members
+ *     responses:
+ *       201:
+ *         description: Group created successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: One or more users not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', validateGroup, createGroup);
+
+/**
+ * @swagger
+ * /api/groups:
+ *   get:
+ *     summary: Get groups the user belongs to
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Groups retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', getGroups);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}:
+ *   get:
+ *     summary: Get group details
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     responses:
+ *       200:
+ *         description: Group retrieved successfully
+ *       404:
+ *         description: Group not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:groupId', getGroup);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}:
+ *   put:
+ *     summary: Update group name, description or avatar
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               avatar:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Group updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only admins can change group info
+ *       404:
+ *         description: Group not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:groupId', validateGroupUpdate, updateGroup);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/members:
+ *   post:
+ *     summary: Add members to a group
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userIds
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Members added successfully
+ *       400:
+ *         description: Users are already members
+ *       403:
+ *         description: Only admins can add members
+ *       404:
+ *         description: Group or users not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:groupId/members', validateGroupMembers, addMembers);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from a group
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID of the member to remove
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       403:
+ *         description: Only admins can remove members, owner cannot be removed
+ *       404:
+ *         description: Group or member not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:groupId/members/:userId', removeMember);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/leave:
+ *   post:
+ *     summary: Leave a group
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     responses:
+ *       200:
+ *         description: Left the group
+ *       404:
+ *         description: Group not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:groupId/leave', leaveGroup);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/members/{userId}/role:
+ *   put:
+ *     summary: Promote a member to admin or dismiss an admin
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID of the member
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member]
+ *     responses:
+ *       200:
+ *         description: Member role updated successfully
+ *       400:
+ *         description: Validation error or role unchanged
+ *       403:
+ *         description: Only admins can change roles, owner role cannot be changed
+ *       404:
+ *         description: Group or member not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:groupId/members/:userId/role', validateGroupRole, updateMemberRole);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/settings:
+ *   put:
+ *     summary: Update group permission settings
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sendMessages:
+ *                 type: string
+ *                 enum: [all, admins]
+ *                 description: Who may send messages
+ *               editInfo:
+ *                 type: string
+ *                 enum: [all, admins]
+ *                 description: Who may change the group name, description and avatar
+ *               approveNewMembers:
+ *                 type: boolean
+ *                 description: Whether joining via invite link requires admin approval
+ *     responses:
+ *       200:
+ *         description: Group settings updated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only admins can change group settings
+ *       404:
+ *         description: Group not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:groupId/settings', validateGroupSettings, updateSettings);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/invite:
+ *   post:
+ *     summary: Create or reset the group's invite link
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional expiry of the link
+ *               maxUses:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Optional maximum number of uses
+ *     responses:
+ *       201:
+ *         description: Invite link created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only admins can manage invite links
+ *       404:
+ *         description: Group not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:groupId/invite', validateInviteLink, createInviteLink);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/invite:
+ *   get:
+ *     summary: Get the group's current invite link
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     responses:
+ *       200:
+ *         description: Invite link retrieved successfully
+ *       403:
+ *         description: Only admins can manage invite links
+ *       404:
+ *         description: Group or invite link not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:groupId/invite', getInviteLink);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/invite:
+ *   delete:
+ *     summary: Revoke the group's invite link
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     responses:
+ *       200:
+ *         description: Invite link revoked successfully
+ *       403:
+ *         description: Only admins can manage invite links
+ *       404:
+ *         description: Group or invite link not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:groupId/invite', revokeInviteLink);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/join-requests:
+ *   get:
+ *     summary: Get pending join requests
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *     responses:
+ *       200:
+ *         description: Join requests retrieved successfully
+ *       403:
+ *         description: Only admins can manage join requests
+ *       404:
+ *         description: Group not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:groupId/join-requests', getJoinRequests);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/join-requests/{userId}:
+ *   post:
+ *     summary: Approve a pending join request
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID of the requester
+ *     responses:
+ *       200:
+ *         description: Join request approved
+ *       403:
+ *         description: Only admins can manage join requests
+ *       404:
+ *         description: Group or join request not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:groupId/join-requests/:userId', approveJoinRequest);
+
+/**
+ * @swagger
+ * /api/groups/{groupId}/join-requests/{userId}:
+ *   delete:
+ *     summary: Reject a pending join request
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Group ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID of the requester
+ *     responses:
+ *       200:
+ *         description: Join request rejected
+ *       403:
+ *         description: Only admins can manage join requests
+ *       404:
+ *         description: Group or join request not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:groupId/join-requests/:userId', rejectJoinRequest);
+
+module.exports = router;
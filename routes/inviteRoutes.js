@@ -0,0 +1,61 @@
+const express = require('express');
+const {
+  previewInvite,
+  joinViaInvite
+} = require('../controllers/inviteController');
+
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/invites/{token}:
+ *   get:
+ *     summary: Preview a group from its invite link
+ *     tags: [Invites]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invite link token
+ *     responses:
+ *       200:
+ *         description: Group name, avatar and member count
+ *       404:
+ *         description: Invite link is invalid or has expired
+ */
+router.get('/:token', previewInvite);
+
+/**
+ * @swagger
+ * /api/invites/{token}/join:
+ *   post:
+ *     summary: Join a group via its invite link
+ *     tags: [Invites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invite link token
+ *     responses:
+ *       200:
+ *         description: Joined group successfully
+ *       202:
+ *         description: Join request sent to group admins
+ *       400:
+ *         description: Already a member or request already pending
+ *       404:
+ *         description: Invite link is invalid or has expired
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:token/join', authenticateToken, joinViaInvite);
+
+module.exports = router;
@@ -3,22 +3,52 @@ const {
   sendMessage,
   getConversation,
   getConversations,
+  setDisappearingMessages,
   markAsRead,
   deleteMessage,
   editMessage,
   getMessage,
   searchMessages,
+  searchAllMessages,
   getUnreadCount,
   getMessageStats,
-  forwardMessage
+  forwardMessage,
+  getEditHistory,
+  getMessageInfo,
+  starMessage,
+  unstarMessage,
+  getStarredMessages,
+  pinMessage,
+  unpinMessage,
+  addReaction,
+  removeReaction,
+  getReactions
 } = require('../controllers/messageController');
 
+const {
+  createScheduledMessage,
+  getScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage
+} = require('../controllers/scheduledMessageController');
+
 const {
   validateMessage,
+  validateMessageEdit,
+  validateReaction,
+  validatePin,
+  validateDisappearingMessages,
+  validateScheduledMessage,
+  validateScheduledMessageUpdate,
   validateSearch,
+  validateGlobalSearch,
+  validateConversationQuery,
+  validateReadReceipt,
   validatePagination
 } = require('../middleware/validation');
 
+const { requireSendPermission } = require('../middleware/conversation');
+
 const router = express.Router();
 
 /**
@@ -36,12 +66,14 @@ const router = express.Router();
  *           schema:
  *             type: object
  *             required:
- *               - receiverId
  *               - content
  *             properties:
  *               receiverId:
  *                 type: string
- *                 description: MongoDB ObjectId of the message receiver
+ *                 description: MongoDB ObjectId of the message receiver (1:1 chats, required without conversationId)
+ *               conversationId:
+ *                 type: string
+ *                 description: MongoDB ObjectId of the conversation (direct or group)
  *               content:
  *                 type: string
  *                 minLength: 1
@@ -54,17 +86,27 @@ const router = express.Router();
  *               replyTo:
  *                 type: string
  *                 description: MongoDB ObjectId of the message being replied to
+ *               clientMessageId:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: ID generated by the client, unique per sender; retrying with it returns the message saved the first time
  *     responses:
  *       201:
  *         description: Message sent successfully
+ *       200:
+ *         description: Message already sent with this clientMessageId
  *       400:
  *         description: Validation error
+ *       409:
+ *         description: clientMessageId already used in another conversation
+ *       403:
+ *         description: Only admins can send messages to this group, or one user blocked the other (code CONTACT_BLOCKED or BLOCKED_BY_CONTACT)
  *       404:
- *         description: Receiver not found
+ *         description: Receiver or conversation not found
  *       401:
  *         description: Unauthorized
  */
-router.post('/', validateMessage, sendMessage);
+router.post('/', validateMessage, requireSendPermission, sendMessage);
 
 /**
  * @swagger
@@ -106,6 +148,201 @@ router.get('/conversations', getConversations);
  */
 router.get('/unread/count', getUnreadCount);
 
+/**
+ * @swagger
+ * /api/messages/starred:
+ *   get:
+ *     summary: Get starred messages, newest star first
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: conversationId
+ *         schema:
+ *           type: string
+ *         description: Only list stars in this conversation (conversation ID or user ID)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of starred messages to retrieve
+ *     responses:
+ *       200:
+ *         description: Starred messages with their conversation and participant info
+ *       400:
+ *         description: Invalid cursor
+ *       404:
+ *         description: Conversation not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/starred', getStarredMessages);
+
+/**
+ * @swagger
+ * /api/messages/scheduled:
+ *   post:
+ *     summary: Schedule a message to be sent later
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scheduledFor
+ *             properties:
+ *               receiverId:
+ *                 type: string
+ *                 description: MongoDB ObjectId of the message receiver (1:1 chats, required without conversationId)
+ *               conversationId:
+ *                 type: string
+ *                 description: MongoDB ObjectId of the conversation (direct or group)
+ *               content:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: Message content (optional caption when attachmentId is set)
+ *               attachmentId:
+ *                 type: string
+ *                 description: MongoDB ObjectId of an uploaded attachment
+ *               replyTo:
+ *                 type: string
+ *                 description: MongoDB ObjectId of the message being replied to
+ *               scheduledFor:
+ *                 type: string
+ *                 example: 2024-05-01T09:00
+ *                 description: Send time. Without a UTC offset it is read as wall clock time in timeZone
+ *               timeZone:
+ *                 type: string
+ *                 default: UTC
+ *                 example: Europe/Berlin
+ *                 description: IANA time zone of scheduledFor
+ *     responses:
+ *       201:
+ *         description: Message scheduled successfully
+ *       400:
+ *         description: Validation error or scheduled time in the past
+ *       403:
+ *         description: Only admins can send messages to this group
+ *       404:
+ *         description: Conversation, receiver or attachment not found
+ *       401:
+ *         description: Unauthorized
+ *   get:
+ *     summary: Get the user's scheduled messages, soonest first
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: conversationId
+ *         schema:
+ *           type: string
+ *         description: Only list messages scheduled in this conversation (conversation ID or user ID)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, sending, sent, cancelled, failed]
+ *           default: scheduled
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Scheduled messages retrieved successfully
+ *       404:
+ *         description: Conversation not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/scheduled', validateScheduledMessage, requireSendPermission, createScheduledMessage);
+router.get('/scheduled', getScheduledMessages);
+
+/**
+ * @swagger
+ * /api/messages/scheduled/{scheduledId}:
+ *   put:
+ *     summary: Edit a scheduled message that hasn't been sent yet
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: scheduledId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 1000
+ *               scheduledFor:
+ *                 type: string
+ *                 description: New send time, read in timeZone (or the original time zone)
+ *               timeZone:
+ *                 type: string
+ *                 description: IANA time zone
+ *     responses:
+ *       200:
+ *         description: Scheduled message updated successfully
+ *       400:
+ *         description: Validation error or scheduled time in the past
+ *       404:
+ *         description: Scheduled message not found
+ *       409:
+ *         description: Message is already sent, being sent, cancelled or failed
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     summary: Cancel a scheduled message
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: scheduledId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scheduled message cancelled successfully
+ *       404:
+ *         description: Scheduled message not found
+ *       409:
+ *         description: Message is already sent, being sent, cancelled or failed
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/scheduled/:scheduledId', validateScheduledMessageUpdate, updateScheduledMessage);
+router.delete('/scheduled/:scheduledId', cancelScheduledMessage);
+
 /**
  * @swagger
  * /api/messages/stats:
@@ -124,19 +361,19 @@ router.get('/stats', getMessageStats);
 
 /**
  * @swagger
- * /api/messages/conversation/{userId}:
+ * /api/messages/conversation/{id}:
  *   get:
- *     summary: Get conversation between current user and another user
+ *     summary: Get messages of a direct or group conversation
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: userId
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: User ID to get conversation with
+ *         description: Conversation ID, or user ID for the 1:1 conversation with that user
  *       - in: query
  *         name: page
  *         schema:
@@ -150,19 +387,161 @@ router.get('/stats', getMessageStats);
  *           minimum: 1
  *           maximum: 100
  *         description: Number of messages per page
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Cursor mode - messages older than this message ID or timestamp
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Cursor mode - messages newer than this message ID or timestamp
+ *       - in: query
+ *         name: around
+ *         schema:
+ *           type: string
+ *         description: Cursor mode - a window of messages centred on this message ID (jump to message)
+ *     responses:
+ *       200:
+ *         description: Conversation retrieved successfully. In cursor mode pagination has hasMoreBefore, hasMoreAfter and the before/after cursors of the neighbouring pages
+ *       400:
+ *         description: Invalid cursor
+ *       404:
+ *         description: Conversation or cursor message not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/conversation/:id', validateConversationQuery, getConversation);
+
+/**
+ * @swagger
+ * /api/messages/conversation/{id}/disappearing:
+ *   put:
+ *     summary: Set the disappearing messages timer of a conversation
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conversation ID, or the other user's ID for 1:1 chats
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - duration
+ *             properties:
+ *               duration:
+ *                 type: string
+ *                 enum: [off, 24h, 7d, 90d]
+ *     responses:
+ *       200:
+ *         description: Disappearing messages updated successfully
+ *       400:
+ *         description: Invalid duration
+ *       403:
+ *         description: Not allowed to change this group's timer
+ *       404:
+ *         description: Conversation not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/conversation/:id/disappearing', validateDisappearingMessages, setDisappearingMessages);
+
+/**
+ * @swagger
+ * /api/messages/search:
+ *   get:
+ *     summary: Search messages across all conversations, grouped by conversation and ranked by relevance
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 100
+ *         description: Words to search for; use "quotes" for phrases and -word to exclude a word
+ *       - in: query
+ *         name: sender
+ *         schema:
+ *           type: string
+ *         description: Only messages sent by this user
+ *       - in: query
+ *         name: conversationId
+ *         schema:
+ *           type: string
+ *         description: Only messages in this conversation (conversation ID or user ID)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages sent at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages sent at or before this time
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated message types, e.g. image,video
+ *       - in: query
+ *         name: hasAttachment
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: starred
+ *         schema:
+ *           type: boolean
+ *         description: Only starred (true) or unstarred (false) messages
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *         description: Number of conversations per page
+ *       - in: query
+ *         name: perConversation
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *         description: Number of best matches returned per conversation
  *     responses:
  *       200:
- *         description: Conversation retrieved successfully
+ *         description: Results grouped by conversation, each match with a snippet and highlight offsets
+ *       400:
+ *         description: Invalid search query or filters
  *       404:
- *         description: User not found
+ *         description: Conversation not found
  *       401:
  *         description: Unauthorized
  */
-router.get('/conversation/:userId', getConversation);
+router.get('/search', validateGlobalSearch, searchAllMessages);
 
 /**
  * @swagger
- * /api/messages/search/{userId}:
+ * /api/messages/search/{id}:
  *   post:
  *     summary: Search messages in a conversation
  *     tags: [Messages]
@@ -170,11 +549,11 @@ router.get('/conversation/:userId', getConversation);
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: userId
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: User ID of the conversation participant
+ *         description: Conversation ID, or user ID of the 1:1 conversation participant
  *     requestBody:
  *       required: true
  *       content:
@@ -201,36 +580,47 @@ router.get('/conversation/:userId', getConversation);
  *       400:
  *         description: Invalid search query
  *       404:
- *         description: User not found
+ *         description: Conversation not found
  *       401:
  *         description: Unauthorized
  */
-router.post('/search/:userId', validateSearch, searchMessages);
+router.post('/search/:id', validateSearch, searchMessages);
 
 /**
  * @swagger
- * /api/messages/read/{senderId}:
+ * /api/messages/read/{id}:
  *   put:
- *     summary: Mark messages as read
+ *     summary: Mark messages of a conversation as read
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: senderId
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Sender ID whose messages to mark as read
+ *         description: Conversation ID, or sender ID for a 1:1 conversation
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               messageId:
+ *                 type: string
+ *                 description: Last message read; later messages stay unread (whole conversation if omitted)
  *     responses:
  *       200:
- *         description: Messages marked as read
+ *         description: Messages marked as read, with the IDs of the messages read
+ *       400:
+ *         description: Validation error
  *       404:
- *         description: Sender not found
+ *         description: Conversation or message not found
  *       401:
  *         description: Unauthorized
  */
-router.put('/read/:senderId', markAsRead);
+router.put('/read/:id', validateReadReceipt, markAsRead);
 
 /**
  * @swagger
@@ -291,7 +681,7 @@ router.get('/:messageId', getMessage);
  *       200:
  *         description: Message edited successfully
  *       400:
- *         description: Message too old to edit
+ *         description: Empty content or message too old to edit (MESSAGE_EDIT_WINDOW_MINUTES)
  *       403:
  *         description: Can only edit your own messages
  *       404:
@@ -299,13 +689,65 @@ router.get('/:messageId', getMessage);
  *       401:
  *         description: Unauthorized
  */
-router.put('/:messageId', editMessage);
+router.put('/:messageId', validateMessageEdit, editMessage);
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/history:
+ *   get:
+ *     summary: Get the edit history of a message (oldest version first)
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Message ID
+ *     responses:
+ *       200:
+ *         description: Edit history retrieved successfully
+ *       404:
+ *         description: Message not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:messageId/history', getEditHistory);
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/info:
+ *   get:
+ *     summary: Get when your message was delivered to, read and played by each recipient
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Message ID
+ *     responses:
+ *       200:
+ *         description: Delivered, read and played times per recipient
+ *       403:
+ *         description: Not your message
+ *       404:
+ *         description: Message not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:messageId/info', getMessageInfo);
 
 /**
  * @swagger
  * /api/messages/{messageId}:
  *   delete:
- *     summary: Delete a message
+ *     summary: Delete a message for everyone (sender only) or just for yourself
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -316,9 +758,18 @@ router.put('/:messageId', editMessage);
  *         schema:
  *           type: string
  *         description: Message ID
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [everyone, me]
+ *           default: everyone
+ *         description: Delete for everyone (leaves a tombstone) or hide for yourself
  *     responses:
  *       200:
  *         description: Message deleted successfully
+ *       400:
+ *         description: Invalid scope, system message, or too old to delete for everyone
  *       403:
  *         description: Can only delete your own messages
  *       404:
@@ -349,22 +800,212 @@ router.delete('/:messageId', deleteMessage);
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - receiverId
  *             properties:
  *               receiverId:
  *                 type: string
- *                 description: MongoDB ObjectId of the message receiver
+ *                 description: MongoDB ObjectId of the message receiver (1:1 chats)
+ *               conversationId:
+ *                 type: string
+ *                 description: MongoDB ObjectId of the target conversation
  *     responses:
  *       201:
  *         description: Message forwarded successfully
  *       403:
- *         description: Access denied to original message
+ *         description: Access denied to original message or not allowed to post in target
  *       404:
  *         description: Message or receiver not found
  *       401:
  *         description: Unauthorized
  */
-router.post('/:messageId/forward', forwardMessage);
+router.post('/:messageId/forward', requireSendPermission, forwardMessage);
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/reactions:
+ *   get:
+ *     summary: Get who reacted to a message, grouped by emoji
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Message ID
+ *       - in: query
+ *         name: emoji
+ *         schema:
+ *           type: string
+ *         description: Only list users who reacted with this emoji
+ *     responses:
+ *       200:
+ *         description: Reactions retrieved successfully
+ *       404:
+ *         description: Message not found
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: React to a message (replaces your previous reaction)
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Message ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - emoji
+ *             properties:
+ *               emoji:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reaction added successfully
+ *       400:
+ *         description: Not an emoji, or a system message
+ *       404:
+ *         description: Message not found
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     summary: Remove your reaction from a message
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Message ID
+ *     responses:
+ *       200:
+ *         description: Reaction removed successfully
+ *       404:
+ *         description: Message not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:messageId/reactions', getReactions);
+router.post('/:messageId/reactions', validateReaction, addReaction);
+router.delete('/:messageId/reactions', removeReaction);
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/star:
+ *   post:
+ *     summary: Star a message
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Message ID
+ *     responses:
+ *       200:
+ *         description: Message starred successfully
+ *       404:
+ *         description: Message not found
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     summary: Unstar a message
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Message ID
+ *     responses:
+ *       200:
+ *         description: Message unstarred successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:messageId/star', starMessage);
+router.delete('/:messageId/star', unstarMessage);
+
+/**
+ * @swagger
+ * /api/messages/{messageId}/pin:
+ *   post:
+ *     summary: Pin a message in its conversation (at most 3; the oldest pin is replaced)
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Message ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               duration:
+ *                 type: string
+ *                 enum: [24h, 7d, 30d]
+ *                 description: Unpin automatically after this long (no expiry if omitted)
+ *     responses:
+ *       200:
+ *         description: Message pinned successfully
+ *       400:
+ *         description: Invalid duration
+ *       403:
+ *         description: Not allowed to pin messages in this group
+ *       404:
+ *         description: Message not found
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     summary: Unpin a message
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Message ID
+ *     responses:
+ *       200:
+ *         description: Message unpinned successfully
+ *       400:
+ *         description: Message is not pinned
+ *       403:
+ *         description: Not allowed to unpin messages in this group
+ *       404:
+ *         description: Message not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:messageId/pin', validatePin, pinMessage);
+router.delete('/:messageId/pin', unpinMessage);
 
 module.exports = router;
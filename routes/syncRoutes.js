@@ -0,0 +1,44 @@
+const express = require('express');
+const { getChanges } = require('../controllers/syncController');
+
+const { validateSyncQuery } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/sync:
+ *   get:
+ *     summary: Get everything that changed since a sync cursor
+ *     description: |
+ *       Returns the events the user would have received over Socket.io since the cursor, oldest first.
+ *       Without a cursor, returns the current cursor to start syncing from.
+ *     tags: [Sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Cursor returned by the previous sync
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *         description: Maximum number of events to return
+ *     responses:
+ *       200:
+ *         description: Events, the new cursor, whether more events are waiting and whether the client has to reload everything
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', validateSyncQuery, getChanges);
+
+module.exports = router;
@@ -10,13 +10,17 @@ const {
   getBlockedUsers,
   getUserStats,
   updateAvatar,
+  getPrivacySettings,
+  updatePrivacySettings,
   deleteAccount
 } = require('../controllers/userController');
 
 const {
   validateSearch,
+  validatePrivacySettings,
   validatePagination
 } = require('../middleware/validation');
+const { uploadAvatar } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -97,24 +101,15 @@ router.post('/search', validateSearch, searchUsers);
  * @swagger
  * /api/users/status:
  *   put:
- *     summary: Update user's online status
+ *     summary: Update user's online status (deprecated)
+ *     description: Presence is set by Socket.io heartbeat events, so this changes nothing and returns the current online status.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - isOnline
- *             properties:
- *               isOnline:
- *                 type: boolean
+ *     deprecated: true
  *     responses:
  *       200:
- *         description: Online status updated successfully
+ *         description: Current online status, unchanged
  *       401:
  *         description: Unauthorized
  */
@@ -163,6 +158,14 @@ router.get('/stats', getUserStats);
  *     requestBody:
  *       required: true
  *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image file (max 5MB)
  *         application/json:
  *           schema:
  *             type: object
@@ -176,11 +179,63 @@ router.get('/stats', getUserStats);
  *       200:
  *         description: Avatar updated successfully
  *       400:
- *         description: Invalid avatar URL
+ *         description: Invalid avatar image or URL
+ *       413:
+ *         description: File is too large
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/avatar', uploadAvatar, updateAvatar);
+
+/**
+ * @swagger
+ * /api/users/privacy:
+ *   get:
+ *     summary: Get your privacy settings
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Privacy settings retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *   put:
+ *     summary: Update who can see your last seen, online status, avatar and status, and whether you send read receipts
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: |
+ *               lastSeen, online, avatar and status each take { visibility, except? }, where visibility is
+ *               everyone, contacts, contactsExcept or nobody and except lists the contacts excluded by contactsExcept
+ *             properties:
+ *               lastSeen:
+ *                 type: object
+ *               online:
+ *                 type: object
+ *               avatar:
+ *                 type: object
+ *               status:
+ *                 type: object
+ *               readReceipts:
+ *                 type: boolean
+ *                 description: Let others see when you have read their messages in direct chats
+ *     responses:
+ *       200:
+ *         description: Privacy settings updated successfully
+ *       400:
+ *         description: Validation error
  *       401:
  *         description: Unauthorized
  */
-router.put('/avatar', updateAvatar);
+router.get('/privacy', getPrivacySettings);
+router.put('/privacy', validatePrivacySettings, updatePrivacySettings);
 
 /**
  * @swagger
@@ -238,7 +293,7 @@ router.get('/:id', getUserById);
  * @swagger
  * /api/users/{id}/status:
  *   get:
- *     summary: Get user's online status
+ *     summary: Get user's online status and presence (online, idle, away or offline)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
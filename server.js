@@ -15,6 +15,10 @@ const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
 const contactRoutes = require('./routes/contactRoutes');
 const messageRoutes = require('./routes/messageRoutes');
+const groupRoutes = require('./routes/groupRoutes');
+const inviteRoutes = require('./routes/inviteRoutes');
+const attachmentRoutes = require('./routes/attachmentRoutes');
+const syncRoutes = require('./routes/syncRoutes');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -23,6 +27,9 @@ const { authenticateToken } = require('./middleware/auth');
 // Import utilities
 const connectDB = require('./config/database');
 const socketHandler = require('./socket/socketHandler');
+const { setupAdapter } = require('./socket/adapter');
+const { startUploadCleanupJob } = require('./jobs/uploadCleanup');
+const { startScheduledMessageJob } = require('./jobs/scheduledMessages');
 
 // Load environment variables
 dotenv.config();
@@ -40,6 +47,9 @@ const io = socketIo(server, {
   }
 });
 
+// Make Socket.io available to controllers
+app.set('io', io);
+
 // Connect to MongoDB
 connectDB();
 
@@ -89,6 +99,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', authenticateToken, userRoutes);
 app.use('/api/contacts', authenticateToken, contactRoutes);
 app.use('/api/messages', authenticateToken, messageRoutes);
+app.use('/api/groups', authenticateToken, groupRoutes);
+app.use('/api/invites', inviteRoutes);
+app.use('/api/attachments', authenticateToken, attachmentRoutes);
+app.use('/api/sync', authenticateToken, syncRoutes);
 
 // Socket.io handler
 socketHandler(io);
@@ -104,13 +118,24 @@ app.all('*', (req, res) => {
 // Global error handler
 app.use(errorHandler);
 
-// Start server
+// Background jobs
+startUploadCleanupJob();
+startScheduledMessageJob(io);
+
+// Start server once Socket.io can reach the other instances (SOCKET_ADAPTER)
 const PORT = process.env.PORT || 5000;
 
-server.listen(PORT, () => {
-  console.log(`🚀 Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
-  console.log(`📊 Health check available at http://localhost:${PORT}/health`);
-});
+setupAdapter(io)
+  .then(() => {
+    server.listen(PORT, () => {
+      console.log(`🚀 Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+      console.log(`📊 Health check available at http://localhost:${PORT}/health`);
+    });
+  })
+  .catch((error) => {
+    console.error('Error setting up Socket.io adapter:', error);
+    process.exit(1);
+  });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
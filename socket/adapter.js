@@ -0,0 +1,34 @@
+const { getRedisClient } = require('../config/redis');
+
+/**
+ * Set up the Socket.io adapter configured via SOCKET_ADAPTER. "memory" (the
+ * default) keeps rooms in this process; "redis" shares them through Redis so
+ * emits to rooms, acknowledgements and presence work across several instances.
+ */
+const setupAdapter = async (io) => {
+  const adapter = process.env.SOCKET_ADAPTER || 'memory';
+
+  if (adapter === 'memory') {
+    return;
+  }
+
+  if (adapter === 'redis') {
+    const { createAdapter } = require('@socket.io/redis-adapter');
+    const pubClient = await getRedisClient();
+    const subClient = pubClient.duplicate();
+
+    subClient.on('error', (err) => {
+      console.error('Redis subscriber error:', err);
+    });
+    await subClient.connect();
+
+    io.adapter(createAdapter(pubClient, subClient));
+    return;
+  }
+
+  throw new Error(`Unknown Socket.io adapter: ${adapter}`);
+};
+
+module.exports = {
+  setupAdapter
+};
@@ -1,10 +1,201 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Message = require('../models/Message');
-const { isValidObjectId } = require('../utils/helpers');
+const Conversation = require('../models/Conversation');
+const SyncEvent = require('../models/SyncEvent');
+const { isValidObjectId, generateConversationId } = require('../utils/helpers');
+const {
+  getViewerRoom,
+  markDelivered,
+  markRead,
+  markSyncedMessagesDelivered
+} = require('../utils/messageDelivery');
+const messageService = require('../utils/messageService');
+const { getPresenceStore } = require('../utils/presence');
+
+// How often each instance expires sockets that stopped sending heartbeats and moves inactive users to idle or away
+const PRESENCE_SWEEP_INTERVAL_MS = parseInt(process.env.PRESENCE_SWEEP_INTERVAL_MS) || 10 * 1000;
+
+// How often queued presence changes are sent to contacts, in one presenceUpdate per contact
+const PRESENCE_BATCH_INTERVAL_MS = parseInt(process.env.PRESENCE_BATCH_INTERVAL_MS) || 2 * 1000;
+
+// Events from a client count as activity at most this often per socket (well under the idle timeout)
+const ACTIVITY_THROTTLE_MS = 10 * 1000;
+
+// Presence changes waiting to be sent, userId -> state (the latest change wins)
+const pendingPresence = new Map();
 
-// Store active users and their socket IDs
-const activeUsers = new Map();
+/**
+ * Device info of a socket, kept with its presence
+ */
+const getDeviceInfo = (socket) => {
+  const { device = null } = socket.handshake.auth;
+
+  return {
+    device: typeof device === 'string' ? device.slice(0, 100) : null,
+    userAgent: socket.handshake.headers['user-agent'] || null,
+    connectedAt: new Date()
+  };
+};
+
+// Number of missed events sent per batch when replaying
+const REPLAY_BATCH_SIZE = 500;
+
+/**
+ * Get a user (with their privacy settings) and the IDs of their contacts who
+ * may see the given privacy-controlled field (see User.isVisibleTo), leaving
+ * out contacts the user blocked or was blocked by
+ */
+const getContactsAllowedToSee = async (userId, setting) => {
+  const [user, blockedIds] = await Promise.all([
+    User.findByIdWithContacts(userId).select('+privacy'),
+    User.getBlockedIds(userId)
+  ]);
+  if (!user || !user.contacts) {
+    return { user, contactIds: [] };
+  }
+
+  const contactIds = user.contacts
+    .filter(contact => contact.user)
+    .map(contact => contact.user._id.toString())
+    .filter(contactId => !blockedIds.includes(contactId))
+    .filter(contactId => user.isVisibleTo(setting, contactId));
+
+  return { user, contactIds };
+};
+
+/**
+ * Send an event about a user to each of their contacts who may see the given
+ * privacy-controlled field; buildPayload gets the user and the contact's ID
+ * so other private fields can be left out per contact
+ */
+const emitToContacts = async (io, userId, setting, event, buildPayload) => {
+  const { user, contactIds } = await getContactsAllowedToSee(userId, setting);
+
+  contactIds.forEach(contactId => {
+    io.to(contactId).emit(event, buildPayload(user, contactId));
+  });
+};
+
+/**
+ * Queue a change of a user's presence state (ignoring null, i.e. no change)
+ * to be sent to their contacts with the next batch
+ */
+const queuePresenceChange = (userId, state) => {
+  if (state) {
+    pendingPresence.set(userId, state);
+  }
+};
+
+/**
+ * Extend the presence TTL of a connected socket, marking its user active if asked to
+ */
+const refreshPresence = async (socket, { active = false } = {}) => {
+  // A late refresh must not bring back a socket that already disconnected
+  await socket.data.presenceReady;
+  if (!socket.connected) {
+    return;
+  }
+
+  if (active) {
+    socket.data.lastActivityAt = Date.now();
+  }
+
+  queuePresenceChange(socket.userId, await getPresenceStore().heartbeat(socket.userId, socket.id, { active }));
+};
+
+/**
+ * Save the queued presence changes (online status and last seen) and send
+ * them to the contacts allowed to see them, in one presenceUpdate per contact
+ */
+const sendPresenceUpdates = async (io) => {
+  if (pendingPresence.size === 0) {
+    return;
+  }
+
+  const changes = Array.from(pendingPresence);
+  pendingPresence.clear();
+
+  const lastSeen = new Date();
+  const offlineIds = changes.filter(([, state]) => state === 'offline').map(([userId]) => userId);
+  const onlineIds = changes.filter(([, state]) => state !== 'offline').map(([userId]) => userId);
+
+  // Idle and away users are still online
+  await Promise.all([
+    offlineIds.length > 0 && User.updateMany({ _id: { $in: offlineIds } }, { isOnline: false, lastSeen }),
+    onlineIds.length > 0 && User.updateMany({ _id: { $in: onlineIds } }, { isOnline: true, lastSeen })
+  ]);
+
+  // contactId -> presence changes of their contacts
+  const updates = new Map();
+
+  for (const [userId, state] of changes) {
+    const { user, contactIds } = await getContactsAllowedToSee(userId, 'online');
+
+    contactIds.forEach(contactId => {
+      const contactUpdates = updates.get(contactId) || [];
+      contactUpdates.push({
+        userId,
+        presence: state,
+        isOnline: state !== 'offline',
+        lastSeen: user.isVisibleTo('lastSeen', contactId) ? lastSeen : null
+      });
+      updates.set(contactId, contactUpdates);
+    });
+  }
+
+  updates.forEach((contactUpdates, contactId) => {
+    io.to(contactId).emit('presenceUpdate', { updates: contactUpdates });
+  });
+};
+
+/**
+ * Take users whose sockets all stopped sending heartbeats (e.g. a crashed
+ * client, or an instance that stopped) offline and move inactive users to
+ * idle or away, then update the last seen of users connected to this instance
+ */
+const sweepPresence = async (io) => {
+  const changes = await getPresenceStore().sweep();
+  changes.forEach(({ userId, state }) => queuePresenceChange(userId, state));
+
+  const userIds = [...new Set(Array.from(io.of('/').sockets.values()).map(socket => socket.userId))];
+  if (userIds.length > 0) {
+    await User.updateMany({ _id: { $in: userIds } }, { lastSeen: new Date() });
+  }
+};
+
+/**
+ * Error event payload for an action the messaging service refused
+ */
+const formatServiceError = (error) => (error.code ? { message: error.message, code: error.code } : { message: error.message });
+
+/**
+ * Parse a sync cursor sent by a client, or return null if it isn't one
+ */
+const parseSyncCursor = (value) => {
+  const cursor = Number(value);
+  return value !== null && value !== '' && Number.isInteger(cursor) && cursor >= 0 ? cursor : null;
+};
+
+/**
+ * Send a socket every event its user missed since the cursor, in order, followed by
+ * syncComplete with the cursor to resume from next time. Replayed messages count as delivered.
+ */
+const replayMissedEvents = async (io, socket, cursor) => {
+  let result;
+
+  do {
+    result = await SyncEvent.getSince(socket.userId, cursor, REPLAY_BATCH_SIZE);
+    result.events.forEach(event => socket.emit(event.type, event.payload));
+    await markSyncedMessagesDelivered(io, socket.userId, result.events);
+    cursor = result.cursor;
+  } while (result.hasMore);
+
+  socket.emit('syncComplete', {
+    cursor: result.cursor,
+    resetRequired: result.resetRequired
+  });
+};
 
 /**
  * Socket.io handler for real-time communication
@@ -34,186 +225,338 @@ const socketHandler = (io) => {
     }
   });
 
-  io.on('connection', async (socket) => {
+  io.on('connection', (socket) => {
     const userId = socket.userId;
     console.log(`🔌 User ${socket.user.name} connected (${userId})`);
 
     try {
-      // Add user to active users
-      activeUsers.set(userId, {
-        socketId: socket.id,
-        user: socket.user,
-        lastSeen: new Date()
+      // Add the socket to the user's sockets on every instance (connecting counts as activity).
+      // The handlers below are registered without waiting, so no early event is lost;
+      // the ones that change presence wait for this first.
+      socket.data.lastActivityAt = Date.now();
+      socket.data.presenceReady = getPresenceStore()
+        .addSocket(userId, socket.id, getDeviceInfo(socket))
+        .then(state => queuePresenceChange(userId, state))
+        .catch(error => {
+          console.error('Error setting up socket connection:', error);
+          socket.emit('error', { message: 'Connection setup failed' });
+        });
+
+      // Socket.io's own ping/pong (every 25 seconds) keeps the socket online, so clients
+      // that don't send heartbeat events aren't taken offline while they are connected
+      socket.conn.on('packet', ({ type }) => {
+        if (type === 'pong') {
+          refreshPresence(socket).catch(error => {
+            console.error('Error refreshing presence:', error);
+          });
+        }
       });
 
-      // Update user online status
-      await User.findByIdAndUpdate(userId, {
-        isOnline: true,
-        lastSeen: new Date()
+      // Any other event from the client counts as activity
+      socket.onAny((event) => {
+        if (event !== 'heartbeat' && Date.now() - socket.data.lastActivityAt >= ACTIVITY_THROTTLE_MS) {
+          refreshPresence(socket, { active: true }).catch(error => {
+            console.error('Error refreshing presence:', error);
+          });
+        }
       });
 
       // Join user to their own room for personal notifications
       socket.join(userId);
 
-      // Emit user online status to their contacts
-      const userWithContacts = await User.findByIdWithContacts(userId);
-      if (userWithContacts && userWithContacts.contacts) {
-        userWithContacts.contacts.forEach(contact => {
-          socket.to(contact.user._id.toString()).emit('userOnline', {
-            userId: userId,
-            isOnline: true,
-            lastSeen: new Date()
-          });
+      // Handle a client asking for the events it missed while offline
+      socket.on('sync', async (data = {}) => {
+        try {
+          const cursor = parseSyncCursor(data.cursor);
+
+          if (cursor === null) {
+            socket.emit('error', { message: 'Invalid sync cursor' });
+            return;
+          }
+
+          await replayMissedEvents(io, socket, cursor);
+        } catch (error) {
+          console.error('Error syncing missed events:', error);
+          socket.emit('error', { message: 'Failed to sync missed events' });
+        }
+      });
+
+      // Reconnecting clients pass their last cursor in the handshake to get what they missed
+      const syncCursor = parseSyncCursor(socket.handshake.auth.syncCursor);
+      if (syncCursor !== null) {
+        replayMissedEvents(io, socket, syncCursor).catch(error => {
+          console.error('Error replaying missed events:', error);
+          socket.emit('error', { message: 'Failed to sync missed events' });
         });
       }
 
-      // Handle joining a conversation
+      // Handle presence heartbeats, with active: true if the user did anything in the
+      // app (e.g. scrolled or focused it) since the last one
+      socket.on('heartbeat', async (data) => {
+        try {
+          await refreshPresence(socket, { active: Boolean(data && data.active) });
+        } catch (error) {
+          console.error('Error handling heartbeat:', error);
+        }
+      });
+
+      // Handle joining a conversation (by conversation ID, or receiver ID for 1:1 chats)
       socket.on('joinConversation', async (data) => {
         try {
-          const { receiverId } = data;
+          const { conversationId, receiverId } = data;
 
-          if (!isValidObjectId(receiverId)) {
-            socket.emit('error', { message: 'Invalid receiver ID' });
+          if (!isValidObjectId(conversationId || receiverId)) {
+            socket.emit('error', { message: 'Invalid conversation or receiver ID' });
             return;
           }
 
+          const resolved = await Conversation.resolveForUser(userId, conversationId || receiverId);
+          if (!resolved) {
+            socket.emit('error', { message: 'Conversation not found' });
+            return;
+          }
+
+          const { conversation } = resolved;
+          const room = conversation._id.toString();
+
           // Leave previous conversation room if any
           const rooms = Array.from(socket.rooms);
-          rooms.forEach(room => {
-            if (room !== socket.id && room !== userId) {
-              socket.leave(room);
+          rooms.forEach(joinedRoom => {
+            if (joinedRoom !== socket.id && joinedRoom !== userId) {
+              socket.leave(joinedRoom);
             }
           });
 
-          // Generate conversation room ID
-          const conversationId = [userId, receiverId].sort().join('-');
-          socket.join(conversationId);
+          socket.join([room, getViewerRoom(room, userId)]);
 
-          // Mark messages as delivered
-          await Message.markAsDelivered(receiverId, userId);
+          // Opening the conversation delivers any messages this user hasn't acknowledged yet
+          await markDelivered(io, conversation._id, userId);
 
-          console.log(`📱 User ${userId} joined conversation ${conversationId}`);
+          console.log(`📱 User ${userId} joined conversation ${room}`);
           
-          socket.emit('conversationJoined', { conversationId, receiverId });
+          socket.emit('conversationJoined', {
+            conversationId: room,
+            type: conversation.type,
+            receiverId: conversation.getOtherMemberId(userId)
+          });
         } catch (error) {
           console.error('Error joining conversation:', error);
           socket.emit('error', { message: 'Failed to join conversation' });
         }
       });
 
-      // Handle sending messages
-      socket.on('sendMessage', async (data) => {
+      // Handle sending messages. Clients may pass an acknowledgement callback to learn the
+      // server ID, timestamp and status of the message sent with their clientMessageId.
+      socket.on('sendMessage', async (data, ack) => {
+        const respond = typeof ack === 'function' ? ack : null;
+
         try {
-          const { receiverId, content, messageType = 'text', replyTo } = data;
+          const { conversationId, receiverId, clientMessageId, content, messageType, replyTo, attachmentId } = data;
+
+          const conversation = await messageService.resolveSendConversation(userId, { conversationId, receiverId });
+          const { message, created } = await messageService.sendMessage(io, {
+            sender: socket.user,
+            conversation,
+            clientMessageId,
+            content,
+            messageType,
+            replyTo,
+            attachmentId
+          });
 
-          // Validate input
-          if (!isValidObjectId(receiverId)) {
-            socket.emit('error', { message: 'Invalid receiver ID' });
-            return;
+          if (respond) {
+            respond({
+              success: true,
+              clientMessageId: message.clientMessageId || null,
+              messageId: message._id,
+              conversationId: conversation._id,
+              createdAt: message.createdAt,
+              status: message.status
+            });
           }
 
-          if (!content || content.trim().length === 0) {
-            socket.emit('error', { message: 'Message content is required' });
+          if (created) {
+            console.log(`💬 Message sent from ${userId} to conversation ${conversation._id}`);
+          }
+        } catch (error) {
+          if (!error.statusCode) {
+            console.error('Error sending message:', error);
+          }
+
+          const failure = error.statusCode ? formatServiceError(error) : { message: 'Failed to send message' };
+          if (respond) {
+            respond({ success: false, ...failure });
+          } else {
+            socket.emit('error', failure);
+          }
+        }
+      });
+
+      // Handle typing indicators
+      socket.on('typing', async (data) => {
+        try {
+          const { conversationId, receiverId, isTyping, state = 'typing' } = data;
+
+          if (!isValidObjectId(conversationId || receiverId)) {
             return;
           }
 
-          if (content.length > 1000) {
-            socket.emit('error', { message: 'Message too long' });
+          // "recording" shows that the user is recording a voice note
+          if (!['typing', 'recording'].includes(state)) {
             return;
           }
 
-          // Check if receiver exists
-          const receiver = await User.findById(receiverId);
-          if (!receiver) {
-            socket.emit('error', { message: 'Receiver not found' });
+          // Only broadcast to a conversation room this socket has joined
+          let room = conversationId;
+          if (!room) {
+            room = Array.from(socket.rooms).find(joinedRoom => joinedRoom !== socket.id && joinedRoom !== userId);
+          }
+
+          if (!room || !socket.rooms.has(room)) {
             return;
           }
 
-          // Create message
-          const messageData = {
-            sender: userId,
-            receiver: receiverId,
-            content: content.trim(),
-            messageType,
-            replyTo: replyTo || null
-          };
+          // Users who blocked each other don't see each other typing (e.g. in groups)
+          const blockedIds = await User.getBlockedIds(userId);
+          
+          socket.to(room).except(blockedIds).emit('typingIndicator', {
+            conversationId: room,
+            userId,
+            userName: socket.user.name,
+            isTyping,
+            state
+          });
+        } catch (error) {
+          console.error('Error handling typing:', error);
+        }
+      });
 
-          const message = new Message(messageData);
-          await message.save();
+      // Handle message read status
+      socket.on('markAsRead', async (data) => {
+        try {
+          const { messageId, senderId, conversationId } = data;
 
-          // Populate sender and receiver info
-          await message.populate([
-            { path: 'sender', select: 'name avatar' },
-            { path: 'receiver', select: 'name avatar' },
-            { path: 'replyTo', select: 'content sender' }
-          ]);
+          if (!isValidObjectId(messageId) || !isValidObjectId(conversationId || senderId)) {
+            socket.emit('error', { message: 'Invalid message or sender ID' });
+            return;
+          }
 
-          const conversationId = [userId, receiverId].sort().join('-');
+          const conversation = conversationId
+            ? await Conversation.findById(conversationId)
+            : await Conversation.findOne({ directKey: generateConversationId(userId, senderId) });
 
-          // Emit to conversation room
-          io.to(conversationId).emit('newMessage', message);
+          if (!conversation || !conversation.isMember(userId)) {
+            socket.emit('error', { message: 'Conversation not found' });
+            return;
+          }
 
-          // If receiver is not in the conversation room, send notification
-          const receiverSocket = activeUsers.get(receiverId);
-          if (receiverSocket && !io.sockets.adapter.rooms.get(conversationId)?.has(receiverSocket.socketId)) {
-            socket.to(receiverId).emit('messageNotification', {
-              message,
-              sender: socket.user
-            });
+          const message = await Message.findVisibleInConversation(conversation._id, userId, messageId);
+          if (!message) {
+            socket.emit('error', { message: 'Message not found' });
+            return;
           }
 
-          console.log(`💬 Message sent from ${userId} to ${receiverId}`);
+          // Read everything up to this message and notify the senders of the messages read
+          await markRead(io, conversation._id, userId, message);
+
         } catch (error) {
-          console.error('Error sending message:', error);
-          socket.emit('error', { message: 'Failed to send message' });
+          console.error('Error marking message as read:', error);
+          socket.emit('error', { message: 'Failed to mark message as read' });
         }
       });
 
-      // Handle typing indicators
-      socket.on('typing', (data) => {
+      // Handle message edits
+      socket.on('editMessage', async (data) => {
         try {
-          const { receiverId, isTyping } = data;
+          const { messageId, content } = data;
+
+          await messageService.editMessage(io, { userId, messageId, content });
 
-          if (!isValidObjectId(receiverId)) {
+        } catch (error) {
+          if (error.statusCode) {
+            socket.emit('error', formatServiceError(error));
             return;
           }
+          console.error('Error editing message:', error);
+          socket.emit('error', { message: 'Failed to edit message' });
+        }
+      });
+
+      // Handle message deletion ("everyone" leaves a tombstone, "me" hides it for this user)
+      socket.on('deleteMessage', async (data) => {
+        try {
+          const { messageId, scope } = data;
+
+          await messageService.deleteMessage(io, { userId, messageId, scope });
 
-          const conversationId = [userId, receiverId].sort().join('-');
-          
-          socket.to(conversationId).emit('typingIndicator', {
-            userId,
-            userName: socket.user.name,
-            isTyping
-          });
         } catch (error) {
-          console.error('Error handling typing:', error);
+          if (error.statusCode) {
+            socket.emit('error', formatServiceError(error));
+            return;
+          }
+          console.error('Error deleting message:', error);
+          socket.emit('error', { message: 'Failed to delete message' });
         }
       });
 
-      // Handle message read status
-      socket.on('markAsRead', async (data) => {
+      // Handle message reactions (an empty emoji removes the reaction)
+      socket.on('reactToMessage', async (data) => {
         try {
-          const { messageId, senderId } = data;
+          const { messageId, emoji } = data;
 
-          if (!isValidObjectId(messageId) || !isValidObjectId(senderId)) {
-            socket.emit('error', { message: 'Invalid message or sender ID' });
+          await messageService.reactToMessage(io, { userId, messageId, emoji });
+
+        } catch (error) {
+          if (error.statusCode) {
+            socket.emit('error', formatServiceError(error));
+            return;
+          }
+          console.error('Error reacting to message:', error);
+          socket.emit('error', { message: 'Failed to react to message' });
+        }
+      });
+
+      // Handle voice note played receipts
+      socket.on('markAsPlayed', async (data) => {
+        try {
+          const { messageId } = data;
+
+          if (!isValidObjectId(messageId)) {
+            socket.emit('error', { message: 'Invalid message ID' });
+            return;
+          }
+
+          const message = await Message.findById(messageId).select('conversation');
+          const conversation = message && await Conversation.findById(message.conversation);
+
+          if (!conversation || !conversation.isMember(userId)) {
+            socket.emit('error', { message: 'Message not found' });
+            return;
+          }
+
+          const played = await Message.markAsPlayed(messageId, userId);
+          if (!played) {
+            // Already played, or not someone else's voice note
             return;
           }
 
-          // Update message status
-          await Message.markAsRead(senderId, userId);
+          // Playing a voice note also reads the conversation up to it
+          await markRead(io, conversation._id, userId, played);
 
-          // Notify sender about read status
-          const conversationId = [userId, senderId].sort().join('-');
-          socket.to(conversationId).emit('messageRead', {
-            readBy: userId,
-            senderId,
+          // Notify the sender about the played receipt
+          const receipt = {
+            messageId: played._id,
+            conversationId: conversation._id,
+            playedBy: userId,
             timestamp: new Date()
-          });
+          };
+
+          await SyncEvent.record(played.sender, 'messagePlayed', receipt);
+          io.to(played.sender.toString()).emit('messagePlayed', receipt);
 
         } catch (error) {
-          console.error('Error marking message as read:', error);
-          socket.emit('error', { message: 'Failed to mark message as read' });
+          console.error('Error marking message as played:', error);
+          socket.emit('error', { message: 'Failed to mark message as played' });
         }
       });
 
@@ -229,16 +572,10 @@ const socketHandler = (io) => {
 
           await User.findByIdAndUpdate(userId, { status });
 
-          // Notify contacts about status change
-          const userWithContacts = await User.findByIdWithContacts(userId);
-          if (userWithContacts && userWithContacts.contacts) {
-            userWithContacts.contacts.forEach(contact => {
-              socket.to(contact.user._id.toString()).emit('statusUpdate', {
-                userId,
-                status
-              });
-            });
-          }
+          await SyncEvent.recordForProfileWatchers(userId, 'statusUpdate', { userId, status });
+
+          // Notify the contacts allowed to see the status
+          await emitToContacts(io, userId, 'status', 'statusUpdate', () => ({ userId, status }));
 
         } catch (error) {
           console.error('Error updating status:', error);
@@ -251,27 +588,16 @@ const socketHandler = (io) => {
         try {
           console.log(`🔌 User ${socket.user.name} disconnected (${userId})`);
 
-          // Remove from active users
-          activeUsers.delete(userId);
-
-          // Update user offline status
-          await User.findByIdAndUpdate(userId, {
-            isOnline: false,
-            lastSeen: new Date()
-          });
-
-          // Notify contacts about offline status
-          const userWithContacts = await User.findByIdWithContacts(userId);
-          if (userWithContacts && userWithContacts.contacts) {
-            userWithContacts.contacts.forEach(contact => {
-              socket.to(contact.user._id.toString()).emit('userOffline', {
-                userId,
-                isOnline: false,
-                lastSeen: new Date()
-              });
-            });
+          // The user stays online while any of their other sockets (on any instance) is connected.
+          // Removing the socket before it was added would leave it online until it expires.
+          await socket.data.presenceReady;
+          const wentOffline = await getPresenceStore().removeSocket(userId, socket.id);
+          if (!wentOffline) {
+            return;
           }
 
+          // Update user offline status and notify the contacts allowed to see it
+          queuePresenceChange(userId, 'offline');
         } catch (error) {
           console.error('Error handling disconnect:', error);
         }
@@ -283,16 +609,23 @@ const socketHandler = (io) => {
     }
   });
 
-  // Periodically update last seen for active users
-  setInterval(async () => {
-    for (const [userId, userData] of activeUsers.entries()) {
-      try {
-        await User.findByIdAndUpdate(userId, { lastSeen: new Date() });
-      } catch (error) {
-        console.error('Error updating last seen:', error);
-      }
-    }
-  }, 30000); // Update every 30 seconds
+  // Periodically expire sockets and move inactive users to idle or away
+  const sweep = setInterval(() => {
+    sweepPresence(io).catch(error => {
+      console.error('Error sweeping presence:', error);
+    });
+  }, PRESENCE_SWEEP_INTERVAL_MS);
+
+  // Send presence changes to contacts in batches
+  const batch = setInterval(() => {
+    sendPresenceUpdates(io).catch(error => {
+      console.error('Error sending presence updates:', error);
+    });
+  }, PRESENCE_BATCH_INTERVAL_MS);
+
+  // Don't keep the process alive just for presence
+  sweep.unref();
+  batch.unref();
 };
 
 module.exports = socketHandler;
@@ -0,0 +1,324 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const request = require('supertest');
+
+// Keep uploaded test files out of the project directory
+const UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-clone-uploads-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.UPLOAD_DIR = UPLOAD_DIR;
+process.env.UPLOAD_CHUNK_SIZE = '32';
+
+const { app } = require('../server');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const Attachment = require('../models/Attachment');
+const UploadSession = require('../models/UploadSession');
+const { cleanupStaleUploads } = require('../jobs/uploadCleanup');
+const mongoose = require('mongoose');
+
+// Test database
+const MONGODB_URI = process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/whatsapp-clone-test';
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// 1x1 transparent PNG
+const PNG_BUFFER = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+describe('Attachment Endpoints', () => {
+  let authToken1, authToken2, authToken3;
+  let user2;
+
+  const registerUser = (name, email) => request(app)
+    .post('/api/auth/register')
+    .send({ name, email, password: 'Password123' });
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await User.deleteMany({});
+    await Message.deleteMany({});
+    await Conversation.deleteMany({});
+    await Attachment.deleteMany({});
+    await UploadSession.deleteMany({});
+
+    // Create test users
+    const user1Response = await registerUser('User One', 'user1@example.com');
+    const user2Response = await registerUser('User Two', 'user2@example.com');
+    const user3Response = await registerUser('User Three', 'user3@example.com');
+
+    authToken1 = user1Response.body.token;
+    authToken2 = user2Response.body.token;
+    authToken3 = user3Response.body.token;
+    user2 = user2Response.body.data.user;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+    fs.rmSync(UPLOAD_DIR, { recursive: true, force: true });
+  });
+
+  const uploadImage = (token = authToken1) => request(app)
+    .post('/api/attachments')
+    .set('Authorization', `Bearer ${token}`)
+    .attach('file', PNG_BUFFER, { filename: 'pixel.png', contentType: 'image/png' });
+
+  describe('POST /api/attachments', () => {
+    it('should upload an image and record its metadata', async () => {
+      const response = await uploadImage().expect(201);
+
+      const { attachment } = response.body.data;
+      expect(attachment.kind).toBe('image');
+      expect(attachment.size).toBe(PNG_BUFFER.length);
+      expect(attachment.width).toBe(1);
+      expect(attachment.height).toBe(1);
+      expect(attachment.checksum).toHaveLength(64);
+      expect(attachment.storageKey).toBeUndefined();
+    });
+
+    it('should reject disallowed file types', async () => {
+      const response = await request(app)
+        .post('/api/attachments')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .attach('file', Buffer.from('<svg></svg>'), { filename: 'image.svg', contentType: 'image/svg+xml' })
+        .expect(400);
+
+      expect(response.body.status).toBe('error');
+    });
+  });
+
+  describe('Sending and downloading attachments', () => {
+    let attachmentId;
+
+    beforeEach(async () => {
+      const response = await uploadImage();
+      attachmentId = response.body.data.attachment._id;
+    });
+
+    it('should send a media message without a caption', async () => {
+      const response = await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ receiverId: user2.id, attachmentId })
+        .expect(201);
+
+      expect(response.body.data.message.messageType).toBe('image');
+      expect(response.body.data.message.attachment._id).toBe(attachmentId);
+    });
+
+    it('should not send another user\'s attachment', async () => {
+      await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${authToken3}`)
+        .send({ receiverId: user2.id, attachmentId, content: 'Not mine' })
+        .expect(404);
+    });
+
+    it('should let conversation members download an attachment', async () => {
+      await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ receiverId: user2.id, attachmentId });
+
+      const response = await request(app)
+        .get(`/api/attachments/${attachmentId}/download`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('image/png');
+      expect(Buffer.compare(response.body, PNG_BUFFER)).toBe(0);
+
+      await request(app)
+        .get(`/api/attachments/${attachmentId}/download`)
+        .set('Authorization', `Bearer ${authToken3}`)
+        .expect(404);
+    });
+
+    it('should download a file from the driver it was stored with', async () => {
+      // Switching drivers only affects new uploads
+      process.env.STORAGE_DRIVER = 's3';
+      try {
+        const response = await request(app)
+          .get(`/api/attachments/${attachmentId}/download`)
+          .set('Authorization', `Bearer ${authToken1}`)
+          .expect(200);
+
+        expect(Buffer.compare(response.body, PNG_BUFFER)).toBe(0);
+      } finally {
+        process.env.STORAGE_DRIVER = 'local';
+      }
+    });
+  });
+
+  describe('Avatars', () => {
+    it('should only let users allowed to see the profile photo read an avatar', async () => {
+      const response = await request(app)
+        .put('/api/users/avatar')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .attach('avatar', PNG_BUFFER, { filename: 'me.png', contentType: 'image/png' })
+        .expect(200);
+
+      const avatarId = response.body.data.user.avatar.split('/').slice(-2)[0];
+      const getAvatar = (token) => request(app)
+        .get(`/api/attachments/${avatarId}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      await getAvatar(authToken2).expect(200);
+
+      await request(app)
+        .put('/api/users/privacy')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ avatar: { visibility: 'nobody' } })
+        .expect(200);
+
+      await getAvatar(authToken2).expect(404);
+      await getAvatar(authToken1).expect(200);
+    });
+  });
+
+  describe('POST /api/attachments/voice', () => {
+    it('should store a voice note with a downsampled waveform', async () => {
+      const samples = Array.from({ length: 200 }, (value, index) => index % 50);
+
+      const uploadResponse = await request(app)
+        .post('/api/attachments/voice')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .field('duration', '4.2')
+        .field('waveform', JSON.stringify(samples))
+        .attach('file', Buffer.from('OggS fake opus data'), { filename: 'voice.ogg', contentType: 'audio/ogg' })
+        .expect(201);
+
+      const { attachment } = uploadResponse.body.data;
+      expect(attachment.kind).toBe('voice');
+      expect(attachment.duration).toBe(4.2);
+      expect(attachment.waveform).toHaveLength(64);
+      expect(Math.max(...attachment.waveform)).toBe(100);
+
+      const messageResponse = await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ receiverId: user2.id, attachmentId: attachment._id })
+        .expect(201);
+
+      expect(messageResponse.body.data.message.messageType).toBe('voice');
+      expect(messageResponse.body.data.message.attachment.waveform).toHaveLength(64);
+    });
+
+    it('should reject recordings that are not Opus audio', async () => {
+      await request(app)
+        .post('/api/attachments/voice')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .field('duration', '4.2')
+        .field('waveform', '1,2,3')
+        .attach('file', Buffer.from('ID3 fake mp3 data'), { filename: 'voice.mp3', contentType: 'audio/mpeg' })
+        .expect(400);
+    });
+  });
+
+  describe('Resumable uploads', () => {
+    let upload;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/attachments/uploads')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ fileName: 'pixel.png', mimeType: 'image/png', size: PNG_BUFFER.length, checksum: sha256(PNG_BUFFER) })
+        .expect(201);
+
+      upload = response.body.data.upload;
+    });
+
+    const uploadChunk = (index, chunk = PNG_BUFFER.subarray(index * 32, (index + 1) * 32), checksum = sha256(chunk)) => request(app)
+      .put(`/api/attachments/uploads/${upload.id}/chunks/${index}`)
+      .set('Authorization', `Bearer ${authToken1}`)
+      .set('Content-Type', 'application/octet-stream')
+      .set('X-Chunk-Checksum', checksum)
+      .send(chunk);
+
+    it('should upload chunks in any order and complete the upload', async () => {
+      expect(upload.totalChunks).toBe(Math.ceil(PNG_BUFFER.length / 32));
+
+      for (const index of [...upload.missingChunks].reverse()) {
+        await uploadChunk(index).expect(200);
+      }
+
+      const progressResponse = await request(app)
+        .get(`/api/attachments/uploads/${upload.id}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      expect(progressResponse.body.data.upload.missingChunks).toHaveLength(0);
+
+      const response = await request(app)
+        .post(`/api/attachments/uploads/${upload.id}/complete`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(201);
+
+      expect(response.body.data.attachment.kind).toBe('image');
+      expect(response.body.data.attachment.checksum).toBe(sha256(PNG_BUFFER));
+    });
+
+    it('should not create an attachment when the assembled file does not match its checksum', async () => {
+      const response = await request(app)
+        .post('/api/attachments/uploads')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ fileName: 'pixel.png', mimeType: 'image/png', size: PNG_BUFFER.length, checksum: sha256(Buffer.from('something else')) })
+        .expect(201);
+      upload = response.body.data.upload;
+
+      for (const index of upload.missingChunks) {
+        await uploadChunk(index).expect(200);
+      }
+
+      await request(app)
+        .post(`/api/attachments/uploads/${upload.id}/complete`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(400);
+
+      expect(await Attachment.countDocuments()).toBe(0);
+
+      // The chunks are kept so the upload can be completed again
+      const session = await UploadSession.findById(upload.id);
+      expect(session.status).toBe('pending');
+      expect(session.receivedChunks).toHaveLength(upload.totalChunks);
+    });
+
+    it('should reject a chunk with a wrong checksum', async () => {
+      await uploadChunk(0, undefined, sha256(Buffer.from('something else'))).expect(400);
+
+      const session = await UploadSession.findById(upload.id);
+      expect(session.receivedChunks).toHaveLength(0);
+    });
+
+    it('should not complete an upload with missing chunks', async () => {
+      await uploadChunk(0).expect(200);
+
+      const response = await request(app)
+        .post(`/api/attachments/uploads/${upload.id}/complete`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(400);
+
+      expect(response.body.errors.missingChunks).not.toContain(0);
+    });
+
+    it('should garbage-collect expired upload sessions', async () => {
+      await uploadChunk(0).expect(200);
+
+      const removed = await cleanupStaleUploads(new Date(Date.now() + 48 * 60 * 60 * 1000));
+
+      expect(removed).toBe(1);
+      expect(await UploadSession.findById(upload.id)).toBeNull();
+    });
+  });
+});
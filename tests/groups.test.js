@@ -0,0 +1,521 @@
+const request = require('supertest');
+const { app, io } = require('../server');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const SyncEvent = require('../models/SyncEvent');
+const mongoose = require('mongoose');
+
+// Test database
+const MONGODB_URI = process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/whatsapp-clone-test';
+
+describe('Group Endpoints', () => {
+  let authToken1, authToken2, authToken3;
+  let user1, user2, user3;
+
+  const registerUser = (name, email) => request(app)
+    .post('/api/auth/register')
+    .send({ name, email, password: 'Password123' });
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await User.deleteMany({});
+    await Message.deleteMany({});
+    await Conversation.deleteMany({});
+    await SyncEvent.deleteMany({});
+
+    // Create test users
+    const user1Response = await registerUser('User One', 'user1@example.com');
+    const user2Response = await registerUser('User Two', 'user2@example.com');
+    const user3Response = await registerUser('User Three', 'user3@example.com');
+
+    authToken1 = user1Response.body.token;
+    authToken2 = user2Response.body.token;
+    authToken3 = user3Response.body.token;
+    user1 = user1Response.body.data.user;
+    user2 = user2Response.body.data.user;
+    user3 = user3Response.body.data.user;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  const createGroup = (memberIds = [user2.id]) => request(app)
+    .post('/api/groups')
+    .set('Authorization', `Bearer ${authToken1}`)
+    .send({ name: 'Test Group', memberIds });
+
+  describe('POST /api/groups', () => {
+    it('should create a group with the creator as member', async () => {
+      const response = await createGroup().expect(201);
+
+      expect(response.body.status).toBe('success');
+      expect(response.body.data.group.name).toBe('Test Group');
+      expect(response.body.data.group.type).toBe('group');
+      expect(response.body.data.group.members).toHaveLength(2);
+
+      // A system message records the creation
+      const systemMessage = await Message.findOne({ conversation: response.body.data.group._id });
+      expect(systemMessage.messageType).toBe('system');
+    });
+
+    it('should not create a group without a name', async () => {
+      const response = await request(app)
+        .post('/api/groups')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ memberIds: [user2.id] })
+        .expect(400);
+
+      expect(response.body.status).toBe('error');
+    });
+
+    it('should not create a group with non-existent members', async () => {
+      const response = await createGroup([new mongoose.Types.ObjectId().toString()]).expect(404);
+
+      expect(response.body.status).toBe('error');
+    });
+  });
+
+  describe('Group membership', () => {
+    let groupId;
+
+    beforeEach(async () => {
+      const response = await createGroup();
+      groupId = response.body.data.group._id;
+    });
+
+    it('should rename a group', async () => {
+      const response = await request(app)
+        .put(`/api/groups/${groupId}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ name: 'Renamed Group' })
+        .expect(200);
+
+      expect(response.body.data.group.name).toBe('Renamed Group');
+    });
+
+    it('should not let a regular member rename a group', async () => {
+      const response = await request(app)
+        .put(`/api/groups/${groupId}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({ name: 'Renamed Group' })
+        .expect(403);
+
+      expect(response.body.message).toBe('Only admins can change group info');
+    });
+
+    it('should not let a regular member add members', async () => {
+      await request(app)
+        .post(`/api/groups/${groupId}/members`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({ userIds: [user3.id] })
+        .expect(403);
+    });
+
+    it('should add members to a group', async () => {
+      const response = await request(app)
+        .post(`/api/groups/${groupId}/members`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ userIds: [user3.id] })
+        .expect(200);
+
+      expect(response.body.data.group.members).toHaveLength(3);
+    });
+
+    it('should remove a member from a group', async () => {
+      await request(app)
+        .delete(`/api/groups/${groupId}/members/${user2.id}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      const group = await Conversation.findById(groupId);
+      expect(group.isMember(user2.id)).toBe(false);
+    });
+
+    it('should let a member leave a group', async () => {
+      await request(app)
+        .post(`/api/groups/${groupId}/leave`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      const group = await Conversation.findById(groupId);
+      expect(group.isMember(user2.id)).toBe(false);
+    });
+
+    it('should transfer ownership when the owner leaves', async () => {
+      await request(app)
+        .post(`/api/groups/${groupId}/leave`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      const group = await Conversation.findById(groupId);
+      expect(group.getMemberRole(user2.id)).toBe('owner');
+    });
+
+    it('should not expose a group to non-members', async () => {
+      const response = await request(app)
+        .get(`/api/groups/${groupId}`)
+        .set('Authorization', `Bearer ${authToken3}`)
+        .expect(404);
+
+      expect(response.body.status).toBe('error');
+    });
+  });
+
+  describe('Real-time group events', () => {
+    let groupId;
+    let emitTo;
+    let emitIn;
+
+    beforeEach(async () => {
+      groupId = (await createGroup([user2.id, user3.id])).body.data.group._id;
+      emitTo = jest.spyOn(io, 'to');
+      emitIn = jest.spyOn(io, 'in');
+    });
+
+    afterEach(() => {
+      emitTo.mockRestore();
+      emitIn.mockRestore();
+    });
+
+    it('should send system messages to members live', async () => {
+      await request(app)
+        .put(`/api/groups/${groupId}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ name: 'Renamed Group' })
+        .expect(200);
+
+      expect(emitTo).toHaveBeenCalledWith(user2.id);
+      expect(emitTo).toHaveBeenCalledWith(user3.id);
+    });
+
+    it('should tell removed members before taking them out of the group room', async () => {
+      await request(app)
+        .delete(`/api/groups/${groupId}/members/${user2.id}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      expect(emitIn).toHaveBeenCalledWith(user2.id);
+
+      const notified = emitTo.mock.calls.findIndex(([room]) => room === user2.id);
+      expect(notified).not.toBe(-1);
+      expect(emitTo.mock.invocationCallOrder[notified]).toBeLessThan(emitIn.mock.invocationCallOrder[0]);
+
+      // Devices that were offline learn about it when they sync
+      const event = await SyncEvent.findOne({ user: user2.id, type: 'removedFromGroup' });
+      expect(event.payload.groupId).toBe(groupId);
+    });
+
+    it('should take members who leave out of the group room', async () => {
+      await request(app)
+        .post(`/api/groups/${groupId}/leave`)
+        .set('Authorization', `Bearer ${authToken3}`)
+        .expect(200);
+
+      expect(emitIn).toHaveBeenCalledWith(user3.id);
+
+      // The system message only goes to the remaining members
+      expect(emitTo).toHaveBeenCalledWith(user2.id);
+      expect(emitTo).not.toHaveBeenCalledWith(user3.id);
+    });
+  });
+
+  describe('Group roles and settings', () => {
+    let groupId;
+
+    beforeEach(async () => {
+      const response = await createGroup([user2.id, user3.id]);
+      groupId = response.body.data.group._id;
+    });
+
+    it('should promote a member to admin', async () => {
+      await request(app)
+        .put(`/api/groups/${groupId}/members/${user2.id}/role`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ role: 'admin' })
+        .expect(200);
+
+      const group = await Conversation.findById(groupId);
+      expect(group.getMemberRole(user2.id)).toBe('admin');
+
+      const systemMessage = await Message.findOne({ conversation: groupId, content: /made User Two an admin/ });
+      expect(systemMessage).toBeTruthy();
+    });
+
+    it('should not let an admin change the owner role', async () => {
+      await request(app)
+        .put(`/api/groups/${groupId}/members/${user2.id}/role`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ role: 'admin' });
+
+      await request(app)
+        .put(`/api/groups/${groupId}/members/${user1.id}/role`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({ role: 'member' })
+        .expect(403);
+    });
+
+    it('should restrict sending to admins when configured', async () => {
+      await request(app)
+        .put(`/api/groups/${groupId}/settings`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ sendMessages: 'admins' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({ conversationId: groupId, content: 'Can I post?' })
+        .expect(403);
+
+      expect(response.body.message).toBe('Only admins can send messages to this group');
+
+      await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ conversationId: groupId, content: 'Admins can post' })
+        .expect(201);
+    });
+
+    it('should not let a regular member change settings', async () => {
+      await request(app)
+        .put(`/api/groups/${groupId}/settings`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({ sendMessages: 'admins' })
+        .expect(403);
+    });
+  });
+
+  describe('Group invite links', () => {
+    let groupId;
+
+    beforeEach(async () => {
+      const response = await createGroup();
+      groupId = response.body.data.group._id;
+    });
+
+    const createInvite = (body = {}) => request(app)
+      .post(`/api/groups/${groupId}/invite`)
+      .set('Authorization', `Bearer ${authToken1}`)
+      .send(body);
+
+    it('should preview and join a group via invite link', async () => {
+      const inviteResponse = await createInvite().expect(201);
+      const { token } = inviteResponse.body.data.invite;
+
+      const previewResponse = await request(app)
+        .get(`/api/invites/${token}`)
+        .expect(200);
+
+      expect(previewResponse.body.data.group.name).toBe('Test Group');
+      expect(previewResponse.body.data.group.memberCount).toBe(2);
+
+      await request(app)
+        .post(`/api/invites/${token}/join`)
+        .set('Authorization', `Bearer ${authToken3}`)
+        .expect(200);
+
+      const group = await Conversation.findById(groupId);
+      expect(group.isMember(user3.id)).toBe(true);
+    });
+
+    it('should not join via a revoked invite link', async () => {
+      const inviteResponse = await createInvite();
+      const { token } = inviteResponse.body.data.invite;
+
+      await request(app)
+        .delete(`/api/groups/${groupId}/invite`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/invites/${token}/join`)
+        .set('Authorization', `Bearer ${authToken3}`)
+        .expect(404);
+    });
+
+    it('should enforce max uses', async () => {
+      const inviteResponse = await createInvite({ maxUses: 1 });
+      const { token } = inviteResponse.body.data.invite;
+
+      await request(app)
+        .post(`/api/invites/${token}/join`)
+        .set('Authorization', `Bearer ${authToken3}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/groups/${groupId}/leave`)
+        .set('Authorization', `Bearer ${authToken2}`);
+
+      await request(app)
+        .post(`/api/invites/${token}/join`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(404);
+    });
+
+    it('should queue join requests when approval is required', async () => {
+      await request(app)
+        .put(`/api/groups/${groupId}/settings`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ approveNewMembers: true })
+        .expect(200);
+
+      const inviteResponse = await createInvite();
+      const { token } = inviteResponse.body.data.invite;
+
+      await request(app)
+        .post(`/api/invites/${token}/join`)
+        .set('Authorization', `Bearer ${authToken3}`)
+        .expect(202);
+
+      let group = await Conversation.findById(groupId);
+      expect(group.isMember(user3.id)).toBe(false);
+      expect(group.hasJoinRequest(user3.id)).toBe(true);
+
+      await request(app)
+        .post(`/api/groups/${groupId}/join-requests/${user3.id}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      group = await Conversation.findById(groupId);
+      expect(group.isMember(user3.id)).toBe(true);
+    });
+
+    it('should only count join requests as invite uses once approved', async () => {
+      await request(app)
+        .put(`/api/groups/${groupId}/settings`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ approveNewMembers: true })
+        .expect(200);
+
+      const { token } = (await createInvite({ maxUses: 1 })).body.data.invite;
+
+      await request(app)
+        .post(`/api/groups/${groupId}/leave`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      // Both requests fit within a single use until one is approved
+      for (const authToken of [authToken2, authToken3]) {
+        await request(app)
+          .post(`/api/invites/${token}/join`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(202);
+      }
+
+      let group = await Conversation.findById(groupId);
+      expect(group.invite.uses).toBe(0);
+
+      await request(app)
+        .post(`/api/groups/${groupId}/join-requests/${user3.id}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      group = await Conversation.findById(groupId);
+      expect(group.invite.uses).toBe(1);
+      expect(group.hasJoinRequest(user2.id)).toBe(true);
+    });
+
+    it('should not let a regular member create invite links', async () => {
+      await request(app)
+        .post(`/api/groups/${groupId}/invite`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(403);
+    });
+  });
+
+  describe('Group messaging', () => {
+    let groupId;
+
+    beforeEach(async () => {
+      const response = await createGroup();
+      groupId = response.body.data.group._id;
+    });
+
+    it('should send a message to a group', async () => {
+      const response = await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ conversationId: groupId, content: 'Hello group!' })
+        .expect(201);
+
+      expect(response.body.data.message.conversation).toBe(groupId);
+      expect(response.body.data.message.receiver).toBeNull();
+    });
+
+    it('should not send a message to a group the user is not in', async () => {
+      const response = await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${authToken3}`)
+        .send({ conversationId: groupId, content: 'Let me in' })
+        .expect(404);
+
+      expect(response.body.message).toBe('Conversation not found');
+    });
+
+    it('should get group conversation and list it in conversations', async () => {
+      await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ conversationId: groupId, content: 'Hello group!' });
+
+      const conversationResponse = await request(app)
+        .get(`/api/messages/conversation/${groupId}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      expect(conversationResponse.body.data.conversation.type).toBe('group');
+      expect(conversationResponse.body.data.participant).toBeNull();
+
+      const listResponse = await request(app)
+        .get('/api/messages/conversations')
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      const groupEntry = listResponse.body.data.conversations
+        .find(conversation => conversation._id === groupId);
+      expect(groupEntry).toBeDefined();
+      expect(groupEntry.conversation.name).toBe('Test Group');
+    });
+
+    it('should show message info for each group member', async () => {
+      await request(app)
+        .post(`/api/groups/${groupId}/members`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ userIds: [user3.id] })
+        .expect(200);
+
+      const messageResponse = await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ conversationId: groupId, content: 'Who has read this?' });
+      const messageId = messageResponse.body.data.message._id;
+
+      await request(app)
+        .put(`/api/messages/read/${groupId}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({ messageId })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/messages/${messageId}/info`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      const { recipients } = response.body.data;
+      expect(recipients).toHaveLength(2);
+
+      const byUser = Object.fromEntries(recipients.map(recipient => [recipient.user._id, recipient]));
+      expect(byUser[user2.id].readAt).not.toBeNull();
+      expect(byUser[user3.id].readAt).toBeNull();
+    });
+  });
+});
@@ -1,7 +1,9 @@
 const request = require('supertest');
-const { app } = require('../server');
+const { app, io } = require('../server');
 const User = require('../models/User');
 const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const messageService = require('../utils/messageService');
 const mongoose = require('mongoose');
 
 // Test database
@@ -95,6 +97,37 @@ describe('Message Endpoints', () => {
       expect(response.body.data.message.messageType).toBe('emoji');
     });
 
+    it('should return the existing message when a send is retried with the same client message ID', async () => {
+      const messageData = {
+        receiverId: user2.id,
+        content: 'Hello',
+        clientMessageId: 'local-1'
+      };
+
+      const first = await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send(messageData)
+        .expect(201);
+
+      const retry = await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send(messageData)
+        .expect(200);
+
+      expect(retry.body.data.message._id).toBe(first.body.data.message._id);
+      expect(retry.body.data.message.clientMessageId).toBe('local-1');
+      expect(await Message.countDocuments({ clientMessageId: 'local-1' })).toBe(1);
+
+      // Client message IDs are only unique per sender
+      await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({ receiverId: user1.id, content: 'Hi', clientMessageId: 'local-1' })
+        .expect(201);
+    });
+
     it('should not send message to non-existent user', async () => {
       const fakeUserId = new mongoose.Types.ObjectId();
       const messageData = {
@@ -195,6 +228,96 @@ describe('Message Endpoints', () => {
       expect(response.body.data.pagination.hasNextPage).toBe(true);
     });
 
+    it('should not count expired messages in the page total', async () => {
+      // Disappeared, but not yet removed by the TTL monitor
+      await Message.updateOne({ content: 'How are you?' }, { expiresAt: new Date(Date.now() - 1000) });
+
+      const response = await request(app)
+        .get(`/api/messages/conversation/${user2.id}?page=1&limit=2`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      expect(response.body.data.messages).toHaveLength(2);
+      expect(response.body.data.pagination.totalResults).toBe(2);
+      expect(response.body.data.pagination.hasNextPage).toBe(false);
+    });
+
+    it('should page backwards from a message cursor', async () => {
+      const getPage = (query) => request(app)
+        .get(`/api/messages/conversation/${user2.id}?${query}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      const latest = await Message.findOne({ content: 'How are you?' });
+
+      const response = await getPage(`before=${latest._id}&limit=1`);
+      const { messages, pagination } = response.body.data;
+
+      expect(messages.map(message => message.content)).toEqual(['Hello back from user2']);
+      expect(pagination.hasMoreBefore).toBe(true);
+      expect(pagination.hasMoreAfter).toBe(true);
+
+      const older = await getPage(`before=${pagination.before}&limit=1`);
+      expect(older.body.data.messages.map(message => message.content)).toEqual(['Hello from user1']);
+      expect(older.body.data.pagination.hasMoreBefore).toBe(false);
+    });
+
+    it('should only mark messages read up to the newest one returned', async () => {
+      const latest = await Message.findOne({ content: 'How are you?' });
+
+      await request(app)
+        .get(`/api/messages/conversation/${user1.id}?before=${latest._id}&limit=2`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      expect((await Message.findOne({ content: 'Hello from user1' })).status).toBe('read');
+      expect((await Message.findById(latest._id)).status).not.toBe('read');
+    });
+
+    it('should page forwards from a timestamp', async () => {
+      const response = await request(app)
+        .get(`/api/messages/conversation/${user2.id}?after=${encodeURIComponent('2000-01-01T00:00:00Z')}&limit=2`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      const { messages, pagination } = response.body.data;
+      expect(messages.map(message => message.content)).toEqual(['Hello from user1', 'Hello back from user2']);
+      expect(pagination.hasMoreBefore).toBe(false);
+      expect(pagination.hasMoreAfter).toBe(true);
+    });
+
+    it('should jump to a window around a message', async () => {
+      const middle = await Message.findOne({ content: 'Hello back from user2' });
+
+      const response = await request(app)
+        .get(`/api/messages/conversation/${user2.id}?around=${middle._id}&limit=3`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      const { messages, pagination } = response.body.data;
+      expect(messages.map(message => message.content))
+        .toEqual(['Hello from user1', 'Hello back from user2', 'How are you?']);
+      expect(pagination.hasMoreBefore).toBe(false);
+      expect(pagination.hasMoreAfter).toBe(false);
+    });
+
+    it('should reject combined or invalid cursors', async () => {
+      await request(app)
+        .get(`/api/messages/conversation/${user2.id}?before=2024-01-01&after=2024-01-01`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(400);
+
+      await request(app)
+        .get(`/api/messages/conversation/${user2.id}?before=not-a-cursor`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(400);
+
+      await request(app)
+        .get(`/api/messages/conversation/${user2.id}?around=${new mongoose.Types.ObjectId()}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(404);
+    });
+
     it('should not get conversation with non-existent user', async () => {
       const fakeUserId = new mongoose.Types.ObjectId();
 
@@ -205,6 +328,25 @@ describe('Message Endpoints', () => {
 
       expect(response.body.status).toBe('error');
     });
+
+    it('should not open a chat with yourself', async () => {
+      await request(app)
+        .get(`/api/messages/conversation/${user1.id}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(404);
+    });
+
+    it('should not start a conversation by reading it', async () => {
+      await Message.deleteMany({});
+      await Conversation.deleteMany({});
+
+      await request(app)
+        .get(`/api/messages/conversation/${user2.id}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(404);
+
+      expect(await Conversation.countDocuments()).toBe(0);
+    });
   });
 
   describe('GET /api/messages/conversations', () => {
@@ -260,6 +402,65 @@ describe('Message Endpoints', () => {
       expect(message.status).toBe('read');
       expect(message.readAt).toBeDefined();
     });
+
+    it('should only mark messages up to the given message as read', async () => {
+      const later = await Message.create({
+        sender: user1.id,
+        receiver: user2.id,
+        content: 'Later message',
+        messageType: 'text'
+      });
+
+      const response = await request(app)
+        .put(`/api/messages/read/${user1.id}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({ messageId })
+        .expect(200);
+
+      expect(response.body.data.messageIds).toEqual([messageId.toString()]);
+      expect((await Message.findById(later._id)).status).toBe('sent');
+    });
+  });
+
+  describe('GET /api/messages/:messageId/info', () => {
+    let messageId;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ receiverId: user2.id, content: 'Did you get this?' });
+      messageId = response.body.data.message._id;
+    });
+
+    const getInfo = (token = authToken1) => request(app)
+      .get(`/api/messages/${messageId}/info`)
+      .set('Authorization', `Bearer ${token}`);
+
+    it('should show the receipts of each recipient', async () => {
+      let response = await getInfo().expect(200);
+
+      expect(response.body.data.recipients).toHaveLength(1);
+      expect(response.body.data.recipients[0].user._id).toBe(user2.id);
+      expect(response.body.data.recipients[0].deliveredAt).toBeNull();
+      expect(response.body.data.recipients[0].readAt).toBeNull();
+
+      await request(app)
+        .put(`/api/messages/read/${user1.id}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      response = await getInfo().expect(200);
+
+      const [recipient] = response.body.data.recipients;
+      expect(recipient.deliveredAt).not.toBeNull();
+      expect(recipient.readAt).not.toBeNull();
+      expect(recipient.playedAt).toBeNull();
+    });
+
+    it('should only be available to the sender', async () => {
+      await getInfo(authToken2).expect(403);
+    });
   });
 
   describe('DELETE /api/messages/:messageId', () => {
@@ -298,6 +499,56 @@ describe('Message Endpoints', () => {
       expect(response.body.status).toBe('error');
       expect(response.body.message).toBe('You can only delete your own messages');
     });
+
+    it('should leave a tombstone when deleted for everyone', async () => {
+      await request(app)
+        .delete(`/api/messages/${messageId}?scope=everyone`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/messages/conversation/${user1.id}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      expect(response.body.data.messages).toHaveLength(1);
+      expect(response.body.data.messages[0].isDeleted).toBe(true);
+      expect(response.body.data.messages[0].content).toBe('This message was deleted');
+    });
+
+    it('should let the receiver delete a message for themselves only', async () => {
+      await request(app)
+        .delete(`/api/messages/${messageId}?scope=me`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      const receiverResponse = await request(app)
+        .get(`/api/messages/conversation/${user1.id}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      expect(receiverResponse.body.data.messages).toHaveLength(0);
+
+      const senderResponse = await request(app)
+        .get(`/api/messages/conversation/${user2.id}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      expect(senderResponse.body.data.messages[0].content).toBe('Message to delete');
+    });
+
+    it('should not delete for everyone after the time window', async () => {
+      // createdAt is immutable in Mongoose, so age the message directly
+      await Message.collection.updateOne(
+        { _id: messageId },
+        { $set: { createdAt: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } }
+      );
+
+      await request(app)
+        .delete(`/api/messages/${messageId}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(400);
+    });
   });
 
   describe('PUT /api/messages/:messageId', () => {
@@ -327,6 +578,28 @@ describe('Message Endpoints', () => {
       expect(response.body.data.message.editedAt).toBeDefined();
     });
 
+    it('should keep the edit history', async () => {
+      await request(app)
+        .put(`/api/messages/${messageId}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ content: 'First edit' })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/messages/${messageId}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ content: 'Second edit' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/messages/${messageId}/history`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      expect(response.body.data.revisions.map(revision => revision.content))
+        .toEqual(['Original message', 'First edit', 'Second edit']);
+    });
+
     it('should not edit other user\'s message', async () => {
       const response = await request(app)
         .put(`/api/messages/${messageId}`)
@@ -368,4 +641,435 @@ describe('Message Endpoints', () => {
       expect(response.body.data.unreadCount).toBe(2);
     });
   });
+
+  describe('Message reactions', () => {
+    let messageId;
+
+    beforeEach(async () => {
+      const message = await Message.create({
+        sender: user1.id,
+        receiver: user2.id,
+        content: 'React to me',
+        messageType: 'text'
+      });
+      messageId = message._id;
+    });
+
+    const react = (token, emoji) => request(app)
+      .post(`/api/messages/${messageId}/reactions`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ emoji });
+
+    it('should keep one reaction per user and replace it', async () => {
+      await react(authToken2, '👍').expect(200);
+      await react(authToken1, '👍').expect(200);
+      const response = await react(authToken2, '❤️').expect(200);
+
+      expect(response.body.data.reactionCounts).toEqual(expect.arrayContaining([
+        { emoji: '👍', count: 1 },
+        { emoji: '❤️', count: 1 }
+      ]));
+
+      const conversationResponse = await request(app)
+        .get(`/api/messages/conversation/${user1.id}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      expect(conversationResponse.body.data.messages[0].reactionCounts).toHaveLength(2);
+    });
+
+    it('should list who reacted and remove a reaction', async () => {
+      await react(authToken2, '😂').expect(200);
+
+      const listResponse = await request(app)
+        .get(`/api/messages/${messageId}/reactions`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      expect(listResponse.body.data.reactions[0].emoji).toBe('😂');
+      expect(listResponse.body.data.reactions[0].users[0].user.name).toBe('User Two');
+
+      const removeResponse = await request(app)
+        .delete(`/api/messages/${messageId}/reactions`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      expect(removeResponse.body.data.reactionCounts).toHaveLength(0);
+    });
+
+    it('should reject reactions that are not a single emoji', async () => {
+      await react(authToken2, 'nice').expect(400);
+    });
+
+    it('should not let non-participants react', async () => {
+      const outsiderResponse = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'User Three', email: 'user3@example.com', password: 'Password123' });
+
+      await react(outsiderResponse.body.token, '👍').expect(404);
+    });
+
+    it('should validate socket and REST reactions the same way', async () => {
+      const reaction = await messageService.reactToMessage(io, { userId: user2.id, messageId, emoji: '👍' });
+      expect(reaction.reactionCounts).toEqual([expect.objectContaining({ emoji: '👍', count: 1 })]);
+
+      await expect(messageService.reactToMessage(io, { userId: user2.id, messageId, emoji: 'nice' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      const removed = await messageService.reactToMessage(io, { userId: user2.id, messageId });
+      expect(removed.emoji).toBeNull();
+      expect(removed.reactionCounts).toHaveLength(0);
+    });
+  });
+
+  describe('Starred messages', () => {
+    let messageIds;
+
+    beforeEach(async () => {
+      const messages = await Message.create([
+        { sender: user1.id, receiver: user2.id, content: 'First message', messageType: 'text' },
+        { sender: user2.id, receiver: user1.id, content: 'Second message', messageType: 'text' },
+        { sender: user1.id, receiver: user2.id, content: 'Third message', messageType: 'text' }
+      ]);
+      messageIds = messages.map(message => message._id.toString());
+    });
+
+    const star = (messageId, token = authToken2) => request(app)
+      .post(`/api/messages/${messageId}/star`)
+      .set('Authorization', `Bearer ${token}`);
+
+    it('should star messages per user and page through them', async () => {
+      for (const messageId of messageIds) {
+        await star(messageId).expect(200);
+      }
+
+      const firstPage = await request(app)
+        .get('/api/messages/starred?limit=2')
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      expect(firstPage.body.data.starredMessages).toHaveLength(2);
+      expect(firstPage.body.data.starredMessages[0].participant.name).toBe('User One');
+      expect(firstPage.body.data.pagination.hasMore).toBe(true);
+
+      const secondPage = await request(app)
+        .get(`/api/messages/starred?limit=2&cursor=${firstPage.body.data.pagination.nextCursor}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      expect(secondPage.body.data.starredMessages).toHaveLength(1);
+      expect(secondPage.body.data.pagination.nextCursor).toBeNull();
+
+      // Stars are per user
+      const otherUserResponse = await request(app)
+        .get('/api/messages/starred')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      expect(otherUserResponse.body.data.starredMessages).toHaveLength(0);
+    });
+
+    it('should include starred state in conversation messages', async () => {
+      await star(messageIds[1]).expect(200);
+
+      const response = await request(app)
+        .get(`/api/messages/conversation/${user1.id}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      const starred = response.body.data.messages.filter(message => message.isStarred);
+      expect(starred).toHaveLength(1);
+      expect(starred[0]._id).toBe(messageIds[1]);
+    });
+
+    it('should unstar a message', async () => {
+      await star(messageIds[0]).expect(200);
+
+      await request(app)
+        .delete(`/api/messages/${messageIds[0]}/star`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/messages/starred?conversationId=${user1.id}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      expect(response.body.data.starredMessages).toHaveLength(0);
+    });
+  });
+
+  describe('Pinned messages', () => {
+    let messageIds;
+
+    beforeEach(async () => {
+      const messages = await Message.create([
+        { sender: user1.id, receiver: user2.id, content: 'Pin one', messageType: 'text' },
+        { sender: user2.id, receiver: user1.id, content: 'Pin two', messageType: 'text' },
+        { sender: user1.id, receiver: user2.id, content: 'Pin three', messageType: 'text' },
+        { sender: user2.id, receiver: user1.id, content: 'Pin four', messageType: 'text' }
+      ]);
+      messageIds = messages.map(message => message._id.toString());
+    });
+
+    const pin = (messageId, body = {}) => request(app)
+      .post(`/api/messages/${messageId}/pin`)
+      .set('Authorization', `Bearer ${authToken1}`)
+      .send(body);
+
+    it('should pin a message and return it with the conversation', async () => {
+      await pin(messageIds[0], { duration: '7d' }).expect(200);
+
+      const response = await request(app)
+        .get(`/api/messages/conversation/${user1.id}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      const { pinnedMessages, messages } = response.body.data;
+      expect(pinnedMessages).toHaveLength(1);
+      expect(pinnedMessages[0].message.content).toBe('Pin one');
+      expect(pinnedMessages[0].expiresAt).toBeTruthy();
+
+      // A system message notes who pinned what
+      const systemMessage = messages.find(message => message.messageType === 'system');
+      expect(systemMessage.content).toBe('User One pinned "Pin one"');
+    });
+
+    it('should not return pinned messages that have expired', async () => {
+      await pin(messageIds[0]).expect(200);
+
+      // Disappeared, but not yet removed by the TTL monitor
+      await Message.updateOne({ _id: messageIds[0] }, { expiresAt: new Date(Date.now() - 1000) });
+
+      const response = await request(app)
+        .get(`/api/messages/conversation/${user1.id}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      expect(response.body.data.pinnedMessages).toHaveLength(0);
+    });
+
+    it('should keep at most three pins, replacing the oldest', async () => {
+      for (const messageId of messageIds) {
+        await pin(messageId).expect(200);
+      }
+
+      const response = await request(app)
+        .delete(`/api/messages/${messageIds[3]}/pin`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      expect(response.body.data.pinnedMessages.map(pinned => pinned.message.content))
+        .toEqual(['Pin three', 'Pin two']);
+    });
+
+    it('should reject unknown pin durations', async () => {
+      await pin(messageIds[0], { duration: '1y' }).expect(400);
+    });
+  });
+
+  describe('Disappearing messages', () => {
+    const setTimer = (duration, token = authToken1) => request(app)
+      .put(`/api/messages/conversation/${user2.id}/disappearing`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ duration });
+
+    it('should expire new messages once a timer is set', async () => {
+      await setTimer('7d').expect(200);
+
+      const response = await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ receiver: user2.id, content: 'Gone in a week' })
+        .expect(201);
+
+      const expiresAt = new Date(response.body.data.message.expiresAt).getTime();
+      expect(expiresAt - Date.now()).toBeGreaterThan(6 * 24 * 60 * 60 * 1000);
+
+      const conversations = await request(app)
+        .get('/api/messages/conversations')
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      expect(conversations.body.data.conversations[0].conversation.disappearingMessages).toBe('7d');
+    });
+
+    it('should hide expired messages before they are removed', async () => {
+      await setTimer('24h').expect(200);
+
+      const message = await Message.create({ sender: user1.id, receiver: user2.id, content: 'Expired', messageType: 'text' });
+      await Message.collection.updateOne({ _id: message._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+      const response = await request(app)
+        .get(`/api/messages/conversation/${user1.id}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      const contents = response.body.data.messages.map(m => m.content);
+      expect(contents).not.toContain('Expired');
+      expect(contents).toContain('User One turned on disappearing messages. New messages will disappear from this chat 24 hours after they\'re sent');
+    });
+
+    it('should reject unknown timers', async () => {
+      await setTimer('1y').expect(400);
+    });
+  });
+
+  describe('Real-time events', () => {
+    let emitTo;
+
+    beforeEach(() => {
+      emitTo = jest.spyOn(io, 'to');
+    });
+
+    afterEach(() => {
+      emitTo.mockRestore();
+    });
+
+    const sendMessage = (content) => request(app)
+      .post('/api/messages')
+      .set('Authorization', `Bearer ${authToken1}`)
+      .send({ receiverId: user2.id, content })
+      .expect(201);
+
+    it('should deliver messages sent over REST to the receiver\'s sockets', async () => {
+      await sendMessage('Hello');
+
+      expect(emitTo).toHaveBeenCalledWith(user2.id);
+    });
+
+    it('should only send the sender\'s public profile with notifications', async () => {
+      const emit = jest.spyOn(Object.getPrototypeOf(io.to(user2.id)), 'emit');
+
+      try {
+        await sendMessage('Hello');
+
+        const [, notification] = emit.mock.calls.find(([event]) => event === 'messageNotification');
+        expect(Object.keys(notification.sender).sort()).toEqual(['_id', 'avatar', 'name']);
+      } finally {
+        emit.mockRestore();
+      }
+    });
+
+    it('should tell the conversation about edits made over REST', async () => {
+      const message = (await sendMessage('Helo')).body.data.message;
+      emitTo.mockClear();
+
+      await request(app)
+        .put(`/api/messages/${message._id}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ content: 'Hello' })
+        .expect(200);
+
+      expect(emitTo).toHaveBeenCalledWith(message.conversation);
+    });
+
+    it('should validate socket and REST messages the same way', async () => {
+      const conversation = await messageService.resolveSendConversation(user1.id, { receiverId: user2.id });
+      const sender = await User.findById(user1.id);
+
+      const { message } = await messageService.sendMessage(io, { sender, conversation, content: '😀' });
+      expect(message.messageType).toBe('emoji');
+
+      await expect(messageService.sendMessage(io, { sender, conversation, content: '   ' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(messageService.sendMessage(io, { sender, conversation, content: 'a'.repeat(1001) }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('Delivery receipts', () => {
+    let messageId;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ receiverId: user2.id, content: 'Are you there?' });
+      messageId = response.body.data.message._id;
+    });
+
+    it('should not mark messages as delivered while the receiver is offline', async () => {
+      await new Promise(resolve => setTimeout(resolve, 1500));
+
+      const message = await Message.findById(messageId);
+      expect(message.status).toBe('sent');
+      expect(message.deliveredAt).toBeNull();
+    });
+
+    it('should mark messages as delivered when the receiver fetches them', async () => {
+      await request(app)
+        .get(`/api/messages/conversation/${user1.id}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      const message = await Message.findById(messageId);
+      expect(message.deliveredAt).not.toBeNull();
+    });
+  });
+
+  describe('GET /api/messages/search', () => {
+    beforeAll(async () => {
+      // Searching needs the text index to be built
+      await Message.init();
+    });
+
+    beforeEach(async () => {
+      await Message.create([
+        { sender: user1.id, receiver: user2.id, content: 'Pizza tonight?', messageType: 'text' },
+        { sender: user2.id, receiver: user1.id, content: 'Sure, pizza at 8 sounds great', messageType: 'text' },
+        { sender: user1.id, receiver: user2.id, content: 'Something else entirely', messageType: 'text' }
+      ]);
+    });
+
+    const search = (query, token = authToken1) => request(app)
+      .get(`/api/messages/search?${query}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    it('should group matches by conversation with highlighted snippets', async () => {
+      const response = await search('q=pizza').expect(200);
+
+      const { results, totalMessages } = response.body.data;
+      expect(totalMessages).toBe(2);
+      expect(results).toHaveLength(1);
+      expect(results[0].participant.id).toBe(user2.id);
+      expect(results[0].messages).toHaveLength(2);
+
+      const { snippet } = results[0].messages[0];
+      const [highlight] = snippet.highlights;
+      expect(snippet.text.substr(highlight.start, highlight.length).toLowerCase()).toBe('pizza');
+    });
+
+    it('should filter by sender and starred state', async () => {
+      const bySender = await search(`q=pizza&sender=${user2.id}`).expect(200);
+      expect(bySender.body.data.totalMessages).toBe(1);
+      expect(bySender.body.data.results[0].messages[0].message.content).toBe('Sure, pizza at 8 sounds great');
+
+      const message = await Message.findOne({ content: 'Pizza tonight?' });
+      await request(app)
+        .post(`/api/messages/${message._id}/star`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      const starred = await search('q=pizza&starred=true').expect(200);
+      expect(starred.body.data.totalMessages).toBe(1);
+      expect(starred.body.data.results[0].messages[0].message.isStarred).toBe(true);
+    });
+
+    it('should treat regex characters in the query as plain text', async () => {
+      const response = await search(`q=${encodeURIComponent('pizza (.*')}`).expect(200);
+      expect(response.body.data.totalMessages).toBe(2);
+
+      await request(app)
+        .post(`/api/messages/search/${user2.id}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ query: '(.*' })
+        .expect(200);
+    });
+
+    it('should reject invalid filters', async () => {
+      await search('q=pizza&type=sticker').expect(400);
+      await search('q=p').expect(400);
+    });
+  });
 });
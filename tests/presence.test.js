@@ -0,0 +1,123 @@
+const { createClient } = require('redis');
+const MemoryPresenceStore = require('../utils/presence/memoryStore');
+const RedisPresenceStore = require('../utils/presence/redisStore');
+
+// Short TTL and inactivity thresholds so expiry and idle/away can be tested
+const OPTIONS = { ttlMs: 200, idleMs: 50, awayMs: 150 };
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Tests every presence store must pass. `testStore` lets a suite guard its tests.
+ */
+const describeStore = (createStore, testStore = it) => {
+  let presence;
+
+  beforeEach(async () => {
+    presence = await createStore();
+  });
+
+  testStore('should only bring a user online with their first socket', async () => {
+    expect(await presence.addSocket('user1', 'socket1', { device: 'Phone' })).toBe('online');
+    expect(await presence.addSocket('user1', 'socket2', { device: 'Laptop' })).toBeNull();
+    expect(await presence.addSocket('user2', 'socket3')).toBe('online');
+
+    expect(await presence.getState('user1')).toBe('online');
+    expect(await presence.getState('user3')).toBe('offline');
+  });
+
+  testStore('should only take a user offline when their last socket leaves', async () => {
+    await presence.addSocket('user1', 'socket1');
+    await presence.addSocket('user1', 'socket2');
+
+    expect(await presence.removeSocket('user1', 'socket1')).toBe(false);
+    expect(await presence.removeSocket('user1', 'socket2')).toBe(true);
+    expect(await presence.getState('user1')).toBe('offline');
+
+    // Removing again doesn't take the user offline twice
+    expect(await presence.removeSocket('user1', 'socket2')).toBe(false);
+  });
+
+  testStore('should take users offline once their sockets stop sending heartbeats', async () => {
+    await presence.addSocket('user1', 'socket1');
+    await presence.addSocket('user2', 'socket2');
+
+    await wait(OPTIONS.ttlMs / 2);
+    await presence.heartbeat('user2', 'socket2', { active: true });
+    await wait(OPTIONS.ttlMs / 2 + 10);
+
+    const changes = await presence.sweep();
+    expect(changes).toContainEqual({ userId: 'user1', state: 'offline' });
+    expect(changes).not.toContainEqual({ userId: 'user2', state: 'offline' });
+
+    const offline = (await presence.sweep()).filter(change => change.state === 'offline');
+    expect(offline).toEqual([]);
+
+    // A heartbeat from a socket that is still connected brings its user back online
+    expect(await presence.heartbeat('user1', 'socket1')).toBe('online');
+  });
+
+  testStore('should move inactive users to idle and then away', async () => {
+    await presence.addSocket('user1', 'socket1');
+    const connectedAt = Date.now();
+
+    expect(await presence.sweep(connectedAt + OPTIONS.idleMs)).toEqual([{ userId: 'user1', state: 'idle' }]);
+    expect(await presence.sweep(connectedAt + OPTIONS.idleMs)).toEqual([]);
+
+    // Heartbeats without activity keep the socket but not the user online
+    await wait(OPTIONS.idleMs + 10);
+    expect(await presence.heartbeat('user1', 'socket1')).toBeNull();
+    expect(await presence.getState('user1')).toBe('idle');
+
+    expect(await presence.sweep(connectedAt + OPTIONS.awayMs)).toEqual([{ userId: 'user1', state: 'away' }]);
+    expect(await presence.heartbeat('user1', 'socket1', { active: true })).toBe('online');
+  });
+};
+
+describe('Memory presence store', () => {
+  describeStore(() => new MemoryPresenceStore(OPTIONS));
+});
+
+// Runs against REDIS_URL_TEST, and is skipped when no Redis is running there
+describe('Redis presence store', () => {
+  let redisClient = null;
+
+  beforeAll(async () => {
+    const client = createClient({
+      url: process.env.REDIS_URL_TEST,
+      socket: { connectTimeout: 1000, reconnectStrategy: false }
+    });
+    client.on('error', () => {});
+
+    try {
+      await client.connect();
+      redisClient = client;
+    } catch (error) {
+      console.warn(`Skipping the Redis presence store tests: ${error.message}`);
+    }
+  });
+
+  afterAll(async () => {
+    if (redisClient) {
+      await redisClient.quit();
+    }
+  });
+
+  const testWithRedis = (name, fn) => it(name, async () => {
+    if (redisClient) {
+      await fn();
+    }
+  });
+
+  describeStore(async () => {
+    if (!redisClient) {
+      return null;
+    }
+
+    const keys = await redisClient.keys('presence:*');
+    if (keys.length > 0) {
+      await redisClient.del(keys);
+    }
+    return new RedisPresenceStore({ getClient: async () => redisClient, ...OPTIONS });
+  }, testWithRedis);
+});
@@ -0,0 +1,332 @@
+const request = require('supertest');
+const { app } = require('../server');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const SyncEvent = require('../models/SyncEvent');
+const mongoose = require('mongoose');
+
+// Test database
+const MONGODB_URI = process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/whatsapp-clone-test';
+
+describe('Privacy Settings and Blocking', () => {
+  let authToken1, authToken2, authToken3;
+  let user1, user2, user3;
+
+  const registerUser = (name, email) => request(app)
+    .post('/api/auth/register')
+    .send({ name, email, password: 'Password123' });
+
+  const updatePrivacy = (token, settings) => request(app)
+    .put('/api/users/privacy')
+    .set('Authorization', `Bearer ${token}`)
+    .send(settings);
+
+  const addContact = (token, userId) => request(app)
+    .post('/api/contacts')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ userId })
+    .expect(201);
+
+  const blockUser = (token, userId) => request(app)
+    .post(`/api/users/${userId}/block`)
+    .set('Authorization', `Bearer ${token}`)
+    .expect(200);
+
+  const sendMessage = (token, receiverId) => request(app)
+    .post('/api/messages')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ receiverId, content: 'Hello' });
+
+  const getUser = (token, userId) => request(app)
+    .get(`/api/users/${userId}`)
+    .set('Authorization', `Bearer ${token}`)
+    .expect(200);
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await User.deleteMany({});
+    await Message.deleteMany({});
+    await Conversation.deleteMany({});
+    await SyncEvent.deleteMany({});
+
+    // Create test users
+    const user1Response = await registerUser('User One', 'user1@example.com');
+    const user2Response = await registerUser('User Two', 'user2@example.com');
+    const user3Response = await registerUser('User Three', 'user3@example.com');
+
+    authToken1 = user1Response.body.token;
+    authToken2 = user2Response.body.token;
+    authToken3 = user3Response.body.token;
+    user1 = user1Response.body.data.user;
+    user2 = user2Response.body.data.user;
+    user3 = user3Response.body.data.user;
+
+    await User.findByIdAndUpdate(user1.id, {
+      avatar: 'https://example.com/avatar.jpg',
+      lastSeen: new Date()
+    });
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  describe('GET /api/users/privacy', () => {
+    it('should show everything to everyone by default', async () => {
+      const response = await request(app)
+        .get('/api/users/privacy')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      const { privacy } = response.body.data;
+      expect(privacy.lastSeen.visibility).toBe('everyone');
+      expect(privacy.avatar.visibility).toBe('everyone');
+      expect(privacy.readReceipts).toBe(true);
+    });
+  });
+
+  describe('PUT /api/users/privacy', () => {
+    it('should hide fields set to nobody from other users', async () => {
+      await updatePrivacy(authToken1, {
+        lastSeen: { visibility: 'nobody' },
+        avatar: { visibility: 'nobody' }
+      }).expect(200);
+
+      const response = await getUser(authToken2, user1.id);
+
+      expect(response.body.data.user.lastSeen).toBeNull();
+      expect(response.body.data.user.avatar).toBeNull();
+      expect(response.body.data.user.name).toBe('User One');
+
+      // The user still sees their own profile
+      const own = await getUser(authToken1, user1.id);
+      expect(own.body.data.user.avatar).toBe('https://example.com/avatar.jpg');
+    });
+
+    it('should only show fields set to contacts to the user\'s contacts', async () => {
+      await updatePrivacy(authToken1, { avatar: { visibility: 'contacts' } }).expect(200);
+
+      let response = await getUser(authToken2, user1.id);
+      expect(response.body.data.user.avatar).toBeNull();
+
+      await addContact(authToken1, user2.id);
+
+      response = await getUser(authToken2, user1.id);
+      expect(response.body.data.user.avatar).toBe('https://example.com/avatar.jpg');
+    });
+
+    it('should hide fields from the contacts listed as exceptions', async () => {
+      await addContact(authToken1, user2.id);
+      await addContact(authToken1, user3.id);
+
+      const response = await updatePrivacy(authToken1, {
+        avatar: { visibility: 'contactsExcept', except: [user3.id] }
+      }).expect(200);
+
+      expect(response.body.data.privacy.avatar.except).toEqual([user3.id]);
+
+      const visible = await getUser(authToken2, user1.id);
+      expect(visible.body.data.user.avatar).toBe('https://example.com/avatar.jpg');
+
+      const hidden = await getUser(authToken3, user1.id);
+      expect(hidden.body.data.user.avatar).toBeNull();
+    });
+
+    it('should reject unknown visibility levels', async () => {
+      await updatePrivacy(authToken1, { lastSeen: { visibility: 'friends' } }).expect(400);
+    });
+
+    it('should reject invalid exceptions', async () => {
+      await updatePrivacy(authToken1, {
+        lastSeen: { visibility: 'contactsExcept', except: ['not-an-id'] }
+      }).expect(400);
+    });
+  });
+
+  describe('Read receipts', () => {
+    it('should keep messages delivered for the sender when the reader turned read receipts off', async () => {
+      await updatePrivacy(authToken2, { readReceipts: false }).expect(200);
+
+      const messageId = (await sendMessage(authToken1, user2.id).expect(201)).body.data.message._id;
+
+      await request(app)
+        .put(`/api/messages/read/${user1.id}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      const message = await Message.findById(messageId);
+      expect(message.status).toBe('delivered');
+      expect(message.readBy.map(read => read.user.toString())).toContain(user2.id);
+
+      const info = await request(app)
+        .get(`/api/messages/${messageId}/info`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      const [recipient] = info.body.data.recipients;
+      expect(recipient.readAt).toBeNull();
+      expect(recipient.deliveredAt).not.toBeNull();
+    });
+
+    it('should not report group reads of members who turned read receipts off', async () => {
+      await updatePrivacy(authToken2, { readReceipts: false }).expect(200);
+
+      const groupId = (await request(app)
+        .post('/api/groups')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ name: 'Test Group', memberIds: [user2.id, user3.id] })
+        .expect(201)).body.data.group._id;
+
+      const messageId = (await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ conversationId: groupId, content: 'Hello group' })
+        .expect(201)).body.data.message._id;
+
+      for (const token of [authToken2, authToken3]) {
+        await request(app)
+          .put(`/api/messages/read/${groupId}`)
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+      }
+
+      // The read only clears the reader's own unread count
+      const message = await Message.findById(messageId);
+      const reads = new Map(message.readBy.map(read => [read.user.toString(), read.readAt]));
+      expect(reads.get(user2.id)).toBeNull();
+      expect(reads.get(user3.id)).not.toBeNull();
+
+      const readEvents = await SyncEvent.find({ user: user1.id, type: 'messageRead' });
+      expect(readEvents.map(event => event.payload.readBy)).toEqual([user3.id]);
+
+      const info = await request(app)
+        .get(`/api/messages/${messageId}/info`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      const readAt = new Map(info.body.data.recipients.map(recipient => [recipient.user._id, recipient.readAt]));
+      expect(readAt.get(user2.id)).toBeNull();
+      expect(readAt.get(user3.id)).not.toBeNull();
+    });
+  });
+
+  describe('Receipts in message JSON', () => {
+    it('should not show the sender when the reader read or hid a message', async () => {
+      await updatePrivacy(authToken2, { readReceipts: false }).expect(200);
+
+      const messageId = (await sendMessage(authToken1, user2.id).expect(201)).body.data.message._id;
+
+      await request(app)
+        .put(`/api/messages/read/${user1.id}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/messages/${messageId}?scope=me`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      const responses = await Promise.all([
+        request(app).get(`/api/messages/conversation/${user2.id}`),
+        request(app).get('/api/messages/conversations'),
+        request(app).get(`/api/messages/${messageId}`)
+      ].map(req => req.set('Authorization', `Bearer ${authToken1}`).expect(200)));
+
+      const [conversation, conversations, message] = responses.map(response => JSON.stringify(response.body));
+      [conversation, conversations, message].forEach(json => {
+        expect(json).not.toContain('readBy');
+        expect(json).not.toContain('deliveredTo');
+        expect(json).not.toContain('hiddenFor');
+      });
+
+      expect(JSON.parse(message).data.message.status).toBe('delivered');
+    });
+  });
+
+  describe('Blocking', () => {
+    it('should refuse messages in both directions with a block code', async () => {
+      await blockUser(authToken1, user2.id);
+
+      const blocked = await sendMessage(authToken1, user2.id).expect(403);
+      expect(blocked.body.code).toBe('CONTACT_BLOCKED');
+      expect(blocked.body.message).toBe('You blocked this contact');
+
+      const blockedBy = await sendMessage(authToken2, user1.id).expect(403);
+      expect(blockedBy.body.code).toBe('BLOCKED_BY_CONTACT');
+
+      // Other chats are unaffected
+      await sendMessage(authToken3, user1.id).expect(201);
+    });
+
+    it('should allow messages again after unblocking', async () => {
+      await blockUser(authToken1, user2.id);
+
+      await request(app)
+        .delete(`/api/users/${user2.id}/block`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      await sendMessage(authToken2, user1.id).expect(201);
+    });
+
+    it('should not resolve the chat by user ID in either direction', async () => {
+      await sendMessage(authToken1, user2.id).expect(201);
+      await blockUser(authToken1, user2.id);
+
+      await request(app)
+        .get(`/api/messages/conversation/${user2.id}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(404);
+
+      await request(app)
+        .get(`/api/messages/conversation/${user1.id}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(404);
+    });
+
+    it('should refuse contact adds in both directions', async () => {
+      await blockUser(authToken1, user2.id);
+
+      const response = await request(app)
+        .post('/api/contacts')
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({ userId: user1.id })
+        .expect(403);
+
+      expect(response.body.code).toBe('BLOCKED_BY_CONTACT');
+    });
+
+    it('should hide last seen and avatar from the blocked user', async () => {
+      await blockUser(authToken1, user2.id);
+
+      const response = await getUser(authToken2, user1.id);
+
+      expect(response.body.data.user.lastSeen).toBeNull();
+      expect(response.body.data.user.avatar).toBeNull();
+      expect(response.body.data.user.isOnline).toBeNull();
+    });
+
+    it('should hide users from each other in searches', async () => {
+      await blockUser(authToken1, user2.id);
+
+      const search = (token) => request(app)
+        .post('/api/users/search')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ query: 'User' })
+        .expect(200);
+
+      const names = (response) => response.body.data.users.map(user => user.name);
+
+      expect(names(await search(authToken2))).toEqual(['User Three']);
+      expect(names(await search(authToken1))).toEqual(['User Three']);
+    });
+  });
+});
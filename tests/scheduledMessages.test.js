@@ -0,0 +1,224 @@
+const request = require('supertest');
+const { app, io } = require('../server');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const SyncEvent = require('../models/SyncEvent');
+const { dispatchDueMessages } = require('../jobs/scheduledMessages');
+const mongoose = require('mongoose');
+
+// Test database
+const MONGODB_URI = process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/whatsapp-clone-test';
+
+describe('Scheduled Message Endpoints', () => {
+  let authToken1, authToken2;
+  let user2;
+
+  const registerUser = (name, email) => request(app)
+    .post('/api/auth/register')
+    .send({ name, email, password: 'Password123' });
+
+  const schedule = (body) => request(app)
+    .post('/api/messages/scheduled')
+    .set('Authorization', `Bearer ${authToken1}`)
+    .send({ receiverId: user2.id, content: 'Happy new year!', ...body });
+
+  // Run the dispatcher as if it were a day after the given time
+  const dispatchAfter = (date) => dispatchDueMessages(io, new Date(new Date(date).getTime() + 24 * 60 * 60 * 1000));
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await User.deleteMany({});
+    await Message.deleteMany({});
+    await Conversation.deleteMany({});
+    await ScheduledMessage.deleteMany({});
+    await SyncEvent.deleteMany({});
+
+    // Create test users
+    const user1Response = await registerUser('User One', 'user1@example.com');
+    const user2Response = await registerUser('User Two', 'user2@example.com');
+
+    authToken1 = user1Response.body.token;
+    authToken2 = user2Response.body.token;
+    user2 = user2Response.body.data.user;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  describe('POST /api/messages/scheduled', () => {
+    it('should read the send time in the given time zone', async () => {
+      const response = await schedule({ scheduledFor: '2099-01-15T09:00', timeZone: 'America/New_York' })
+        .expect(201);
+
+      const { scheduledMessage } = response.body.data;
+      expect(scheduledMessage.status).toBe('scheduled');
+      expect(scheduledMessage.scheduledFor).toBe('2099-01-15T14:00:00.000Z');
+      expect(scheduledMessage.localTime).toBe('2099-01-15T09:00:00');
+    });
+
+    it('should reject send times in the past', async () => {
+      await schedule({ scheduledFor: '2001-01-01T09:00:00Z' }).expect(400);
+    });
+
+    it('should reject unknown time zones', async () => {
+      await schedule({ scheduledFor: '2099-01-15T09:00', timeZone: 'Mars/Olympus_Mons' }).expect(400);
+    });
+  });
+
+  describe('Managing scheduled messages', () => {
+    let scheduledId;
+
+    beforeEach(async () => {
+      const response = await schedule({ scheduledFor: '2099-01-15T09:00:00Z' });
+      scheduledId = response.body.data.scheduledMessage.id;
+    });
+
+    it('should list pending scheduled messages for the sender only', async () => {
+      const response = await request(app)
+        .get('/api/messages/scheduled')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      expect(response.body.data.scheduledMessages).toHaveLength(1);
+
+      const otherResponse = await request(app)
+        .get('/api/messages/scheduled')
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      expect(otherResponse.body.data.scheduledMessages).toHaveLength(0);
+    });
+
+    it('should edit the content and send time', async () => {
+      const response = await request(app)
+        .put(`/api/messages/scheduled/${scheduledId}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ content: 'Updated', scheduledFor: '2099-01-16T10:00', timeZone: 'Asia/Kolkata' })
+        .expect(200);
+
+      const { scheduledMessage } = response.body.data;
+      expect(scheduledMessage.content).toBe('Updated');
+      expect(scheduledMessage.scheduledFor).toBe('2099-01-16T04:30:00.000Z');
+    });
+
+    it('should cancel a scheduled message so it is never sent', async () => {
+      await request(app)
+        .delete(`/api/messages/scheduled/${scheduledId}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      await request(app)
+        .put(`/api/messages/scheduled/${scheduledId}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ content: 'Too late' })
+        .expect(409);
+
+      expect(await dispatchAfter('2099-01-15T09:00:00Z')).toBe(0);
+      expect(await Message.countDocuments({})).toBe(0);
+    });
+
+    it('should not let other users change the message', async () => {
+      await request(app)
+        .delete(`/api/messages/scheduled/${scheduledId}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(404);
+    });
+  });
+
+  describe('Dispatching scheduled messages', () => {
+    it('should send due messages exactly once', async () => {
+      const response = await schedule({ scheduledFor: '2099-01-15T09:00:00Z' });
+      const { id } = response.body.data.scheduledMessage;
+
+      expect(await dispatchAfter('2099-01-15T09:00:00Z')).toBe(1);
+      expect(await dispatchAfter('2099-01-15T09:00:00Z')).toBe(0);
+
+      const scheduled = await ScheduledMessage.findById(id);
+      expect(scheduled.status).toBe('sent');
+
+      const messages = await Message.find({ content: 'Happy new year!' });
+      expect(messages).toHaveLength(1);
+      expect(messages[0]._id.toString()).toBe(scheduled.messageId.toString());
+    });
+
+    it('should finish a send interrupted by a restart without duplicating it', async () => {
+      const response = await schedule({ scheduledFor: '2099-01-15T09:00:00Z' });
+      const scheduled = await ScheduledMessage.findById(response.body.data.scheduledMessage.id);
+
+      // Simulate a crash after the message was created but before the send was recorded
+      await Message.create({
+        _id: scheduled.messageId,
+        conversation: scheduled.conversation,
+        sender: scheduled.sender,
+        receiver: user2.id,
+        content: scheduled.content
+      });
+      await ScheduledMessage.updateOne(
+        { _id: scheduled._id },
+        { $set: { status: 'sending', claimedAt: new Date('2099-01-15T09:00:00Z') }, $inc: { attempts: 1 } }
+      );
+
+      expect(await dispatchAfter('2099-01-15T09:00:00Z')).toBe(1);
+      expect(await Message.countDocuments({ content: 'Happy new year!' })).toBe(1);
+      expect((await ScheduledMessage.findById(scheduled._id)).status).toBe('sent');
+
+      // The interrupted attempt hadn't recorded it for sync yet
+      expect(await SyncEvent.countDocuments({ type: 'newMessage' })).toBe(2);
+    });
+
+    it('should not record a message for sync twice when re-delivering it', async () => {
+      const response = await schedule({ scheduledFor: '2099-01-15T09:00:00Z' });
+      const scheduled = await ScheduledMessage.findById(response.body.data.scheduledMessage.id);
+
+      // Simulate a crash after the message was created and recorded but before it was delivered
+      const message = await Message.create({
+        _id: scheduled.messageId,
+        conversation: scheduled.conversation,
+        sender: scheduled.sender,
+        receiver: user2.id,
+        content: scheduled.content
+      });
+      await SyncEvent.recordNewMessage(scheduled.conversation, message);
+      await ScheduledMessage.updateOne(
+        { _id: scheduled._id },
+        { $set: { status: 'sending', claimedAt: new Date('2099-01-15T09:00:00Z') }, $inc: { attempts: 1 } }
+      );
+
+      const emitTo = jest.spyOn(io, 'to');
+      try {
+        expect(await dispatchAfter('2099-01-15T09:00:00Z')).toBe(1);
+        expect(emitTo).toHaveBeenCalledWith(user2.id);
+      } finally {
+        emitTo.mockRestore();
+      }
+
+      expect(await SyncEvent.countDocuments({ type: 'newMessage' })).toBe(2);
+    });
+
+    it('should fail messages the sender is no longer allowed to send', async () => {
+      const response = await schedule({ scheduledFor: '2099-01-15T09:00:00Z' });
+      const scheduled = await ScheduledMessage.findById(response.body.data.scheduledMessage.id);
+
+      await Conversation.updateOne(
+        { _id: scheduled.conversation },
+        { $pull: { members: { user: scheduled.sender } } }
+      );
+
+      expect(await dispatchAfter('2099-01-15T09:00:00Z')).toBe(0);
+
+      const failed = await ScheduledMessage.findById(scheduled._id);
+      expect(failed.status).toBe('failed');
+      expect(failed.failureReason).toBe('You are no longer a member of this conversation');
+    });
+  });
+});
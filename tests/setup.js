@@ -2,6 +2,8 @@
 process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-jwt-secret';
 process.env.MONGODB_URI_TEST = 'mongodb://localhost:27017/whatsapp-clone-test';
+// Separate Redis database, since the presence tests clear presence keys
+process.env.REDIS_URL_TEST = 'redis://localhost:6379/15';
 
 // Suppress console.log during tests
 console.log = jest.fn();
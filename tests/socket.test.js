@@ -0,0 +1,174 @@
+// Listen on a free port and send presence changes quickly
+process.env.PORT = '0';
+process.env.PRESENCE_BATCH_INTERVAL_MS = '50';
+
+const request = require('supertest');
+const { io: connectClient } = require('socket.io-client');
+const { app, server } = require('../server');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const SyncEvent = require('../models/SyncEvent');
+const mongoose = require('mongoose');
+
+// Test database
+const MONGODB_URI = process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/whatsapp-clone-test';
+
+// Long enough for several presence batches to go out
+const SETTLE_MS = 300;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const startedAt = Date.now();
+  while (!condition()) {
+    if (Date.now() - startedAt > timeoutMs) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await wait(10);
+  }
+};
+
+describe('Socket presence', () => {
+  let authToken1, authToken2;
+  let user1;
+  let sockets;
+  // presenceUpdate entries about user1, as seen by their contact user2
+  let updates;
+
+  const registerUser = (name, email) => request(app)
+    .post('/api/auth/register')
+    .send({ name, email, password: 'Password123' });
+
+  const connect = (token) => new Promise((resolve, reject) => {
+    const socket = connectClient(`http://localhost:${server.address().port}`, {
+      auth: { token },
+      transports: ['websocket'],
+      forceNew: true,
+      reconnection: false
+    });
+    sockets.push(socket);
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    if (!server.listening) {
+      await new Promise(resolve => server.once('listening', resolve));
+    }
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await User.deleteMany({});
+    await Message.deleteMany({});
+    await Conversation.deleteMany({});
+    await SyncEvent.deleteMany({});
+
+    // Create test users
+    const user1Response = await registerUser('User One', 'user1@example.com');
+    const user2Response = await registerUser('User Two', 'user2@example.com');
+
+    authToken1 = user1Response.body.token;
+    authToken2 = user2Response.body.token;
+    user1 = user1Response.body.data.user;
+
+    // Presence goes to the contacts of the user whose presence changed
+    await request(app)
+      .post('/api/contacts')
+      .set('Authorization', `Bearer ${authToken1}`)
+      .send({ userId: user2Response.body.data.user.id })
+      .expect(201);
+
+    sockets = [];
+    updates = [];
+
+    const observer = await connect(authToken2);
+    observer.on('presenceUpdate', (data) => {
+      updates.push(...data.updates.filter(update => update.userId === user1.id));
+    });
+  });
+
+  afterEach(() => {
+    sockets.forEach(socket => socket.disconnect());
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  it('should only bring a user online with their first socket', async () => {
+    await connect(authToken1);
+    await waitFor(() => updates.length === 1);
+
+    expect(updates[0]).toMatchObject({ presence: 'online', isOnline: true });
+    expect((await User.findById(user1.id)).isOnline).toBe(true);
+
+    // A second device doesn't send the contact another update
+    await connect(authToken1);
+    await wait(SETTLE_MS);
+
+    expect(updates).toHaveLength(1);
+    expect((await User.findById(user1.id)).isOnline).toBe(true);
+  });
+
+  it('should only take a user offline when their last socket disconnects', async () => {
+    const first = await connect(authToken1);
+    const second = await connect(authToken1);
+    await waitFor(() => updates.length === 1);
+
+    first.disconnect();
+    await wait(SETTLE_MS);
+
+    expect(updates).toHaveLength(1);
+    expect((await User.findById(user1.id)).isOnline).toBe(true);
+
+    const disconnectedAt = Date.now();
+    second.disconnect();
+    await waitFor(() => updates.length === 2);
+
+    expect(updates[1]).toMatchObject({ presence: 'offline', isOnline: false });
+    expect(new Date(updates[1].lastSeen).getTime()).toBeGreaterThanOrEqual(disconnectedAt);
+
+    const user = await User.findById(user1.id);
+    expect(user.isOnline).toBe(false);
+    expect(user.lastSeen.getTime()).toBeGreaterThanOrEqual(disconnectedAt);
+  });
+
+  it('should not let the deprecated status endpoint change presence', async () => {
+    await connect(authToken1);
+    await waitFor(() => updates.length === 1);
+
+    const response = await request(app)
+      .put('/api/users/status')
+      .set('Authorization', `Bearer ${authToken1}`)
+      .send({ isOnline: false })
+      .expect(200);
+
+    expect(response.body.data.isOnline).toBe(true);
+    await wait(SETTLE_MS);
+    expect(updates).toHaveLength(1);
+    expect((await User.findById(user1.id)).isOnline).toBe(true);
+  });
+
+  it('should handle events sent right after connecting', async () => {
+    const socket = await connect(authToken1);
+    const error = new Promise(resolve => socket.once('error', resolve));
+    socket.emit('sync', { cursor: 'not-a-cursor' });
+
+    expect(await error).toEqual({ message: 'Invalid sync cursor' });
+  });
+
+  it('should take a user offline who disconnects right after connecting', async () => {
+    const socket = await connect(authToken1);
+    socket.disconnect();
+    await wait(SETTLE_MS);
+
+    expect((await User.findById(user1.id)).isOnline).toBe(false);
+  });
+});
@@ -0,0 +1,220 @@
+const request = require('supertest');
+const { app } = require('../server');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const SyncEvent = require('../models/SyncEvent');
+const mongoose = require('mongoose');
+
+// Test database
+const MONGODB_URI = process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/whatsapp-clone-test';
+
+describe('Sync Endpoints', () => {
+  let authToken1, authToken2;
+  let user1, user2;
+
+  const registerUser = (name, email) => request(app)
+    .post('/api/auth/register')
+    .send({ name, email, password: 'Password123' });
+
+  const sync = (token, query = {}) => request(app)
+    .get('/api/sync')
+    .query(query)
+    .set('Authorization', `Bearer ${token}`);
+
+  const sendMessage = (content) => request(app)
+    .post('/api/messages')
+    .set('Authorization', `Bearer ${authToken1}`)
+    .send({ receiverId: user2.id, content });
+
+  const eventsOfType = (response, type) => response.body.data.events.filter(event => event.type === type);
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    // Clear collections
+    await User.deleteMany({});
+    await Message.deleteMany({});
+    await Conversation.deleteMany({});
+    await SyncEvent.deleteMany({});
+
+    // Create test users
+    const user1Response = await registerUser('User One', 'user1@example.com');
+    const user2Response = await registerUser('User Two', 'user2@example.com');
+
+    authToken1 = user1Response.body.token;
+    authToken2 = user2Response.body.token;
+    user1 = user1Response.body.data.user;
+    user2 = user2Response.body.data.user;
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  describe('GET /api/sync', () => {
+    it('should return the current cursor when called without one', async () => {
+      await sendMessage('Hello');
+
+      const response = await sync(authToken2).expect(200);
+
+      expect(response.body.data.events).toHaveLength(0);
+      expect(response.body.data.cursor).toBeGreaterThan(0);
+      expect(response.body.data.resetRequired).toBe(false);
+    });
+
+    it('should return messages sent while the user was offline, in order', async () => {
+      const { cursor } = (await sync(authToken2)).body.data;
+
+      await sendMessage('First');
+      await sendMessage('Second');
+
+      const response = await sync(authToken2, { cursor }).expect(200);
+
+      const newMessages = eventsOfType(response, 'newMessage');
+      expect(newMessages.map(event => event.payload.content)).toEqual(['First', 'Second']);
+
+      const seqs = response.body.data.events.map(event => event.seq);
+      expect(seqs).toEqual([...seqs].sort((a, b) => a - b));
+      expect(response.body.data.cursor).toBe(seqs[seqs.length - 1]);
+
+      // Syncing again from the new cursor returns nothing new
+      const again = await sync(authToken2, { cursor: response.body.data.cursor }).expect(200);
+      expect(eventsOfType(again, 'newMessage')).toHaveLength(0);
+    });
+
+    it('should include read receipts and edits', async () => {
+      const messageId = (await sendMessage('Helo')).body.data.message._id;
+      const { cursor } = (await sync(authToken1)).body.data;
+
+      await request(app)
+        .put(`/api/messages/read/${user1.id}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+
+      await request(app)
+        .put(`/api/messages/${messageId}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ content: 'Hello' })
+        .expect(200);
+
+      const response = await sync(authToken1, { cursor }).expect(200);
+
+      const [read] = eventsOfType(response, 'messageRead');
+      expect(read.payload.readBy).toBe(user2.id);
+
+      const [edit] = eventsOfType(response, 'messageEdited');
+      expect(edit.payload.content).toBe('Hello');
+    });
+
+    it('should not replay the content of messages deleted for everyone', async () => {
+      const { cursor } = (await sync(authToken2)).body.data;
+
+      const messageId = (await sendMessage('Secret')).body.data.message._id;
+      await request(app)
+        .post('/api/messages')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ receiverId: user2.id, content: 'Reply', replyTo: messageId })
+        .expect(201);
+
+      await request(app)
+        .delete(`/api/messages/${messageId}?scope=everyone`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      const response = await sync(authToken2, { cursor }).expect(200);
+
+      expect(JSON.stringify(response.body.data.events)).not.toContain('Secret');
+
+      const [deleted, reply] = eventsOfType(response, 'newMessage').map(event => event.payload);
+      expect(deleted.isDeleted).toBe(true);
+      expect(deleted.content).toBe(Message.DELETED_MESSAGE_TEXT);
+      expect(reply.replyTo.content).toBe(Message.DELETED_MESSAGE_TEXT);
+    });
+
+    it('should expire message events with disappearing messages', async () => {
+      await request(app)
+        .put(`/api/messages/conversation/${user2.id}/disappearing`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ duration: '24h' })
+        .expect(200);
+
+      const message = (await sendMessage('Soon gone')).body.data.message;
+
+      const event = await SyncEvent.findOne({ user: user2.id, type: 'newMessage', 'payload._id': message._id });
+      expect(event.expiresAt.toISOString()).toBe(message.expiresAt);
+    });
+
+    it('should include contact changes', async () => {
+      const { cursor } = (await sync(authToken1)).body.data;
+
+      await request(app)
+        .post('/api/contacts')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ userId: user2.id })
+        .expect(201);
+
+      const response = await sync(authToken1, { cursor }).expect(200);
+
+      expect(eventsOfType(response, 'contactAdded')).toHaveLength(1);
+    });
+
+    it('should mark synced messages as delivered and tell the sender', async () => {
+      const { cursor: senderCursor } = (await sync(authToken1)).body.data;
+      const { cursor } = (await sync(authToken2)).body.data;
+
+      const messageId = (await sendMessage('Hello')).body.data.message._id;
+      expect((await Message.findById(messageId)).status).toBe('sent');
+
+      await sync(authToken2, { cursor }).expect(200);
+
+      expect((await Message.findById(messageId)).status).toBe('delivered');
+
+      const response = await sync(authToken1, { cursor: senderCursor }).expect(200);
+      const [delivered] = eventsOfType(response, 'messageDelivered');
+      expect(delivered.payload.messageIds).toEqual([messageId]);
+      expect(delivered.payload.deliveredTo).toBe(user2.id);
+    });
+
+    it('should page through events with the limit', async () => {
+      const { cursor } = (await sync(authToken2)).body.data;
+
+      await sendMessage('First');
+      await sendMessage('Second');
+
+      const firstPage = await sync(authToken2, { cursor, limit: 1 }).expect(200);
+      expect(firstPage.body.data.events).toHaveLength(1);
+      expect(firstPage.body.data.hasMore).toBe(true);
+    });
+
+    it('should ask for a full reload when the cursor is unknown', async () => {
+      const response = await sync(authToken2, { cursor: 1000 }).expect(200);
+
+      expect(response.body.data.resetRequired).toBe(true);
+      expect(response.body.data.events).toHaveLength(0);
+    });
+
+    it('should reject invalid cursors', async () => {
+      await sync(authToken2, { cursor: 'abc' }).expect(400);
+    });
+  });
+
+  describe('Recording events', () => {
+    it('should give concurrent events their own sequence number for each user', async () => {
+      await Promise.all(['First', 'Second', 'Third'].map(content =>
+        SyncEvent.record([user1.id, user2.id], 'messageEdited', { content })
+      ));
+
+      for (const user of [user1, user2]) {
+        const events = await SyncEvent.find({ user: user.id, type: 'messageEdited' });
+        expect(events).toHaveLength(3);
+        expect(new Set(events.map(event => event.seq)).size).toBe(3);
+      }
+    });
+  });
+});
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const sizeOf = require('image-size');
+const Attachment = require('../models/Attachment');
+const { getStorage, generateStorageKey } = require('./storage');
+const { getAttachmentKind } = require('../middleware/upload');
+
+/**
+ * Read image dimensions, ignoring formats image-size does not understand
+ */
+const getImageDimensions = (buffer) => {
+  try {
+    const { width, height } = sizeOf(buffer);
+    return { width: width || null, height: height || null };
+  } catch (error) {
+    return { width: null, height: null };
+  }
+};
+
+// Number of bars kept for a voice note waveform
+const WAVEFORM_BARS = 64;
+
+/**
+ * Parse waveform samples sent by a client (array, JSON array or comma separated)
+ * and downsample them to WAVEFORM_BARS values between 0 and 100.
+ * Returns null if the input is not a list of non-negative numbers.
+ */
+const normalizeWaveform = (input) => {
+  let samples = input;
+
+  if (typeof samples === 'string') {
+    try {
+      samples = samples.trim().startsWith('[') ? JSON.parse(samples) : samples.split(',');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!Array.isArray(samples) || samples.length === 0) {
+    return null;
+  }
+
+  samples = samples.map(Number);
+  if (samples.some(sample => !Number.isFinite(sample) || sample < 0)) {
+    return null;
+  }
+
+  // Keep the peak of each bucket so short loud sounds stay visible
+  const bars = Math.min(WAVEFORM_BARS, samples.length);
+  const bucketSize = samples.length / bars;
+  const peaks = [];
+  for (let bar = 0; bar < bars; bar++) {
+    const bucket = samples.slice(Math.floor(bar * bucketSize), Math.floor((bar + 1) * bucketSize));
+    peaks.push(Math.max(...bucket));
+  }
+
+  const max = Math.max(...peaks);
+  return peaks.map(peak => (max > 0 ? Math.round((peak / max) * 100) : 0));
+};
+
+/**
+ * Get the attachment kind of a MIME type, or fail if the type is not allowed
+ */
+const getAllowedKind = (mimeType, requestedKind) => {
+  const kind = requestedKind || getAttachmentKind(mimeType);
+  if (!kind) {
+    const error = new Error('File type not allowed');
+    error.statusCode = 400;
+    throw error;
+  }
+  return kind;
+};
+
+/**
+ * Record a stored file as an Attachment, removing the file if that fails
+ */
+const createAttachment = async (storage, storageKey, fields) => {
+  try {
+    return await Attachment.create({
+      driver: storage.name,
+      storageKey,
+      ...fields
+    });
+  } catch (error) {
+    // Don't leave orphaned files behind
+    await storage.remove(storageKey).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Store a file with the configured storage driver and record it as an Attachment
+ */
+const storeAttachment = async ({ buffer, originalName, mimeType, uploader, purpose = 'message', kind: requestedKind, metadata = {} }) => {
+  const kind = getAllowedKind(mimeType, requestedKind);
+
+  const storage = getStorage();
+  const storageKey = generateStorageKey(purpose === 'avatar' ? 'avatars' : 'attachments', originalName);
+  const checksum = crypto.createHash('sha256').update(buffer).digest('hex');
+  const dimensions = kind === 'image' ? getImageDimensions(buffer) : { width: null, height: null };
+
+  await storage.save(storageKey, buffer, { contentType: mimeType });
+
+  return createAttachment(storage, storageKey, {
+    uploader,
+    kind,
+    purpose,
+    originalName,
+    mimeType,
+    size: buffer.length,
+    checksum,
+    ...dimensions,
+    ...metadata
+  });
+};
+
+/**
+ * Remove the stored chunks of a resumable upload session
+ */
+const removeUploadChunks = async (session) => {
+  const storage = getStorage();
+  await Promise.all(session.receivedChunks.map(index =>
+    storage.remove(session.getChunkKey(index)).catch(() => {})
+  ));
+};
+
+// Bytes kept from the start of an assembled image to read its dimensions
+const IMAGE_HEADER_BYTES = 64 * 1024;
+
+/**
+ * Join the chunks of a resumable upload session into an Attachment. The chunks
+ * are streamed into storage one after another, so the file is never held in memory.
+ */
+const assembleUpload = async (session) => {
+  const kind = getAllowedKind(session.mimeType);
+  const storage = getStorage();
+  const storageKey = generateStorageKey('attachments', session.originalName);
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  let header = Buffer.alloc(0);
+  let checksum;
+  let uploadError = null;
+
+  const fail = (message) => {
+    uploadError = new Error(message);
+    uploadError.statusCode = 400;
+    return uploadError;
+  };
+
+  async function* readChunks() {
+    for (let index = 0; index < session.totalChunks; index++) {
+      for await (const data of await storage.getStream(session.getChunkKey(index))) {
+        size += data.length;
+        if (size > session.size) {
+          throw fail('Uploaded file size does not match');
+        }
+
+        hash.update(data);
+        if (kind === 'image' && header.length < IMAGE_HEADER_BYTES) {
+          header = Buffer.concat([header, data.subarray(0, IMAGE_HEADER_BYTES - header.length)]);
+        }
+
+        yield data;
+      }
+    }
+
+    if (size !== session.size) {
+      throw fail('Uploaded file size does not match');
+    }
+  }
+
+  try {
+    await storage.saveStream(storageKey, Readable.from(readChunks()), {
+      contentType: session.mimeType,
+      size: session.size
+    });
+
+    checksum = hash.digest('hex');
+    if (session.checksum && checksum !== session.checksum) {
+      throw fail('Uploaded file checksum does not match');
+    }
+  } catch (error) {
+    await storage.remove(storageKey).catch(() => {});
+    // Storage drivers may wrap the error that ended the stream
+    throw uploadError || error;
+  }
+
+  const attachment = await createAttachment(storage, storageKey, {
+    uploader: session.uploader,
+    kind,
+    purpose: 'message',
+    originalName: session.originalName,
+    mimeType: session.mimeType,
+    size,
+    checksum,
+    ...(kind === 'image' ? getImageDimensions(header) : { width: null, height: null })
+  });
+
+  await removeUploadChunks(session);
+
+  return attachment;
+};
+
+module.exports = {
+  storeAttachment,
+  assembleUpload,
+  removeUploadChunks,
+  normalizeWaveform,
+  getImageDimensions
+};
@@ -31,10 +31,16 @@ const successResponse = (message, data = null) => {
 };
 
 /**
- * Create error response
+ * Create error response, with a machine-readable code if given
  */
-const errorResponse = (message, errors = null) => {
-  return createResponse('error', message, null, errors);
+const errorResponse = (message, errors = null, code = null) => {
+  const response = createResponse('error', message, null, errors);
+
+  if (code !== null) {
+    response.code = code;
+  }
+
+  return response;
 };
 
 /**
@@ -74,6 +80,131 @@ const getPaginationMeta = (page, limit, total) => {
   };
 };
 
+/**
+ * Encode an opaque pagination cursor from a date and a document ID
+ */
+const encodeCursor = (date, id) => {
+  return Buffer.from(`${new Date(date).getTime()}_${id}`).toString('base64url');
+};
+
+/**
+ * Decode a pagination cursor (null if it is malformed)
+ */
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string') {
+    return null;
+  }
+
+  const [time, id] = Buffer.from(cursor, 'base64url').toString().split('_');
+  const date = new Date(Number(time));
+
+  if (!id || !isValidObjectId(id) || Number.isNaN(date.getTime())) {
+    return null;
+  }
+
+  return { date, id };
+};
+
+/**
+ * Build a query filter for documents past a cursor in (field, _id) order,
+ * descending by default. Cursors without an ID only compare the field.
+ */
+const buildCursorFilter = (field, cursor, order = -1) => {
+  const mongoose = require('mongoose');
+  const operator = order === -1 ? '$lt' : '$gt';
+
+  if (!cursor.id) {
+    return { [field]: { [operator]: cursor.date } };
+  }
+
+  const id = new mongoose.Types.ObjectId(cursor.id);
+
+  return {
+    $or: [
+      { [field]: { [operator]: cursor.date } },
+      { [field]: cursor.date, _id: { [operator]: id } }
+    ]
+  };
+};
+
+/**
+ * Check that a string is an IANA time zone name (e.g. "Europe/Berlin")
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall clock time of a date in a time zone, as "YYYY-MM-DDTHH:mm:ss"
+ */
+const formatInTimeZone = (date, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+};
+
+/**
+ * Convert a date-time to a Date. Strings without a UTC offset
+ * ("2024-05-01T09:00") are read as wall clock time in the given time zone.
+ * Returns null if the date-time is invalid.
+ */
+const zonedTimeToUtc = (dateTime, timeZone = 'UTC') => {
+  if (typeof dateTime !== 'string') {
+    return null;
+  }
+
+  // An explicit offset wins over the time zone
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(dateTime)) {
+    const date = new Date(dateTime);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const match = dateTime.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day, hour, minute, second = 0] = match.slice(1)
+    .map(value => (value === undefined ? undefined : Number(value)));
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Reject dates that Date.UTC would roll over, like February 30th
+  const rolled = new Date(wallTime);
+  if (rolled.getUTCMonth() !== month - 1 || rolled.getUTCDate() !== day || rolled.getUTCHours() !== hour) {
+    return null;
+  }
+
+  // Offset of the time zone at a given instant, in milliseconds
+  const getOffset = (time) => new Date(`${formatInTimeZone(new Date(time), timeZone)}Z`).getTime() - time;
+
+  // Check the offset again at the result in case it falls on the other side of a DST change
+  let time = wallTime - getOffset(wallTime);
+  time = wallTime - getOffset(time);
+
+  return new Date(time);
+};
+
 /**
  * Remove sensitive fields from user object
  */
@@ -148,6 +279,39 @@ const escapeRegex = (string) => {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 };
 
+/**
+ * Get the words and phrases of a text search to highlight (negated terms are left out)
+ */
+const getSearchTerms = (search) => {
+  return (search.match(/-?"[^"]+"|\S+/g) || [])
+    .filter(term => !term.startsWith('-'))
+    .map(term => term.replace(/"/g, '').trim())
+    .filter(Boolean);
+};
+
+/**
+ * Cut a snippet of text around the first search term match. Highlights are
+ * offsets into the snippet so clients can mark them up without parsing HTML.
+ */
+const buildSearchSnippet = (text, terms, radius = 40) => {
+  const pattern = terms.length > 0
+    ? new RegExp([...terms].sort((a, b) => b.length - a.length).map(escapeRegex).join('|'), 'gi')
+    : null;
+
+  const firstMatch = pattern ? text.search(pattern) : -1;
+  const start = Math.max(firstMatch - radius, 0);
+  const end = Math.min(Math.max(firstMatch, 0) + radius * 2, text.length);
+
+  const prefix = start > 0 ? '…' : '';
+  const snippet = `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+  const highlights = pattern
+    ? [...snippet.matchAll(pattern)].map(match => ({ start: match.index, length: match[0].length }))
+    : [];
+
+  return { text: snippet, highlights };
+};
+
 /**
  * Check if user is online (last seen within 5 minutes)
  */
@@ -206,6 +370,18 @@ const containsEmoji = (text) => {
   return emojiRegex.test(text);
 };
 
+/**
+ * Check if text is a single emoji (including skin tones, flags and ZWJ sequences)
+ */
+const isEmoji = (text) => {
+  if (typeof text !== 'string' || text.length === 0 || text.length > 16) {
+    return false;
+  }
+  const emojiOnlyRegex = /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u;
+  const pictographRegex = /[\p{Extended_Pictographic}\p{Regional_Indicator}]/u;
+  return emojiOnlyRegex.test(text) && pictographRegex.test(text);
+};
+
 module.exports = {
   createResponse,
   successResponse,
@@ -223,5 +399,14 @@ module.exports = {
   generateConversationId,
   maskSensitiveData,
   deepClone,
-  containsEmoji
+  containsEmoji,
+  isEmoji,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  isValidTimeZone,
+  formatInTimeZone,
+  zonedTimeToUtc,
+  getSearchTerms,
+  buildSearchSnippet
 };
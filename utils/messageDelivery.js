@@ -0,0 +1,124 @@
+const Message = require('../models/Message');
+const SyncEvent = require('../models/SyncEvent');
+
+// How long to wait for a recipient's devices to acknowledge a new message
+const DELIVERY_ACK_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Room of a user's sockets that are viewing a conversation. Sockets join it
+ * together with the conversation room so events can be addressed per member.
+ */
+const getViewerRoom = (conversationId, userId) => `${conversationId}:${userId}`;
+
+/**
+ * Mark messages of a conversation as delivered to a user and tell their
+ * senders (all messages from other members if no IDs are given)
+ */
+const markDelivered = async (io, conversationId, userId, messageIds) => {
+  const receipt = await Message.markAsDelivered(conversationId, userId, { messageIds });
+
+  if (receipt && receipt.senderIds.length > 0 && io) {
+    io.to(receipt.senderIds).emit('messageDelivered', receipt.event);
+  }
+
+  return receipt;
+};
+
+/**
+ * Mark messages of a conversation as read by a user, up to and including the
+ * `upTo` message if given, and tell their senders which messages were read
+ * (unless the user turned read receipts off)
+ */
+const markRead = async (io, conversationId, userId, upTo) => {
+  const receipt = await Message.markAsRead(conversationId, userId, { upTo });
+
+  if (receipt && receipt.senderIds.length > 0 && io) {
+    io.to(receipt.senderIds).emit('messageRead', receipt.event);
+  }
+
+  return receipt;
+};
+
+/**
+ * Mark the new messages in a batch of synced events as delivered to the user
+ * who received them
+ */
+const markSyncedMessagesDelivered = async (io, userId, events) => {
+  const byConversation = new Map();
+
+  events
+    .filter(event => event.type === 'newMessage' && event.payload.sender)
+    .filter(event => (event.payload.sender._id || event.payload.sender) !== userId.toString())
+    .forEach(event => {
+      const conversationId = event.payload.conversation;
+      const messageIds = byConversation.get(conversationId) || [];
+      byConversation.set(conversationId, [...messageIds, event.payload._id]);
+    });
+
+  for (const [conversationId, messageIds] of byConversation) {
+    await markDelivered(io, conversationId, userId, messageIds);
+  }
+};
+
+/**
+ * Broadcast a newly sent message (with its sender populated) to the members
+ * viewing its conversation and notify members who are online elsewhere. The
+ * message is also recorded for every member so offline devices get it when they sync,
+ * unless record is false because that was already done.
+ *
+ * Recipients' devices acknowledge newMessage and messageNotification; the
+ * message is marked delivered to a member once any of their devices has.
+ */
+const broadcastNewMessage = async (io, conversation, message, { record = true } = {}) => {
+  const conversationId = conversation._id.toString();
+  const senderId = message.sender._id.toString();
+
+  // Only the public profile of the sender goes out with notifications
+  const sender = {
+    _id: message.sender._id,
+    name: message.sender.name,
+    avatar: message.sender.avatar
+  };
+
+  if (record) {
+    await SyncEvent.recordNewMessage(conversation, message);
+  }
+
+  conversation.getMemberIds().forEach(memberId => {
+    const viewerRoom = getViewerRoom(conversationId, memberId);
+
+    // The sender's own devices only need to show the message
+    if (memberId === senderId) {
+      io.to(viewerRoom).emit('newMessage', message);
+      return;
+    }
+
+    const onAcknowledged = (error, responses) => {
+      if (!responses || responses.length === 0) {
+        return;
+      }
+
+      markDelivered(io, conversationId, memberId, [message._id]).catch(deliveryError => {
+        console.error('Error marking message as delivered:', deliveryError);
+      });
+    };
+
+    io.to(viewerRoom)
+      .timeout(DELIVERY_ACK_TIMEOUT_MS)
+      .emit('newMessage', message, onAcknowledged);
+
+    // Devices of the member that are online but not viewing the conversation
+    io.to(memberId)
+      .except(viewerRoom)
+      .timeout(DELIVERY_ACK_TIMEOUT_MS)
+      .emit('messageNotification', { message, sender }, onAcknowledged);
+  });
+};
+
+module.exports = {
+  getViewerRoom,
+  markDelivered,
+  markRead,
+  markSyncedMessagesDelivered,
+  broadcastNewMessage
+};
@@ -0,0 +1,403 @@
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const Attachment = require('../models/Attachment');
+const SyncEvent = require('../models/SyncEvent');
+const { isValidObjectId, containsEmoji, isEmoji } = require('./helpers');
+const { broadcastNewMessage } = require('./messageDelivery');
+const { getSendBlockError } = require('./privacy');
+
+// Longest message text (or media caption) that can be sent
+const MAX_CONTENT_LENGTH = 1000;
+
+// Longest client-generated message ID
+const MAX_CLIENT_MESSAGE_ID_LENGTH = 100;
+
+// Message types clients may send (media types need an attachment)
+const SENDABLE_MESSAGE_TYPES = ['text', 'emoji', 'image', 'video', 'audio', 'voice', 'document'];
+
+/**
+ * Create an error for a message action that isn't allowed. REST responses use
+ * its statusCode, and code (see User.BLOCK_ERRORS) tells clients why, if set.
+ */
+const createMessageError = (message, statusCode, code = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+};
+
+/**
+ * Populate the fields clients expect on a message
+ */
+const populateMessage = (message) => message.populate([
+  { path: 'sender', select: 'name avatar' },
+  { path: 'receiver', select: 'name avatar' },
+  { path: 'replyTo', select: 'content sender' },
+  { path: 'attachment', select: Message.ATTACHMENT_FIELDS }
+]);
+
+/**
+ * Resolve the conversation a message is sent to (conversationId, or receiverId
+ * for 1:1 chats) and check that the sender is allowed to post in it
+ */
+const resolveSendConversation = async (senderId, { conversationId, receiverId }) => {
+  if (!isValidObjectId(conversationId || receiverId)) {
+    throw createMessageError('Please provide a valid conversation or receiver ID', 400);
+  }
+
+  const conversation = await Conversation.findForSender(senderId, { conversationId, receiverId });
+  if (!conversation) {
+    throw createMessageError(conversationId ? 'Conversation not found' : 'Receiver not found', 404);
+  }
+
+  if (!conversation.canSendMessages(senderId)) {
+    throw createMessageError('Only admins can send messages to this group', 403);
+  }
+
+  const blockError = await getSendBlockError(conversation, senderId);
+  if (blockError) {
+    throw createMessageError(blockError.message, 403, blockError.code);
+  }
+
+  return conversation;
+};
+
+/**
+ * Save a message from the sender to a conversation, then deliver it to the
+ * members over Socket.io and record it for their other devices
+ */
+const createMessage = async (io, conversation, sender, fields) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: sender._id,
+    receiver: conversation.getOtherMemberId(sender._id),
+    expiresAt: conversation.getMessageExpiry(),
+    ...fields
+  });
+
+  await populateMessage(message);
+  await broadcastNewMessage(io, conversation, message);
+
+  return message;
+};
+
+/**
+ * Find the message a sender already sent with a client message ID, or null
+ */
+const findSentMessage = async (sender, conversation, clientMessageId) => {
+  const message = await Message.findOne({ sender: sender._id, clientMessageId });
+  if (!message) {
+    return null;
+  }
+
+  if (message.conversation.toString() !== conversation._id.toString()) {
+    throw createMessageError('This client message ID was already used in another conversation', 409);
+  }
+
+  return populateMessage(message);
+};
+
+/**
+ * Save a system message (member joined, group renamed, etc.) to a conversation
+ * (document or ID) and deliver it to the members like any other message
+ */
+const sendSystemMessage = async (io, conversation, actorId, content, options) => {
+  if (!conversation.getMemberIds) {
+    conversation = await Conversation.findById(conversation);
+  }
+
+  const message = await Message.createSystemMessage(conversation._id, actorId, content, options);
+  await broadcastNewMessage(io, conversation, message);
+
+  return message;
+};
+
+/**
+ * Find a message saved with a preset ID, or null
+ */
+const findPresetMessage = async (messageId) => {
+  const message = await Message.findById(messageId);
+  return message && populateMessage(message);
+};
+
+/**
+ * Send a text, emoji or media message to a conversation resolved with
+ * resolveSendConversation. Text messages of only a few emoji are sent as
+ * emoji messages unless a type is given; media messages take their type
+ * from the attachment.
+ *
+ * Sends are idempotent per clientMessageId, or per messageId for senders on
+ * the server that preset the ID (e.g. scheduled messages): a retry returns the
+ * message saved the first time. Resolves to { message, created }.
+ */
+const sendMessage = async (io, { sender, conversation, messageId, clientMessageId, content = '', messageType, replyTo, attachmentId }) => {
+  const clientId = typeof clientMessageId === 'string' ? clientMessageId.trim() : clientMessageId;
+  if (clientId !== undefined && clientId !== null
+    && (typeof clientId !== 'string' || !clientId || clientId.length > MAX_CLIENT_MESSAGE_ID_LENGTH)) {
+    throw createMessageError(`Client message ID must be between 1 and ${MAX_CLIENT_MESSAGE_ID_LENGTH} characters`, 400);
+  }
+
+  const existing = (messageId && await findPresetMessage(messageId))
+    || (clientId && await findSentMessage(sender, conversation, clientId));
+  if (existing) {
+    return { message: existing, created: false };
+  }
+
+  if (typeof content !== 'string') {
+    throw createMessageError('Message content must be text', 400);
+  }
+
+  const text = content.trim();
+  if (text.length > MAX_CONTENT_LENGTH) {
+    throw createMessageError(`Message content cannot be more than ${MAX_CONTENT_LENGTH} characters`, 400);
+  }
+
+  if (messageType && !SENDABLE_MESSAGE_TYPES.includes(messageType)) {
+    throw createMessageError('Invalid message type', 400);
+  }
+
+  if (replyTo && !isValidObjectId(replyTo)) {
+    throw createMessageError('Reply to must be a valid message ID', 400);
+  }
+
+  let attachment = null;
+  if (attachmentId) {
+    attachment = isValidObjectId(attachmentId) && await Attachment.findForMessage(attachmentId, sender._id);
+    if (!attachment) {
+      throw createMessageError('Attachment not found', 404);
+    }
+  } else if (messageType && !['text', 'emoji'].includes(messageType)) {
+    throw createMessageError('An attachment is required for media messages', 400);
+  } else if (!text) {
+    // Media messages may be sent without a caption
+    throw createMessageError('Message content is required', 400);
+  }
+
+  let finalMessageType = attachment ? attachment.kind : messageType;
+  if (!finalMessageType) {
+    finalMessageType = containsEmoji(text) && text.length <= 10 ? 'emoji' : 'text';
+  }
+
+  try {
+    const message = await createMessage(io, conversation, sender, {
+      ...(messageId && { _id: messageId }),
+      clientMessageId: clientId || undefined,
+      content: text,
+      messageType: finalMessageType,
+      attachment: attachment ? attachment._id : null,
+      replyTo: replyTo || null
+    });
+
+    return { message, created: true };
+  } catch (error) {
+    // A concurrent retry saved the message first
+    if (error.code !== 11000 || (!messageId && !clientId)) {
+      throw error;
+    }
+
+    const message = messageId
+      ? await findPresetMessage(messageId)
+      : await findSentMessage(sender, conversation, clientId);
+
+    return { message, created: false };
+  }
+};
+
+/**
+ * Forward a message the sender can see to a conversation resolved with
+ * resolveSendConversation
+ */
+const forwardMessage = async (io, { sender, conversation, messageId }) => {
+  const originalMessage = isValidObjectId(messageId) && await Message.findById(messageId);
+  if (!originalMessage || originalMessage.isDeleted) {
+    throw createMessageError('Original message not found', 404);
+  }
+
+  const sourceConversation = await Conversation.findById(originalMessage.conversation);
+  if (!sourceConversation || !sourceConversation.isMember(sender._id) || originalMessage.messageType === 'system') {
+    throw createMessageError('Access denied to original message', 403);
+  }
+
+  return createMessage(io, conversation, sender, {
+    content: originalMessage.content,
+    messageType: originalMessage.messageType,
+    attachment: originalMessage.attachment
+  });
+};
+
+/**
+ * Edit the text (or caption) of one of the user's messages and tell the
+ * members viewing the conversation
+ */
+const editMessage = async (io, { userId, messageId, content }) => {
+  if (typeof content !== 'string') {
+    throw createMessageError('Message content is required', 400);
+  }
+
+  if (content.trim().length > MAX_CONTENT_LENGTH) {
+    throw createMessageError(`Message content cannot be more than ${MAX_CONTENT_LENGTH} characters`, 400);
+  }
+
+  const message = isValidObjectId(messageId) && await Message.findById(messageId).select('+editHistory');
+  if (!message || message.isDeleted) {
+    throw createMessageError('Message not found', 404);
+  }
+
+  if (message.sender.toString() !== userId.toString()) {
+    throw createMessageError('You can only edit your own messages', 403);
+  }
+
+  if (message.messageType === 'system') {
+    throw createMessageError('System messages cannot be edited', 400);
+  }
+
+  if (!message.attachment && !content.trim()) {
+    throw createMessageError('Message content is required', 400);
+  }
+
+  // MESSAGE_EDIT_WINDOW_MINUTES, 24 hours by default
+  if (!message.isWithinEditWindow()) {
+    throw createMessageError('This message is too old to edit', 400);
+  }
+
+  await message.applyEdit(content);
+
+  // Previous versions are served by GET /api/messages/:messageId/history
+  message.editHistory = undefined;
+
+  const edit = {
+    messageId: message._id,
+    conversationId: message.conversation,
+    content: message.content,
+    messageType: message.messageType,
+    editedAt: message.editedAt
+  };
+
+  await SyncEvent.recordForConversation(message.conversation, 'messageEdited', edit, {
+    messageIds: [message._id],
+    expiresAt: message.expiresAt
+  });
+  io.to(message.conversation.toString()).emit('messageEdited', edit);
+
+  return message;
+};
+
+/**
+ * Delete a message for everyone (sender only, leaving a tombstone) or just
+ * for the user, and tell the members or the user's devices
+ */
+const deleteMessage = async (io, { userId, messageId, scope = 'everyone' }) => {
+  if (!['everyone', 'me'].includes(scope)) {
+    throw createMessageError('Scope must be either everyone or me', 400);
+  }
+
+  const message = isValidObjectId(messageId) && await Message.findForMember(messageId, userId, { includeDeleted: true });
+  if (!message) {
+    throw createMessageError('Message not found', 404);
+  }
+
+  // Delete for me - hide the message from this user's view only
+  if (scope === 'me') {
+    await Message.hideForUser(message._id, userId);
+
+    const deletion = {
+      messageId: message._id,
+      conversationId: message.conversation,
+      scope: 'me'
+    };
+
+    // Update the user's other devices
+    await SyncEvent.record(userId, 'messageDeleted', deletion);
+    io.to(userId.toString()).emit('messageDeleted', deletion);
+
+    return message;
+  }
+
+  if (message.sender.toString() !== userId.toString()) {
+    throw createMessageError('You can only delete your own messages', 403);
+  }
+
+  if (message.messageType === 'system') {
+    throw createMessageError('System messages cannot be deleted', 400);
+  }
+
+  if (message.isDeleted) {
+    throw createMessageError('Message is already deleted', 400);
+  }
+
+  if (!message.isWithinDeleteWindow()) {
+    throw createMessageError('This message is too old to delete for everyone', 400);
+  }
+
+  await message.deleteForEveryone();
+
+  // Sync must not replay what was deleted
+  await SyncEvent.scrubMessage(message);
+
+  // Notify every member, including those not viewing the conversation
+  const conversation = await Conversation.findById(message.conversation).select('members.user');
+  const deletion = {
+    messageId: message._id,
+    conversationId: message.conversation,
+    scope: 'everyone',
+    deletedAt: message.deletedAt
+  };
+
+  await SyncEvent.recordForConversation(conversation, 'messageDeleted', deletion);
+  io.to(conversation.getMemberIds()).emit('messageDeleted', deletion);
+
+  return message;
+};
+
+/**
+ * Set a user's reaction to a message they can see (replacing any previous one),
+ * or remove it if no emoji is given, and tell the members
+ */
+const reactToMessage = async (io, { userId, messageId, emoji }) => {
+  if (emoji && !isEmoji(emoji)) {
+    throw createMessageError('Reaction must be an emoji', 400);
+  }
+
+  const message = isValidObjectId(messageId) && await Message.findForMember(messageId, userId);
+  if (!message) {
+    throw createMessageError('Message not found', 404);
+  }
+
+  if (emoji && message.messageType === 'system') {
+    throw createMessageError('System messages cannot be reacted to', 400);
+  }
+
+  const updated = emoji
+    ? await Message.setReaction(message._id, userId, emoji)
+    : await Message.removeReaction(message._id, userId);
+
+  if (!updated) {
+    throw createMessageError('Message not found', 404);
+  }
+
+  const reaction = {
+    messageId: updated._id,
+    conversationId: updated.conversation,
+    userId,
+    emoji: emoji || null,
+    reactionCounts: updated.reactionCounts
+  };
+
+  await SyncEvent.recordForConversation(updated.conversation, 'messageReaction', reaction);
+  io.to(updated.conversation.toString()).emit('messageReaction', reaction);
+
+  return reaction;
+};
+
+module.exports = {
+  populateMessage,
+  resolveSendConversation,
+  sendMessage,
+  sendSystemMessage,
+  forwardMessage,
+  editMessage,
+  deleteMessage,
+  reactToMessage
+};
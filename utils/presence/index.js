@@ -0,0 +1,44 @@
+const MemoryPresenceStore = require('./memoryStore');
+const { getRedisClient } = require('../../config/redis');
+
+let presence = null;
+
+/**
+ * Create the presence store matching SOCKET_ADAPTER (memory or redis). Sockets
+ * are forgotten PRESENCE_TTL_SECONDS (60 by default) after their last heartbeat,
+ * and users become idle after PRESENCE_IDLE_AFTER_SECONDS (5 minutes) and away
+ * after PRESENCE_AWAY_AFTER_SECONDS (15 minutes) without activity.
+ */
+const createPresenceStore = () => {
+  const adapter = process.env.SOCKET_ADAPTER || 'memory';
+  const options = {
+    ttlMs: (parseInt(process.env.PRESENCE_TTL_SECONDS) || 60) * 1000,
+    idleMs: (parseInt(process.env.PRESENCE_IDLE_AFTER_SECONDS) || 5 * 60) * 1000,
+    awayMs: (parseInt(process.env.PRESENCE_AWAY_AFTER_SECONDS) || 15 * 60) * 1000
+  };
+
+  if (adapter === 'redis') {
+    const RedisPresenceStore = require('./redisStore');
+    return new RedisPresenceStore({ getClient: getRedisClient, ...options });
+  }
+
+  if (adapter === 'memory') {
+    return new MemoryPresenceStore(options);
+  }
+
+  throw new Error(`Unknown Socket.io adapter: ${adapter}`);
+};
+
+/**
+ * Get the shared presence store (created on first use, after env is loaded)
+ */
+const getPresenceStore = () => {
+  if (!presence) {
+    presence = createPresenceStore();
+  }
+  return presence;
+};
+
+module.exports = {
+  getPresenceStore
+};
@@ -0,0 +1,132 @@
+/**
+ * Presence store that keeps connected sockets in this process (single instance)
+ */
+class MemoryPresenceStore {
+  constructor({ ttlMs, idleMs, awayMs }) {
+    this.name = 'memory';
+    this.ttlMs = ttlMs;
+    this.idleMs = idleMs;
+    this.awayMs = awayMs;
+    // userId -> { sockets, lastActiveAt, state }, where sockets is a Map of
+    // socketId -> { device, userAgent, connectedAt, expiresAt }
+    this.users = new Map();
+  }
+
+  /**
+   * Set a user's state from how long they have been inactive. Returns the
+   * new state if it changed, or null.
+   */
+  updateState(user, now) {
+    const inactiveMs = now - user.lastActiveAt;
+
+    let state = 'online';
+    if (inactiveMs >= this.awayMs) {
+      state = 'away';
+    } else if (inactiveMs >= this.idleMs) {
+      state = 'idle';
+    }
+
+    if (state === user.state) {
+      return null;
+    }
+
+    user.state = state;
+    return state;
+  }
+
+  /**
+   * Add a socket or extend its TTL (adding it again if it expired), marking
+   * the user active if asked to. Returns the user's new state if it changed.
+   */
+  touchSocket(userId, socketId, { active, info = null }) {
+    const now = Date.now();
+
+    let user = this.users.get(userId);
+    if (!user) {
+      // Coming (back) online counts as activity
+      user = { sockets: new Map(), lastActiveAt: now, state: 'offline' };
+      this.users.set(userId, user);
+    }
+
+    user.sockets.set(socketId, {
+      ...user.sockets.get(socketId),
+      ...info,
+      expiresAt: now + this.ttlMs
+    });
+
+    if (active) {
+      user.lastActiveAt = now;
+    }
+
+    return this.updateState(user, now);
+  }
+
+  /**
+   * Get a user's state (online, idle, away or offline)
+   */
+  async getState(userId) {
+    const user = this.users.get(userId);
+    return user ? user.state : 'offline';
+  }
+
+  /**
+   * Add a newly connected socket of a user, which counts as activity.
+   * Returns the user's new state if it changed, or null.
+   */
+  async addSocket(userId, socketId, info = null) {
+    return this.touchSocket(userId, socketId, { active: true, info });
+  }
+
+  /**
+   * Extend the TTL of a socket that sent a heartbeat, and mark the user active
+   * if the client saw activity. Returns the user's new state if it changed, or null.
+   */
+  async heartbeat(userId, socketId, { active = false } = {}) {
+    return this.touchSocket(userId, socketId, { active });
+  }
+
+  /**
+   * Remove a disconnected socket. Returns true if it was the user's last one.
+   */
+  async removeSocket(userId, socketId) {
+    const user = this.users.get(userId);
+    if (!user || !user.sockets.delete(socketId) || user.sockets.size > 0) {
+      return false;
+    }
+
+    this.users.delete(userId);
+    return true;
+  }
+
+  /**
+   * Remove sockets whose TTL ran out, taking users left without any offline,
+   * and move users who stopped being active to idle or away. Returns the
+   * changes as { userId, state }.
+   */
+  async sweep(now = Date.now()) {
+    const changes = [];
+
+    for (const [userId, user] of this.users) {
+      for (const [socketId, socket] of user.sockets) {
+        if (socket.expiresAt <= now) {
+          user.sockets.delete(socketId);
+        }
+      }
+
+      if (user.sockets.size === 0) {
+        this.users.delete(userId);
+        changes.push({ userId, state: 'offline' });
+        continue;
+      }
+
+      const state = this.updateState(user, now);
+      if (state) {
+        changes.push({ userId, state });
+      }
+    }
+
+    return changes;
+  }
+}
+
+module.exports = MemoryPresenceStore;
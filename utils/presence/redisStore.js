@@ -0,0 +1,187 @@
+// Per user: sorted set of socket IDs scored by when they expire, and a hash of their device info.
+// presence:users holds every online user, scored by when their last socket expires,
+// presence:activity when each of them was last active and presence:states their state.
+const USERS_KEY = 'presence:users';
+const ACTIVITY_KEY = 'presence:activity';
+const STATES_KEY = 'presence:states';
+const socketsKey = (userId) => `presence:sockets:${userId}`;
+const devicesKey = (userId) => `presence:devices:${userId}`;
+const userKeys = (userId) => [socketsKey(userId), devicesKey(userId), USERS_KEY, ACTIVITY_KEY, STATES_KEY];
+
+// The scripts run atomically, so exactly one instance sees each change of a user's state.
+// Every script takes the keys of userKeys.
+
+// Set a user's state from how long they have been inactive, returning it if it changed
+const UPDATE_STATE_FUNCTION = `
+local function updateState(userId, now, idleMs, awayMs)
+  local inactive = tonumber(now) - tonumber(redis.call('ZSCORE', KEYS[4], userId) or now)
+  local state = 'online'
+  if inactive >= tonumber(awayMs) then
+    state = 'away'
+  elseif inactive >= tonumber(idleMs) then
+    state = 'idle'
+  end
+  if redis.call('HGET', KEYS[5], userId) == state then
+    return false
+  end
+  redis.call('HSET', KEYS[5], userId, state)
+  return state
+end
+`;
+
+// ARGV: socketId, expiresAt, now, userId, ttlMs, device info (JSON or ''), active ('1' or '0'), idleMs, awayMs
+const TOUCH_SOCKET_SCRIPT = `${UPDATE_STATE_FUNCTION}
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[3])
+redis.call('ZADD', KEYS[1], ARGV[2], ARGV[1])
+redis.call('PEXPIRE', KEYS[1], ARGV[5])
+if ARGV[6] ~= '' then
+  redis.call('HSET', KEYS[2], ARGV[1], ARGV[6])
+end
+redis.call('PEXPIRE', KEYS[2], ARGV[5])
+local current = redis.call('ZSCORE', KEYS[3], ARGV[4])
+if not current or tonumber(current) < tonumber(ARGV[2]) then
+  redis.call('ZADD', KEYS[3], ARGV[2], ARGV[4])
+end
+-- Coming (back) online counts as activity
+if ARGV[7] == '1' or not current then
+  redis.call('ZADD', KEYS[4], ARGV[3], ARGV[4])
+end
+return updateState(ARGV[4], ARGV[3], ARGV[8], ARGV[9])
+`;
+
+// ARGV: socketId, now, userId
+const REMOVE_SOCKET_SCRIPT = `
+redis.call('ZREM', KEYS[1], ARGV[1])
+redis.call('HDEL', KEYS[2], ARGV[1])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[2])
+if redis.call('ZCARD', KEYS[1]) > 0 then
+  return 0
+end
+redis.call('DEL', KEYS[2])
+redis.call('ZREM', KEYS[4], ARGV[3])
+redis.call('HDEL', KEYS[5], ARGV[3])
+return redis.call('ZREM', KEYS[3], ARGV[3])
+`;
+
+// ARGV: now, userId, idleMs, awayMs
+const SWEEP_USER_SCRIPT = `${UPDATE_STATE_FUNCTION}
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+local latest = redis.call('ZRANGE', KEYS[1], -1, -1, 'WITHSCORES')
+if #latest > 0 then
+  redis.call('ZADD', KEYS[3], latest[2], ARGV[2])
+  return updateState(ARGV[2], ARGV[1], ARGV[3], ARGV[4])
+end
+redis.call('DEL', KEYS[2])
+redis.call('ZREM', KEYS[4], ARGV[2])
+redis.call('HDEL', KEYS[5], ARGV[2])
+if redis.call('ZREM', KEYS[3], ARGV[2]) == 1 then
+  return 'offline'
+end
+return false
+`;
+
+/**
+ * Presence store shared by every instance through Redis. Sockets are kept
+ * alive by their clients' heartbeats, so the sockets of a client or instance
+ * that stops expire and their users go offline.
+ */
+class RedisPresenceStore {
+  constructor({ getClient, ttlMs, idleMs, awayMs }) {
+    this.name = 'redis';
+    this.getClient = getClient;
+    this.ttlMs = ttlMs;
+    this.idleMs = idleMs;
+    this.awayMs = awayMs;
+  }
+
+  /**
+   * Add a socket or extend its TTL (adding it again if it expired), marking
+   * the user active if asked to. Returns the user's new state if it changed.
+   */
+  async touchSocket(userId, socketId, { active, info = null }) {
+    const client = await this.getClient();
+    const now = Date.now();
+
+    return client.eval(TOUCH_SOCKET_SCRIPT, {
+      keys: userKeys(userId),
+      arguments: [
+        socketId,
+        String(now + this.ttlMs),
+        String(now),
+        userId,
+        String(this.ttlMs),
+        info ? JSON.stringify(info) : '',
+        active ? '1' : '0',
+        String(this.idleMs),
+        String(this.awayMs)
+      ]
+    });
+  }
+
+  /**
+   * Get a user's state (online, idle, away or offline)
+   */
+  async getState(userId) {
+    const client = await this.getClient();
+    return (await client.hGet(STATES_KEY, userId)) || 'offline';
+  }
+
+  /**
+   * Add a newly connected socket of a user, which counts as activity.
+   * Returns the user's new state if it changed, or null.
+   */
+  async addSocket(userId, socketId, info = null) {
+    return this.touchSocket(userId, socketId, { active: true, info });
+  }
+
+  /**
+   * Extend the TTL of a socket that sent a heartbeat, and mark the user active
+   * if the client saw activity. Returns the user's new state if it changed, or null.
+   */
+  async heartbeat(userId, socketId, { active = false } = {}) {
+    return this.touchSocket(userId, socketId, { active });
+  }
+
+  /**
+   * Remove a disconnected socket. Returns true if it was the user's last one.
+   */
+  async removeSocket(userId, socketId) {
+    const client = await this.getClient();
+
+    const wentOffline = await client.eval(REMOVE_SOCKET_SCRIPT, {
+      keys: userKeys(userId),
+      arguments: [socketId, String(Date.now()), userId]
+    });
+
+    return wentOffline === 1;
+  }
+
+  /**
+   * Remove sockets whose TTL ran out, taking users left without any offline,
+   * and move users who stopped being active to idle or away. Returns the
+   * changes as { userId, state }.
+   */
+  async sweep(now = Date.now()) {
+    const client = await this.getClient();
+    const [expired, inactive] = await Promise.all([
+      client.zRangeByScore(USERS_KEY, '-inf', now),
+      client.zRangeByScore(ACTIVITY_KEY, '-inf', now - this.idleMs)
+    ]);
+    const changes = [];
+
+    for (const userId of new Set([...expired, ...inactive])) {
+      const state = await client.eval(SWEEP_USER_SCRIPT, {
+        keys: userKeys(userId),
+        arguments: [String(now), userId, String(this.idleMs), String(this.awayMs)]
+      });
+
+      if (state) {
+        changes.push({ userId, state });
+      }
+    }
+
+    return changes;
+  }
+}
+
+module.exports = RedisPresenceStore;
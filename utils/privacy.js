@@ -0,0 +1,99 @@
+const User = require('../models/User');
+
+/**
+ * Load the privacy settings and contacts of the given users, by ID
+ */
+const loadPrivacyOwners = async (userIds) => {
+  const owners = await User.find({ _id: { $in: userIds } }).select('+privacy contacts.user');
+  return new Map(owners.map(owner => [owner._id.toString(), owner]));
+};
+
+/**
+ * Tell whether a privacy owner hides a profile field setting from the viewer,
+ * given the IDs of the users the viewer blocked or was blocked by
+ */
+const hidesFrom = (owner, viewerId, setting, blockedIds) =>
+  blockedIds.includes(owner._id.toString()) || !owner.isVisibleTo(setting, viewerId);
+
+/**
+ * Clear the profile fields (last seen, online, avatar, status) that each user
+ * keeps private from the viewer, and all of them between users where one
+ * blocked the other. Works in place on user documents and plain objects
+ * alike, and only touches fields that are present.
+ */
+const hidePrivateFields = async (users, viewerId) => {
+  const viewer = viewerId.toString();
+  const list = [].concat(users).filter(user => user && user._id && user._id.toString() !== viewer);
+
+  if (list.length === 0) {
+    return users;
+  }
+
+  const [owners, blockedIds] = await Promise.all([
+    loadPrivacyOwners([...new Set(list.map(user => user._id.toString()))]),
+    User.getBlockedIds(viewer)
+  ]);
+
+  list.forEach(user => {
+    const owner = owners.get(user._id.toString());
+    if (!owner) {
+      return;
+    }
+
+    Object.entries(User.PRIVACY_FIELDS).forEach(([setting, field]) => {
+      if (user[field] !== undefined && hidesFrom(owner, viewer, setting, blockedIds)) {
+        user[field] = null;
+      }
+    });
+  });
+
+  return users;
+};
+
+/**
+ * Tell whether a user lets the viewer see one of their profile fields, by its
+ * privacy setting (a key of User.PRIVACY_FIELDS, e.g. avatar)
+ */
+const canSeeProfileField = async (ownerId, viewerId, setting) => {
+  const viewer = viewerId.toString();
+  if (ownerId.toString() === viewer) {
+    return true;
+  }
+
+  const [owners, blockedIds] = await Promise.all([
+    loadPrivacyOwners([ownerId.toString()]),
+    User.getBlockedIds(viewer)
+  ]);
+
+  const owner = owners.get(ownerId.toString());
+  return Boolean(owner) && !hidesFrom(owner, viewer, setting, blockedIds);
+};
+
+/**
+ * Get the error (see User.BLOCK_ERRORS) to refuse an action between two users
+ * with if either blocked the other, or null
+ */
+const getBlockError = async (userId, otherUserId) => {
+  const status = await User.getBlockStatus(userId, otherUserId);
+  return status ? User.BLOCK_ERRORS[status] : null;
+};
+
+/**
+ * Get the error to refuse sending a message to a conversation with because of
+ * a block, or null. Only direct chats are affected by blocking.
+ */
+const getSendBlockError = async (conversation, senderId) => {
+  const otherMemberId = conversation.getOtherMemberId(senderId);
+  if (!otherMemberId || otherMemberId === senderId.toString()) {
+    return null;
+  }
+
+  return getBlockError(senderId, otherMemberId);
+};
+
+module.exports = {
+  hidePrivateFields,
+  canSeeProfileField,
+  getBlockError,
+  getSendBlockError
+};
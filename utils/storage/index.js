@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const path = require('path');
+const LocalStorageDriver = require('./localDriver');
+const S3StorageDriver = require('./s3Driver');
+
+// Drivers created so far, by name
+const drivers = new Map();
+
+/**
+ * Create a storage driver by name (local or s3)
+ */
+const createStorage = (driver) => {
+  if (driver === 's3') {
+    return new S3StorageDriver({
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION,
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+    });
+  }
+
+  if (driver === 'local') {
+    return new LocalStorageDriver({
+      rootDir: process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads')
+    });
+  }
+
+  throw new Error(`Unknown storage driver: ${driver}`);
+};
+
+/**
+ * Get the shared storage driver configured via STORAGE_DRIVER, or a driver by
+ * name, e.g. the one an existing file was stored with (created on first use,
+ * after env is loaded)
+ */
+const getStorage = (driver = process.env.STORAGE_DRIVER || 'local') => {
+  if (!drivers.has(driver)) {
+    drivers.set(driver, createStorage(driver));
+  }
+  return drivers.get(driver);
+};
+
+/**
+ * Generate a unique storage key, e.g. "attachments/2024/05/<random>.jpg"
+ */
+const generateStorageKey = (prefix, originalName = '') => {
+  const now = new Date();
+  const year = now.getUTCFullYear();
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+  const ext = path.extname(originalName).toLowerCase().replace(/[^a-z0-9.]/g, '');
+  return `${prefix}/${year}/${month}/${crypto.randomBytes(16).toString('hex')}${ext}`;
+};
+
+module.exports = {
+  getStorage,
+  generateStorageKey
+};
@@ -0,0 +1,74 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Storage driver for S3-compatible object stores (AWS S3, MinIO, ...)
+ */
+class S3StorageDriver {
+  constructor({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle }) {
+    this.name = 's3';
+    this.bucket = bucket;
+    this.client = new S3Client({
+      endpoint: endpoint || undefined,
+      region: region || 'us-east-1',
+      // MinIO and most self-hosted stores need path-style URLs
+      forcePathStyle: Boolean(forcePathStyle),
+      credentials: accessKeyId && secretAccessKey
+        ? { accessKeyId, secretAccessKey }
+        : undefined
+    });
+  }
+
+  /**
+   * Save a buffer under the given key
+   */
+  async save(key, buffer, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+  }
+
+  /**
+   * Save the contents of a readable stream under the given key. S3 needs the
+   * size of streamed bodies up front.
+   */
+  async saveStream(key, stream, { contentType, size } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: stream,
+      ContentType: contentType,
+      ContentLength: size
+    }));
+  }
+
+  /**
+   * Get a readable stream for the given key
+   */
+  async getStream(key) {
+    const { Body } = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+    return Body;
+  }
+
+  /**
+   * Remove the object stored under the given key
+   */
+  async remove(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+}
+
+module.exports = S3StorageDriver;